@@ -0,0 +1,152 @@
+import ops from './ops.js';
+
+/**
+ * @enum {String}
+ */
+const NodeType = {
+    Literal: 'literal', //1, "hello", true, 2023-09-09
+    PropertyRef: 'prop-ref', //{First_Name}
+    Unary: 'unary', //NOT {active}, -{balance}
+    Binary: 'binary', //{qty} * {price}
+    Call: 'call', //SUM(1, 2), HELLOWORLD()
+    Array: 'array', //[1, {a}, "x"]
+    Lambda: 'lambda' //x => {x.qty} * 2, LAMBDA(x, {x.qty} * 2)
+};
+
+/**
+ * A node of a parsed CalKu expression's abstract syntax tree (AST). Operator precedence is resolved when parsing, so
+ * groups (parenthesis) are not nodes of their own- instead the grouped node spans its parenthesis.
+ *
+ * The properties present depend on the `type` of node:
+ * - `literal`: `value`
+ * - `prop-ref`: `prop`, the dot-notated path to the property.
+ * - `unary`: `op`, the key of the prefix operator, and the `operand` node.
+ * - `binary`: `op`, the key of the operator, and the `left` and `right` nodes.
+ * - `call`: `func`, the key of the function, and the array of `args` nodes.
+ * - `array`: the array of `items` nodes.
+ * - `lambda`: the array of `params` names, and the `body` node.
+ */
+class ASTNode {
+    /**
+     * @param {NodeType} type - The type of node.
+     * @param {Number} startIndex - The index in the expression text where the node starts.
+     * @param {Number} endIndex - The index in the expression text where the node ends (exclusive).
+     * @param {Object} [props] - The properties of the node specific to its type.
+     * @param {Object} [operations] - The ops registry the node's operator is from, used when printing the node. If not
+     * specified, the built-in ops are used.
+     */
+    constructor(type, startIndex, endIndex, props, operations) {
+
+        /**
+         * The type of node.
+         * @type {NodeType}
+         */
+        this.type = type;
+
+        /**
+         * The index in the expression text where the node starts.
+         * @type {Number}
+         */
+        this.startIndex = startIndex;
+
+        /**
+         * The index in the expression text where the node ends (exclusive).
+         * @type {Number}
+         */
+        this.endIndex = endIndex;
+
+        //init
+        Object.defineProperty(this, '_ops', { value: operations ?? ops, enumerable: false }); //kept out of JSON & equality.
+        Object.assign(this, props);
+    }
+
+    /**
+     * Prints the node back into canonical CalKu expression text. Operators and functions are written with their first
+     * symbol, strings are always quoted, dates are written in ISO8601 format, and only the parenthesis required by the
+     * order-of-operations are included.
+     * @returns {String}
+     */
+    toString() {
+        switch (this.type) {
+            case NodeType.Literal:
+                return literalText(this.value);
+            case NodeType.PropertyRef:
+                return `{${this.prop}}`;
+            case NodeType.Unary: {
+                let symbol = symbolOf(this);
+                let operand = this.operand.toString();
+                if ((this.operand.type === NodeType.Binary && orderOf(this.operand) >= orderOf(this)) || this.operand.type === NodeType.Lambda) {
+                    operand = `(${operand})`;
+                }
+                return symbol + (/\w$/.test(symbol) ? ' ' : '') + operand;
+            }
+            case NodeType.Binary: {
+                let left = this.left.toString();
+                let right = this.right.toString();
+                if ((isOperation(this.left) && orderOf(this.left) > orderOf(this)) || this.left.type === NodeType.Lambda) {
+                    left = `(${left})`; //a lambda body extends as far as possible.
+                }
+                if ((isOperation(this.right) && (
+                    orderOf(this.right) > orderOf(this)
+                    || (orderOf(this.right) === orderOf(this) && this.right.type === NodeType.Binary)
+                )) || this.right.type === NodeType.Lambda) {
+                    right = `(${right})`; //operations of the same order are evaluated left-to-right.
+                }
+                return `${left} ${symbolOf(this)} ${right}`;
+            }
+            case NodeType.Call:
+                return `${this.func}(${this.args.map(a => a.toString()).join(', ')})`;
+            case NodeType.Array:
+                return `[${this.items.map(i => i.toString()).join(', ')}]`;
+            case NodeType.Lambda:
+                return `${this.params.length === 1 ? this.params[0] : `(${this.params.join(', ')})`} => ${this.body.toString()}`;
+        }
+        return '';
+    }
+}
+
+/**
+ * Returns `true` if the node is a unary or binary operation.
+ * @param {ASTNode} node - The node to check.
+ * @returns {Boolean}
+ */
+function isOperation(node) {
+    return (node.type === NodeType.Unary || node.type === NodeType.Binary);
+}
+
+/**
+ * Returns the order-of-operations value of an operation node's operator.
+ * @param {ASTNode} node - The unary or binary node.
+ * @returns {Number}
+ */
+function orderOf(node) {
+    return node._ops[node.op]?.order ?? 99999;
+}
+
+/**
+ * Returns the canonical symbol of an operation node's operator: its first symbol, in upper-case if it is a word.
+ * @param {ASTNode} node - The unary or binary node.
+ * @returns {String}
+ */
+function symbolOf(node) {
+    return node._ops[node.op].symbols[0].toUpperCase();
+}
+
+/**
+ * Returns the canonical expression text of a literal value.
+ * @param {*} value - The literal value.
+ * @returns {String}
+ */
+function literalText(value) {
+    if (typeof value === 'string') {
+        return '"' + value.replace(/"/g, '\\"') + '"';
+    } else if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return String(value);
+}
+
+export {
+    ASTNode as default,
+    NodeType
+};
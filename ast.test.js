@@ -0,0 +1,67 @@
+import ASTNode, { NodeType } from './ast.js';
+
+/**
+ * Shorthand to create a literal node.
+ * @param {*} value - The literal value.
+ * @returns {ASTNode}
+ */
+function lit(value) {
+    return new ASTNode(NodeType.Literal, 0, 0, { value });
+}
+
+describe('#constructor', () => {
+    it('sets the type, span, and type-specific properties.', () => {
+        let node = new ASTNode(NodeType.PropertyRef, 2, 7, { prop: 'a.b' });
+        expect(node).toEqual({ type: NodeType.PropertyRef, startIndex: 2, endIndex: 7, prop: 'a.b' });
+    });
+});
+
+describe('#toString', () => {
+    it('prints literals.', () => {
+        expect(lit(1.5).toString()).toBe('1.5');
+        expect(lit(true).toString()).toBe('true');
+        expect(lit(null).toString()).toBe('null');
+        expect(lit(undefined).toString()).toBe('undefined');
+        expect(lit('say "hi"').toString()).toBe('"say \\"hi\\""');
+        expect(lit(new Date('2023-09-09T10:00:00Z')).toString()).toBe('2023-09-09T10:00:00.000Z');
+    });
+    it('prints property references, calls, and arrays.', () => {
+        let node = new ASTNode(NodeType.Call, 0, 0, {
+            func: 'SUM',
+            args: [
+                new ASTNode(NodeType.PropertyRef, 0, 0, { prop: 'qty' }),
+                new ASTNode(NodeType.Array, 0, 0, { items: [lit(1), lit('x')] })
+            ]
+        });
+        expect(node.toString()).toBe('SUM({qty}, [1, "x"])');
+        expect(new ASTNode(NodeType.Call, 0, 0, { func: 'HELLOWORLD', args: [] }).toString()).toBe('HELLOWORLD()');
+    });
+    it('prints operators with their first symbol.', () => {
+        expect(new ASTNode(NodeType.Binary, 0, 0, { op: 'EQUALS', left: lit(1), right: lit(2) }).toString()).toBe('1 EQ 2');
+        expect(new ASTNode(NodeType.Binary, 0, 0, { op: 'ADDITION', left: lit(1), right: lit(2) }).toString()).toBe('1 + 2');
+        expect(new ASTNode(NodeType.Unary, 0, 0, { op: 'NOT', operand: lit(true) }).toString()).toBe('NOT true');
+        expect(new ASTNode(NodeType.Unary, 0, 0, { op: 'NEGATION', operand: lit(2) }).toString()).toBe('-2');
+    });
+    it('only adds the parenthesis required by the order-of-operations.', () => {
+        let sum = new ASTNode(NodeType.Binary, 0, 0, { op: 'ADDITION', left: lit(1), right: lit(2) });
+        let product = new ASTNode(NodeType.Binary, 0, 0, { op: 'MULTIPLICATION', left: lit(3), right: lit(4) });
+        expect(new ASTNode(NodeType.Binary, 0, 0, { op: 'MULTIPLICATION', left: sum, right: lit(5) }).toString()).toBe('(1 + 2) * 5');
+        expect(new ASTNode(NodeType.Binary, 0, 0, { op: 'ADDITION', left: product, right: sum }).toString()).toBe('3 * 4 + (1 + 2)');
+        expect(new ASTNode(NodeType.Binary, 0, 0, { op: 'ADDITION', left: sum, right: product }).toString()).toBe('1 + 2 + 3 * 4');
+        expect(new ASTNode(NodeType.Unary, 0, 0, { op: 'NEGATION', operand: sum }).toString()).toBe('-(1 + 2)');
+        expect(new ASTNode(NodeType.Binary, 0, 0, {
+            op: 'EXPONENTIATION',
+            left: new ASTNode(NodeType.Unary, 0, 0, { op: 'NEGATION', operand: lit(2) }),
+            right: lit(2)
+        }).toString()).toBe('(-2) ^ 2');
+    });
+    it('prints lambdas, in parenthesis when an operand.', () => {
+        let body = new ASTNode(NodeType.Binary, 0, 0, { op: 'MULTIPLICATION', left: new ASTNode(NodeType.PropertyRef, 0, 0, { prop: 'x.qty' }), right: lit(2) });
+        let lambda = new ASTNode(NodeType.Lambda, 0, 0, { params: ['x'], body });
+        expect(lambda.toString()).toBe('x => {x.qty} * 2');
+        expect(new ASTNode(NodeType.Lambda, 0, 0, { params: ['a', 'b'], body: lit(1) }).toString()).toBe('(a, b) => 1');
+        expect(new ASTNode(NodeType.Lambda, 0, 0, { params: [], body: lit(1) }).toString()).toBe('() => 1');
+        expect(new ASTNode(NodeType.Binary, 0, 0, { op: 'ADDITION', left: lambda, right: lit(1) }).toString()).toBe('(x => {x.qty} * 2) + 1');
+        expect(new ASTNode(NodeType.Unary, 0, 0, { op: 'NOT', operand: lambda }).toString()).toBe('NOT (x => {x.qty} * 2)');
+    });
+});
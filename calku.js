@@ -1,20 +1,16 @@
 import ops from './ops.js';
-import funcs from './funcs.js';
 import is from './is.js';
+import ASTNode, { NodeType } from './ast.js';
+import CalKuError, { ErrorCode, Severity } from './error.js';
+import CalKuEnvironment from './environment.js';
+import * as dates from './dates.js';
+import * as regex from './regex.js';
+import Decimal, { RoundingModes, defaults as decimalDefaults } from './decimal.js';
 
-/**
- * A regular expression to check for a reasonable ISO8601 format date.
- * YYYY-MM-DDThh:mm
- * YYYY-MM-DDThh:mmTZD
- * YYYY-MM-DDThh:mm:ss
- * YYYY-MM-DDThh:mm:ssTZD
- * YYYY-MM-DDThh:mm:ss.s
- * YYYY-MM-DDThh:mm:ss.sTZD
- * @see: https://www.w3.org/TR/NOTE-datetime
- * @type {RegExp}
- */
-const ISO8601Date = /^\d{4}-\d\d-\d\d((T\d\d:\d\d(:\d\d(\.\d+)?)?(([+-]\d\d:\d\d)|Z)?)?|(( GMT[+-]\d\d:\d\d)|Z)?)$/i;
-const USAppKuStandardDate = /^\d{1,2}\/\d{1,2}\/(\d{4}|\d\d)( \d{1,2}:\d{1,2}(:\d{1,2}(\.\d{1,3})?)?( ?(AM|PM)))?(( GMT[+-]\d\d:\d\d)|Z)?$/i;
+const LambdaHeader = /^(?:\(\s*([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)?\s*\)|([A-Za-z_]\w*))\s*=>/;
+const LambdaParam = /^[A-Za-z_]\w*$/;
+const LAMBDA_FUNC = 'LAMBDA';
+const COMPILED_CACHE_LIMIT = 100;
 
 /**
  * @enum {String}
@@ -30,9 +26,126 @@ const TokenType = {
     FuncArgumentsStart: 'func-arg-start', //(
     FuncArgumentsEnd: 'func-arg-end', //)
     FuncArgumentsSeparator: 'func-arg-sep', //,
+    Array: 'array', //nested tokens (post-processing)
+    ArrayStart: 'array-start', //[
+    ArrayEnd: 'array-end', //]
+    ArraySeparator: 'array-sep', //,
+    Lambda: 'lambda', //x =>, (total, x) =>
     Comment: 'comment' //// a note for my fellow CalKuers.
 };
 
+/**
+ * The token types that, when preceding an operator symbol, indicate no value precedes it, and so the operator should
+ * be treated as a prefix operator (e.g. `-{balance}` or `NOT {active}`).
+ * @type {Array.<TokenType>}
+ */
+const PrefixPositionTypes = [
+    TokenType.Operator,
+    TokenType.GroupStart,
+    TokenType.FuncArgumentsStart,
+    TokenType.FuncArgumentsSeparator,
+    TokenType.ArrayStart,
+    TokenType.ArraySeparator,
+    TokenType.Lambda
+];
+
+/**
+ * The separator token type expected for each type of grouping token that may contain separated items.
+ * @type {Object.<TokenType, TokenType>}
+ */
+const SeparatorTypes = {
+    [TokenType.FuncArgumentsStart]: TokenType.FuncArgumentsSeparator,
+    [TokenType.ArrayStart]: TokenType.ArraySeparator
+};
+
+/**
+ * Splits a series of tokens into segments by the separator token type, discarding comments.
+ * @param {Array.<Token>} tokens - The tokens to split.
+ * @param {TokenType} separator - The token type that separates each segment.
+ * @returns {Array.<Array.<Token>>}
+ */
+function segmentsOf(tokens, separator) {
+    let segments = [];
+    let segment = [];
+    for (let t of tokens) {
+        if (t.type === separator) {
+            segments.push(segment);
+            segment = [];
+        } else if (t.type !== TokenType.Comment) {
+            segment.push(t);
+        }
+    }
+    if (segments.length || segment.length) {
+        segments.push(segment);
+    }
+    return segments;
+}
+
+/**
+ * Returns the span of an empty segment of a series of tokens split by the separator token type (see `segmentsOf`),
+ * which is the span of the separators around it, e.g. `, ,` in `SUM(1, , 2)`.
+ * @param {Array.<Token>} tokens - The tokens split into segments.
+ * @param {TokenType} separator - The token type that separates each segment.
+ * @param {Number} index - The index of the empty segment.
+ * @returns {{startIndex: Number, endIndex: Number}}
+ */
+function emptySegmentSpanOf(tokens, separator, index) {
+    let separators = tokens.filter(t => t.type === separator);
+    let before = separators[index - 1] ?? separators[index];
+    let after = separators[index] ?? separators[index - 1];
+    return { startIndex: before.startIndex, endIndex: after.endIndex };
+}
+
+/**
+ * Returns `true` if no value precedes the next token to be added to the lexed tokens, such as at the start of an
+ * expression or following an operator.
+ * @param {Array.<Token>} tokens - The tokens lexed so far.
+ * @returns {Boolean}
+ */
+function isPrefixPosition(tokens) {
+    let lastToken = tokens.findLast(t => t.type !== TokenType.Comment);
+    return (!lastToken || PrefixPositionTypes.indexOf(lastToken.type) > -1);
+}
+
+/**
+ * Creates a lambda node with the parameter names and body.
+ * @throws CalKuError when the lambda has no body, or a parameter name is invalid or repeated.
+ * @param {Array.<String>} params - The names of the lambda parameters.
+ * @param {ASTNode} body - The node of the lambda body.
+ * @param {Number} startIndex - The index in the expression text where the lambda starts.
+ * @param {Number} endIndex - The index in the expression text where the lambda parameters end, extended to the end
+ * of the body (when present).
+ * @returns {ASTNode}
+ */
+function lambdaNode(params, body, startIndex, endIndex) {
+    endIndex = Math.max(endIndex, body?.endIndex ?? endIndex);
+    let problem = null;
+    if (!body) {
+        problem = 'has no body';
+    } else if (params.some(p => typeof p !== 'string' || LambdaParam.test(p) === false)) {
+        problem = 'has a parameter that is not a name (letters, digits, and underscores)';
+    } else if (params.some((p, i) => params.indexOf(p) !== i)) {
+        problem = 'repeats a parameter name';
+    }
+    if (problem) {
+        throw new CalKuError(`The lambda starting at index ${startIndex} ${problem}.`, {
+            code: ErrorCode.MalformedExpression,
+            startIndex: startIndex,
+            endIndex: endIndex
+        });
+    }
+    return new ASTNode(NodeType.Lambda, startIndex, endIndex, { params, body });
+}
+
+/**
+ * A function compiled from an expression (or part of one) that evaluates it against a target object.
+ * @callback CompiledExpression
+ * @param {*} [target] - The target object containing properties and values used in the expression.
+ * @param {Object} [scope] - The values of the lambda parameters in scope, by name. Used internally when evaluating the
+ * body of a lambda.
+ * @returns {*}
+ */
+
 /**
  * @typedef Token
  * @property {TokenType} type
@@ -41,13 +154,349 @@ const TokenType = {
  * @property {Number} [order]
  * @property {String} [style]
  * @property {String} [value]
+ * @property {Array.<String>} [params]
+ */
+
+/**
+ * Wraps a function so that it is only called once. Subsequent calls return the result of the first call.
+ * @param {Function} fn - The function to wrap.
+ * @returns {Function}
+ */
+function memoize(fn) {
+    let called = false;
+    let result;
+    return () => {
+        if (!called) {
+            result = fn();
+            called = true;
+        }
+        return result;
+    };
+}
+
+/**
+ * Deeply freezes the given token(s) and their nested tokens so they cannot be modified (such as by an evaluation).
+ * Literal values (such as dates) are not frozen.
+ * @param {Token | Array.<Token>} tokens - The token or array of tokens to freeze.
+ * @returns {Token | Array.<Token>}
+ */
+function freeze(tokens) {
+    if (Array.isArray(tokens)) {
+        tokens.forEach(freeze);
+    } else if (tokens?.tokens) {
+        freeze(tokens.tokens);
+    }
+    return Object.freeze(tokens);
+}
+
+/**
+ * Deeply freezes the given abstract syntax tree node and its child nodes so they cannot be modified.
+ * Literal values (such as dates) are not frozen.
+ * @param {ASTNode} node - The node to freeze.
+ * @returns {ASTNode}
+ */
+function freezeNode(node) {
+    if (node) {
+        for (let child of [node.operand, node.left, node.right, node.body, ...(node.args ?? []), ...(node.items ?? [])]) {
+            freezeNode(child);
+        }
+        Object.freeze(node.args);
+        Object.freeze(node.items);
+        Object.freeze(node.params);
+        Object.freeze(node);
+    }
+    return node;
+}
+
+/**
+ * Returns the parameter definition of an op or func that applies to the argument at the given index. A spread (last)
+ * parameter applies to all arguments at and beyond its index.
+ * @param {Number | Boolean | FunctionParameter | Array.<FunctionParameter>} params - The parameter definition(s).
+ * @param {Number} index - The index of the argument.
+ * @returns {FunctionParameter}
+ */
+function paramAt(params, index) {
+    if (Array.isArray(params)) {
+        return params[Math.min(index, params.length - 1)];
+    } else if (params && typeof params.validator === 'function') {
+        return params;
+    }
+    return null;
+}
+
+/**
+ * Returns the compiled argument of an op or func for an instance in decimal mode, when the op or func does not
+ * declare `decimal`. The decimals of the argument's value (including the items of arrays) are converted to numbers.
+ * @param {CompiledExpression} node - The compiled argument.
+ * @returns {CompiledExpression}
+ */
+function numbersGetter(node) {
+    return (target, scope) => Decimal.toNumbers(node(target, scope));
+}
+
+/**
+ * Creates a compiled getter for the argument of a `lazy` parameter. The getter returns a function, which resolves the 
+ * argument value from the compiled argument and validates it upon the first call.
+ * @param {CompiledExpression} node - The compiled argument.
+ * @param {Function} validator - The parameter validator.
+ * @param {String} message - The error message used when validation fails.
+ * @param {CalKuErrorDetails} details - The details of the error thrown when validation fails.
+ * @returns {CompiledExpression}
+ */
+function lazyGetter(node, validator, message, details) {
+    return (target, scope) => memoize(() => {
+        let value = node(target, scope);
+        let result = validator(value);
+        if (result.valid() === false) {
+            throw new CalKuError(result.message(message, true), details);
+        }
+        return value;
+    });
+}
+
+/**
+ * Fills in the location of an error thrown while validating the arguments of an operation or function call node,
+ * using the span of the offending argument when known, otherwise the span of the node.
+ * @param {Error} err - The thrown error.
+ * @param {ASTNode} node - The operation or function call node.
+ * @param {Array.<ASTNode>} argNodes - The argument nodes of the operation or call.
+ * @returns {Error}
+ */
+function locate(err, node, argNodes) {
+    if (err instanceof CalKuError && err.startIndex === null) {
+        let at = argNodes[err.argIndex] ?? node;
+        err.startIndex = at.startIndex ?? null;
+        err.endIndex = at.endIndex ?? null;
+    }
+    return err;
+}
+
+/**
+ * Creates the error for a group, function call, or array token that is missing its closing symbol.
+ * @param {Token} token - The unclosed group, function, or array token.
+ * @returns {CalKuError}
+ */
+function unclosedGroupError(token) {
+    let closer = (token.type === TokenType.Array ? ']' : ')');
+    return new CalKuError(`Missing closing "${closer}" for the group starting at index ${token.startIndex}.`, {
+        code: ErrorCode.UnclosedGroup,
+        startIndex: token.startIndex,
+        endIndex: token.startIndex + (token.type === TokenType.Func ? token.func.length : 1), //the opening symbol (or function name).
+        func: token.func
+    });
+}
+
+/**
+ * Creates the error for a closing group, function call, or array token without a matching opening symbol.
+ * @param {Token} token - The closing token.
+ * @returns {CalKuError}
+ */
+function unbalancedGroupError(token) {
+    let closer = (token.type === TokenType.ArrayEnd ? ']' : ')');
+    return new CalKuError(`Unexpected "${closer}" without a matching opening symbol, at index ${token.startIndex}.`, {
+        code: ErrorCode.UnbalancedGroup,
+        startIndex: token.startIndex,
+        endIndex: token.endIndex
+    });
+}
+
+/**
+ * Returns the error for a property path that can never be resolved, as `CalKu.valueAt` throws it when reaching the
+ * problem, or `null` if the path is valid. A path is invalid when it is empty, or has an empty or restricted segment.
+ * @param {String} path - The dot-notated and indexed path to the value (property).
+ * @returns {CalKuError}
+ */
+function pathErrorOf(path) {
+    if (!path || typeof path !== 'string') {
+        return new CalKuError('Invalid path to property. A text string path is required.', { code: ErrorCode.InvalidPropertyPath });
+    }
+    let segments = path.split(/\.|:/);
+    for (let i = 0; i < segments.length; i++) {
+        let segment = segments[i];
+        if (segment === 'prototype' || segment === 'constructor' || segment === '__proto__') {
+            return new CalKuError(`Invalid path to property. The path contains an invalid segment at position ${i} ("${segment}").`, { code: ErrorCode.InvalidPropertyPath });
+        } else if (!segment.length) {
+            return new CalKuError(`Invalid path to property. The path contains an empty segment at position ${i}.`, { code: ErrorCode.InvalidPropertyPath });
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the value at the path segments of the target, as `CalKu.valueAt` does for a path already split into segments
+ * and known to contain no empty or restricted segments.
+ * @param {*} target - The object to traverse. If the target is not specified, `undefined` is returned.
+ * @param {Array.<String>} segments - The segments of the path to the value (property).
+ * @param {Number} [start=0] - The index of the first segment to traverse.
+ * @returns {*}
  */
+function valueOfSegments(target, segments, start = 0) {
+    let val = target;
+    for (let i = start; i < segments.length; i++) {
+        if (typeof val === 'undefined' || val === null) {
+            return undefined;
+        }
+        let vtype = typeof val[segments[i]];
+        if (vtype === 'undefined' || vtype === 'function') {
+            return undefined;
+        }
+        val = val[segments[i]];
+    }
+    return val;
+}
+
+/**
+ * Calls each compiled getter against the target and returns the array of resulting values.
+ * @param {Array.<CompiledExpression>} getters - The compiled getters, such as function arguments.
+ * @param {*} target - The target object containing properties and values used in the expression.
+ * @param {Object} [scope] - The values of the lambda parameters in scope, by name.
+ * @returns {Array}
+ */
+function argsOf(getters, target, scope) {
+    let args = new Array(getters.length);
+    for (let i = 0; i < getters.length; i++) {
+        args[i] = getters[i](target, scope);
+    }
+    return args;
+}
+
+/**
+ * Creates the compiled call of an op or func node: the arguments are resolved with the compiled getters, validated,
+ * and given to the function after its leading arguments (see `invokerOf`). The validators and the layout of the
+ * arguments are resolved once, when compiled, and a literal argument is validated then instead of on each evaluation.
+ * As when evaluated without compiling, an invalid definition or number of arguments is thrown when the call is
+ * evaluated (after its arguments), so it is not thrown for calls that are never evaluated, such as in a branch of `IF`.
+ * @param {Object} registry - The ops or funcs object of the environment.
+ * @param {CalKuOperator | CalKuFunction} definition - The op or func definition.
+ * @param {ASTNode} node - The operation or function call node.
+ * @param {Array.<ASTNode>} argNodes - The argument nodes of the operation or call.
+ * @param {Array.<CompiledExpression>} getters - The compiled getters of the arguments.
+ * @param {Function} func - The function computing the op or func.
+ * @param {Array} leading - The arguments given to the function ahead of the argument values.
+ * @returns {CompiledExpression}
+ */
+function invocationOf(registry, definition, node, argNodes, getters, func, leading) {
+    let validators = null;
+    try {
+        validators = registry.validatorsOf(definition, getters.length);
+    } catch (err) {
+        let located = locate(err, node, argNodes);
+        return (target, scope) => {
+            argsOf(getters, target, scope);
+            throw located;
+        };
+    }
+    let checked = [];
+    for (let i = 0; i < validators.length; i++) {
+        if (validators[i] && !(argNodes[i]?.type === NodeType.Literal && validators[i](getters[i](), false))) {
+            checked.push(i); //a valid literal argument is valid on every evaluation, so it is not validated again.
+        }
+    }
+    let offset = leading.length;
+    let count = getters.length;
+    if (offset === 0 && count === 2) {
+        //binary operations are the most common calls, so their arguments are passed without an array.
+        let [left, right] = getters;
+        let validateLeft = (checked.includes(0) ? validators[0] : null);
+        let validateRight = (checked.includes(1) ? validators[1] : null);
+        return (target, scope) => {
+            let a = left(target, scope);
+            let b = right(target, scope);
+            try {
+                if (validateLeft) {
+                    validateLeft(a, true);
+                }
+                if (validateRight) {
+                    validateRight(b, true);
+                }
+            } catch (err) {
+                throw locate(err, node, argNodes);
+            }
+            return func.call(target, a, b);
+        };
+    }
+    return (target, scope) => {
+        let args = new Array(offset + count);
+        for (let i = 0; i < offset; i++) {
+            args[i] = leading[i];
+        }
+        for (let i = 0; i < count; i++) {
+            args[offset + i] = getters[i](target, scope);
+        }
+        if (checked.length) {
+            try {
+                for (let k = 0; k < checked.length; k++) {
+                    validators[checked[k]](args[offset + checked[k]], true);
+                }
+            } catch (err) {
+                throw locate(err, node, argNodes);
+            }
+        }
+        return func.apply(target, args);
+    };
+}
+
+/**
+ * Returns the leading arguments given to an op or func declaring `context`: an array holding the `FunctionContext`
+ * of the CalKu instance, or an empty array if the op or func does not declare `context`.
+ * 
+ * Expressions compiled through the context use the instance's timezone, locale, decimal mode, and environment, and
+ * are cached for the op or func so they are only parsed once across evaluations.
+ * @param {CalKu} calku - The CalKu instance compiling the op or func.
+ * @param {CalKuOperator | CalKuFunction} definition - The op or func definition.
+ * @returns {Array.<FunctionContext>}
+ */
+function contextOf(calku, definition) {
+    if (!definition.context) {
+        return [];
+    }
+    let compiled = new Map();
+    return [{
+        timeZone: calku.timeZone,
+        locale: calku.locale,
+        decimal: calku.decimal,
+        comparison: calku.environment.comparison,
+        compile: (expression) => {
+            let c = compiled.get(expression);
+            if (!c) {
+                if (compiled.size >= COMPILED_CACHE_LIMIT) {
+                    compiled.clear(); //expressions may come from targets, so don't grow without limit.
+                }
+                let inner = new CalKu(expression, calku.timeZone, calku.environment);
+                inner.locale = calku.locale;
+                inner.decimal = calku.decimal;
+                c = inner.compile();
+                compiled.set(expression, c);
+            }
+            return c;
+        },
+        valueAt: CalKu.valueAt
+    }];
+}
+
+/**
+ * Returns the function computing an op or func for the CalKu instance, and its leading arguments (see `contextOf`).
+ * In decimal mode, an op or func declaring a `decimal` function is computed by it in place of its `func`, given the
+ * `DecimalOptions` of the instance ahead of the context (if declared).
+ * @param {CalKu} calku - The CalKu instance compiling the op or func.
+ * @param {CalKuOperator | CalKuFunction} definition - The op or func definition.
+ * @returns {Array} The function, and the array of its leading arguments.
+ */
+function invokerOf(calku, definition) {
+    let context = contextOf(calku, definition);
+    if (calku.decimal && typeof definition.decimal === 'function') {
+        return [definition.decimal, [calku.decimal].concat(context)];
+    }
+    return [definition.func, context];
+}
 
 /**
  * CalKu is an expression engine that gives users the ability to write textual operations, comparisons, and function
  * calls that can evaluate against any 0..N-number of object(s).
  * 
- * The expression is evaluated upon call to the `.value` or `.values` functions.
+ * The expression is evaluated upon call to the `.value` or `.values` functions. The expression is only parsed once,
+ * and evaluation does not modify the parsed tokens, so an instance may be evaluated against any number of targets-
+ * including from within another evaluation of the same instance (e.g. from a custom function).
  * 
  * Expressions can reference properties and sub-object properties through a dot-style notation, or can
  * omit object-specific references entirely and then evaluate without an object.
@@ -55,10 +504,11 @@ const TokenType = {
  * @example
  * "10 + 6 / 2 * 55 ^ (2 % 1)" //use mathmatical operators, evaluated with proper order-of-operations
  * "10 + {person.age}" //reference object properties and use their values in the expression when evaluated
- * "(10 / 2 + 3 * ({person.count} * 2)" //use grouping with parenthesis
+ * "(10 / 2 + 3 * ({person.count} * 2))" //use grouping with parenthesis
  * "true OR false AND true AND 123 != 54321" //use logical conditions and comparisons
  * "{person.numbers} CONTAINS 44 OR {person.numbers} STARTSWITH 10" //use comparisons with array values
  * '"The" + MID("Developer", 0, 3) + "Expert"' //Use function calls
+ * '[1, 2, {person.age}, "x"] CONTAINS 2' //use array literals
  * 
  * //build complex expressions that mix and combine all ^ these features! Awesome!
  */
@@ -69,15 +519,29 @@ class CalKu {
      * @param {String} [timeZone] - The timezone to apply for dates in the expression (if they don't specify a 
      * timezone). If not specified, dates will be assumed to be in GMT time. The value must be an internationally
      * recognized timezone string. See [this list on wikipedia](https://en.wikipedia.org/wiki/List_of_tz_database_time_zones).
+     * @param {CalKuEnvironment} [environment] - The environment providing the ops and funcs available to the
+     * expression. If not specified, the default environment (the built-in ops and funcs) is used.
      */
-    constructor(expression, timeZone) {
+    constructor(expression, timeZone, environment) {
 
         /**
-         * @type {Intl.ResolvedDateTimeFormatOptions & {offset:String}}
+         * @type {Intl.ResolvedDateTimeFormatOptions}
          * @private
          */
         this._timeZone = null;
 
+        /**
+         * @type {String}
+         * @private
+         */
+        this._locale = null;
+
+        /**
+         * @type {DecimalOptions}
+         * @private
+         */
+        this._decimal = null;
+
         /**
          * @type {String}
          * @private
@@ -85,14 +549,35 @@ class CalKu {
         this._expression = null;
 
         /**
+         * @type {CalKuEnvironment}
+         * @private
+         */
+        this._environment = null;
+
+        /**
+         * The lexed tokens of the expression, frozen so they may be shared safely by all evaluations.
          * @type {Array.<Token>}
          * @private
          */
         this._tokenCache = null;
 
+        /**
+         * The parsed abstract syntax tree of the expression, or `undefined` when not yet parsed.
+         * @type {ASTNode}
+         * @private
+         */
+        this._ast = undefined;
+
+        /**
+         * @type {CompiledExpression}
+         * @private
+         */
+        this._compiled = null;
+
         //init
         this.timeZone = timeZone;
         this.expression = expression;
+        this.environment = environment;
     }
 
     /**
@@ -109,12 +594,34 @@ class CalKu {
     set expression(value) {
         this._expression = value;
         this._tokenCache = null; //expression changed, store cache next time.
+        this._ast = undefined;
+        this._compiled = null;
+    }
+
+    /**
+     * The environment providing the ops and funcs available to the expression. When not set, the default environment
+     * (the built-in ops and funcs) is used.
+     * @type {CalKuEnvironment}
+     */
+    get environment() {
+        return this._environment ?? CalKuEnvironment.default;
+    }
+
+    /**
+     * @param {CalKuEnvironment} value - The value to be set on the `environment` property.
+     */
+    set environment(value) {
+        this._environment = value ?? null;
+        this._tokenCache = null; //ops and funcs may differ, so re-lex.
+        this._ast = undefined;
+        this._compiled = null;
     }
 
     /**
      * The timezone setting for dates found in the expression (that don't already have a timezone specified).
      * Must be an internationally recognized timezone string. If unknown or not specified, the default UTC
-     * interpolation will be used.
+     * interpolation will be used. The offset of each date is resolved by the timezone's rules at that date, so a
+     * winter date and a summer date may differ in offset (daylight-saving time).
      * @see `Intl.supportedValuesOf('timeZone')`
      * @see https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
      * @type {String}
@@ -129,34 +636,101 @@ class CalKu {
     set timeZone(value) {
         let opts = null;
         if (value) {
-            let fmt = Intl.DateTimeFormat([], { timeZone: value, timeZoneName: 'longOffset' });
-            let val = fmt.format(new Date());
-            let result = val.match(/GMT([+-].+)?/i);
-            opts = fmt.resolvedOptions();
-            if (!result || result.length === 0 || !result[1]) {
-                opts.offset = '+00:00';
-            } else {
-                opts.offset = result[1];
-            }
+            opts = Intl.DateTimeFormat([], { timeZone: value }).resolvedOptions();
         }
         this._timeZone = opts;
+        this._tokenCache = null; //dates are parsed with the timezone, so re-lex.
+        this._ast = undefined;
+        this._compiled = null;
+    }
+
+    /**
+     * The locale used by functions formatting numbers and dates as text (such as `FORMAT` and `CURRENCY`), e.g.
+     * `"de-DE"` for "1.234,50". Must be a BCP 47 language tag. If not specified, `"en-US"` is used, so the text of an
+     * expression does not depend on the locale of the machine evaluating it.
+     * @see `Intl.getCanonicalLocales`
+     * @type {String}
+     */
+    get locale() {
+        return this._locale ?? null;
+    }
+
+    /**
+     * @param {String} value - The value to be set on the `locale` property.
+     */
+    set locale(value) {
+        this._locale = (value ? Intl.getCanonicalLocales(value)[0] : null);
+        this._compiled = null; //the locale is given to funcs when compiled, so re-compile.
+    }
+
+    /**
+     * The options of decimal mode, or `null` (the default) when numbers are JavaScript (floating-point) numbers. In
+     * decimal mode, numbers written in the expression are exact `Decimal` values, and the math ops, comparisons, and
+     * aggregate, rounding, and statistical funcs (such as `SUM` and `ROUND`) compute exactly on decimals- so
+     * `0.1 + 0.2` is exactly `0.3`, and numbers of the target are read as the decimals of their shortest text. Results
+     * with more decimal digits than the `scale` (such as `1 / 3`) are rounded to it. Other ops and funcs are given
+     * decimals as numbers.
+     *
+     * Set to `true` to use the default scale and rounding (see `decimal.defaults`), or to an object setting either.
+     * @throws RangeError when the scale is not a whole number from `0` to `100`, or the rounding mode is unknown.
+     * @type {DecimalOptions}
+     */
+    get decimal() {
+        return this._decimal ?? null;
+    }
+
+    /**
+     * @param {Boolean | DecimalOptions} value - The value to be set on the `decimal` property.
+     */
+    set decimal(value) {
+        let opts = null;
+        if (value) {
+            opts = {
+                scale: value.scale ?? decimalDefaults.scale,
+                rounding: value.rounding ?? decimalDefaults.rounding
+            };
+            if (!Number.isInteger(opts.scale) || opts.scale < 0 || opts.scale > 100) {
+                throw new RangeError(`Invalid decimal scale "${opts.scale}". The scale must be a whole number from 0 to 100.`);
+            } else if (!RoundingModes.includes(opts.rounding)) {
+                throw new RangeError(`Invalid decimal rounding mode "${opts.rounding}". Use "${RoundingModes.join('", "')}".`);
+            }
+            Object.freeze(opts);
+        }
+        this._decimal = opts;
+        this._tokenCache = null; //numbers are parsed as decimals, so re-lex.
+        this._ast = undefined;
+        this._compiled = null;
     }
 
     /**
      * Parses the expression text into lexical tokens. If the syntax of the expression cannot be parsed, an error will
      * be thrown. The tokens are sequential, as ordered from the expression text. 
      * These tokens are not evaluated, so they may express a valid or invalid expression.
-     * @throws Error when the expression syntax is invalid.
-     * @throws Error when the function is unknown or not supported.
+     * 
+     * When a `diagnostics` array is given, the lexer recovers from problems instead of throwing, adding a diagnostic
+     * for each to the array.
+     * @throws CalKuError when the function is unknown or not supported.
+     * @throws CalKuError when a property reference, quoted string, or regular expression is missing its closing symbol.
+     * @throws CalKuError when a regular expression is invalid or risks catastrophic backtracking.
+     * @param {Array.<Diagnostic>} [diagnostics] - Optional array to collect problems in, instead of throwing them.
      * @returns {Array.<Token>}
      * @protected
      */
-    lexer() {
+    lexer(diagnostics) {
         /** @type {Array.<Token>} */
         let tokens = [];
+        let report = (err) => {
+            if (!diagnostics) {
+                throw err;
+            }
+            diagnostics.push(err.toDiagnostic());
+        };
         if (this.expression) {
             let input = this.expression;
-            let opMap = ops.toRegExp('consolidate', 'logic', 'compare', 'math');
+            let env = this.environment;
+            let opMap = env.ops.toRegExp('consolidate', 'logic', 'compare', 'math');
+            let prefixOpMap = new Map([...opMap].filter(([k]) => env.ops[k].prefix));
+            let binaryOpMap = new Map([...opMap].filter(([k]) => !env.ops[k].prefix));
             let openToken = null; //if this is present, it's a token that is building up it's context over multiple chars
             let openGroupingStack = []; //stores the "starting" token types discovered and still unclosed.
             //evaluate the expression one char at a time to build a sequential list of tokens
@@ -188,8 +762,13 @@ class CalKu {
                         openToken.type = TokenType.FuncArgumentsStart;
                         openToken.endIndex = i + argStartIndex + 1;
                         openToken.func = openToken.value;
-                        if (typeof funcs[openToken.func] === 'undefined') {
-                            throw new SyntaxError(`Unknown or un-supported function "${openToken.func}" "${sub}" at index ${i}.`);
+                        if (typeof env.funcs[openToken.func] === 'undefined' && openToken.func !== LAMBDA_FUNC) {
+                            report(new CalKuError(`Unknown or un-supported function "${openToken.func}" "${sub}" at index ${i}.`, {
+                                code: ErrorCode.UnknownFunction,
+                                startIndex: openToken.startIndex,
+                                endIndex: i,
+                                func: openToken.func
+                            }));
                         }
                         delete openToken.value;
                         delete openToken.style;
@@ -198,7 +777,7 @@ class CalKu {
                         // openToken = null;
                         i += argStartIndex; //skip past any whitespace
                         openGroupingStack.push(TokenType.FuncArgumentsStart);
-                    } else if (openToken.style === 'naked' && /\s|\(|\)|\{|\}/i.test(input[i])) {
+                    } else if (openToken.style === 'naked' && /\s|\(|\)|\{|\}|\[|\]/i.test(input[i])) {
                         openToken.endIndex = i;
                         openToken = null;
                         i--; //need to walk back (-1) on this after closing as it may be a actionable char
@@ -206,12 +785,11 @@ class CalKu {
                         openToken.style === 'naked'
                         && input[i - 1] !== '\\'
                         && input[i] === ','
-                        && openGroupingStack.length
-                        && openGroupingStack[openGroupingStack.length - 1] === TokenType.FuncArgumentsStart) {
+                        && SeparatorTypes[openGroupingStack[openGroupingStack.length - 1]]) {
                         openToken.endIndex = i;
                         openToken = null;
                         newToken = {
-                            type: TokenType.FuncArgumentsSeparator,
+                            type: SeparatorTypes[openGroupingStack[openGroupingStack.length - 1]],
                             startIndex: i,
                             endIndex: i + 1
                         };
@@ -222,6 +800,15 @@ class CalKu {
                         openToken.value += input[i];
                         openToken.endIndex = i + 1;
                     }
+                } else if (LambdaHeader.test(sub) && isPrefixPosition(tokens)) { //lambda parameters, e.g. "x =>" or "(total, x) =>"
+                    let m = sub.match(LambdaHeader);
+                    newToken = {
+                        type: TokenType.Lambda,
+                        startIndex: i,
+                        endIndex: i + m[0].length,
+                        params: (m[1] ?? m[2] ?? '').split(',').map(p => p.trim()).filter(p => p)
+                    };
+                    i += m[0].length - 1;
                 } else if (input[i] === '(') { //new group detected
                     newToken = {
                         type: TokenType.GroupStart,
@@ -242,6 +829,20 @@ class CalKu {
                         startIndex: i,
                         endIndex: i + 1
                     };
+                } else if (input[i] === '[') { //new array detected
+                    newToken = {
+                        type: TokenType.ArrayStart,
+                        startIndex: i,
+                        endIndex: i + 1
+                    };
+                    openGroupingStack.push(TokenType.ArrayStart);
+                } else if (input[i] === ']') { //end of array detected
+                    openGroupingStack.pop();
+                    newToken = {
+                        type: TokenType.ArrayEnd,
+                        startIndex: i,
+                        endIndex: i + 1
+                    };
                 } else if (input[i] === '{') { //start of a property reference
                     newToken = {
                         type: TokenType.PropertyRef,
@@ -261,16 +862,54 @@ class CalKu {
                 } else if (
                     input[i - 1] !== '\\'
                     && input[i] === ','
-                    && openGroupingStack.length
-                    && openGroupingStack[openGroupingStack.length - 1] === TokenType.FuncArgumentsStart) {
+                    && SeparatorTypes[openGroupingStack[openGroupingStack.length - 1]]) {
                     newToken = {
-                        type: TokenType.FuncArgumentsSeparator,
+                        type: SeparatorTypes[openGroupingStack[openGroupingStack.length - 1]],
                         startIndex: i,
                         endIndex: i + 1
                     };
                 } else if (/\s/.test(input[i]) === false) { //anything else that isn't whitespace.
-                    //determine if op
-                    for (let [k, r] of opMap) {
+                    //determine if op, prefix ops are preferred when there is no preceding value.
+                    let prefixed = isPrefixPosition(tokens);
+                    let opMaps = (prefixed ? [prefixOpMap, binaryOpMap] : [binaryOpMap, prefixOpMap]);
+                    //a func symbol directly followed by "(" with no preceding value is a call, even if it is also an op
+                    //symbol (e.g. "NOT(" and "AND(").
+                    let call = (prefixed ? sub.match(/^(\w+)\(/) : null);
+                    let isCall = (call && typeof env.funcs[call[1]] !== 'undefined');
+                    let literal = (prefixed && input[i] === '/' ? regex.literalAt(input, i) : null);
+                    if (literal) { //regular expression literal, a "/" with no preceding value is not division.
+                        let problem = regex.problemOf(literal.source, literal.flags);
+                        newToken = {
+                            type: TokenType.Literal,
+                            style: 'regexp',
+                            startIndex: i,
+                            endIndex: literal.endIndex,
+                            value: (problem ? null : new RegExp(literal.source, literal.flags))
+                        };
+                        if (problem) {
+                            report(new CalKuError(`The regular expression ${input.substring(i, literal.endIndex)} at index ${i} ${problem}`, {
+                                code: ErrorCode.InvalidRegExp,
+                                startIndex: i,
+                                endIndex: literal.endIndex
+                            }));
+                        }
+                        i = literal.endIndex - 1;
+                    } else if (prefixed && input[i] === '/') { //unclosed, so the rest of the line is skipped.
+                        newToken = {
+                            type: TokenType.Literal,
+                            style: 'regexp',
+                            startIndex: i,
+                            endIndex: (input.indexOf('\n', i) < 0 ? input.length : input.indexOf('\n', i)),
+                            value: null
+                        };
+                        report(new CalKuError(`Missing closing "/" for the regular expression starting at index ${i}.`, {
+                            code: ErrorCode.InvalidRegExp,
+                            startIndex: i,
+                            endIndex: newToken.endIndex
+                        }));
+                        i = newToken.endIndex - 1;
+                    }
+                    for (let [k, r] of (newToken || isCall ? [] : opMaps.flatMap(m => [...m]))) {
                         let m = input.substring(i).match(r);
                         if (m && m[1]) {
                             newToken = {
@@ -288,6 +927,7 @@ class CalKu {
                         newToken = {
                             type: TokenType.Literal,
                             startIndex: i,
+                            endIndex: i + 1,
                             value: input[i]
                         };
                         if (input[i] === '"') {
@@ -305,6 +945,19 @@ class CalKu {
                     tokens.push(newToken);
                 }
             }
+            if (openToken?.type === TokenType.PropertyRef) {
+                report(new CalKuError(`Missing closing "}" for the property reference starting at index ${openToken.startIndex}.`, {
+                    code: ErrorCode.UnclosedPropertyRef,
+                    startIndex: openToken.startIndex,
+                    endIndex: input.length
+                }));
+            } else if (openToken?.type === TokenType.Literal && openToken.style === 'quoted') {
+                report(new CalKuError(`Missing closing quote for the text starting at index ${openToken.startIndex - 1}.`, {
+                    code: ErrorCode.UnclosedString,
+                    startIndex: openToken.startIndex - 1,
+                    endIndex: input.length
+                }));
+            }
         }
         //post lexing value parse
         for (let token of tokens) {
@@ -317,7 +970,7 @@ class CalKu {
         let groupStack = []; //the stack of ongoing groups in the tree.
         for (let i = 0; i < tokens.length; i++) {
             let token = tokens[i];
-            if (token.type === TokenType.GroupStart || token.type === TokenType.FuncArgumentsStart) {
+            if (token.type === TokenType.GroupStart || token.type === TokenType.FuncArgumentsStart || token.type === TokenType.ArrayStart) {
                 let newGroup = null;
                 if (token.type === TokenType.GroupStart) {
                     newGroup = {
@@ -325,6 +978,12 @@ class CalKu {
                         startIndex: token.startIndex,
                         tokens: []
                     };
+                } else if (token.type === TokenType.ArrayStart) {
+                    newGroup = {
+                        type: TokenType.Array,
+                        startIndex: token.startIndex,
+                        tokens: []
+                    };
                 } else {
                     newGroup = {
                         type: TokenType.Func,
@@ -341,7 +1000,7 @@ class CalKu {
                 }
                 //add to the end of the stack
                 groupStack.push(newGroup);
-            } else if (groupStack.length && (token.type === TokenType.GroupEnd || token.type === TokenType.FuncArgumentsEnd)) {
+            } else if (groupStack.length && (token.type === TokenType.GroupEnd || token.type === TokenType.FuncArgumentsEnd || token.type === TokenType.ArrayEnd)) {
                 groupStack[groupStack.length - 1].endIndex = token.endIndex; //set the proper endIndex for the group
                 groupStack.pop(); //all done
             } else if (groupStack.length) { //we're in a group
@@ -358,12 +1017,12 @@ class CalKu {
     /**
      * Parses a singlular supported string representation of a value into a typed value, either a Number, String, 
      * Date (from ISO8601, full), Boolean, or Array of those values. This method will remove outermost double or 
-     * single quotes if found on a String value.
+     * single quotes if found on a String value. Numbers are parsed as a `Decimal` in decimal mode.
      * @throws SyntaxError if there is an outermost starting or ending single or double quote without the opposite.
      * @param {String} value - the value to be parsed.
-     * @param {String} [hint] - a hint helping the parser better understand the value. Can be "quoted", "array", or 
-     * "naked" (which is essentially an unknown type of value)
-     * @returns {Number|String|Date|Boolean|Array}
+     * @param {String} [hint] - a hint helping the parser better understand the value. Can be "quoted", "array", 
+     * "regexp", or "naked" (which is essentially an unknown type of value)
+     * @returns {Number|Decimal|String|Date|Boolean|Array}
      * @protected
      */
     valueParse(value, hint) {
@@ -371,8 +1030,8 @@ class CalKu {
             if (hint === 'quoted') {
                 return value; //stop processing if a quoted string.
             } else if (/^-?\d*(\.\d+)?$/.test(value)) {
-                let tryValue = parseFloat(value);
-                if (isNaN(tryValue) === false) {
+                let tryValue = (this._decimal ? Decimal.from(value) : parseFloat(value));
+                if (tryValue !== null && isNaN(tryValue) === false) {
                     return tryValue;
                 }
             } else if (/^true$/i.test(value)) {
@@ -383,19 +1042,8 @@ class CalKu {
                 return null;
             } else if (/^undefined$/i.test(value)) {
                 return undefined;
-            } else if (ISO8601Date.test(value) || USAppKuStandardDate.test(value)) {
-                if (/([+-]\d\d:\d\d)|Z$/.test(value) === false) { //no timezone, so adjust if needed.
-                    if (value.indexOf('T') === -1) {
-                        value += (this._timeZone ? ' GMT' : ' ');
-                    }
-                    if (this._timeZone?.offset) {
-                        value += this._timeZone.offset;
-                    } else {
-                        value += 'Z';
-                    }
-                }
-                return new Date(value);
             }
+            return (dates.parse(value, this.timeZone) ?? value);
         }
         return value;
     }
@@ -405,23 +1053,38 @@ class CalKu {
      * the array of `Token` objects.
      * @param {Array.<Token>} [tokens] - An array of tokens to evaluate. If `undefined`, the current expression's
      * tokens will be used.
+     * @param {Array.<String>} [params] - The names of the lambda parameters in scope, which are not properties of the
+     * target and so are not included.
      * @returns {Array.<String>}
      * @protected
      */
-    propertiesOf(tokens) {
+    propertiesOf(tokens, params) {
         let props = [];
         if (typeof tokens === 'undefined') {
             //lazy load cached tokens (lexing is expensive!)
             if (!this._tokenCache) {
-                this._tokenCache = this.lexer();
+                this._tokenCache = freeze(this.lexer());
             }
             tokens = this._tokenCache;
         }
         //gather distinct list of props from all tokens
+        let scoped = params ?? [];
         for (let t of tokens) {
-            if ((t.type === TokenType.Group || t.type === TokenType.Func) && t.tokens?.length) {
+            if (t.type === TokenType.Lambda) {
+                scoped = scoped.concat(t.params); //the tokens following it are the lambda body.
+            } else if (t.type === TokenType.FuncArgumentsSeparator || t.type === TokenType.ArraySeparator) {
+                scoped = params ?? [];
+            } else if ((t.type === TokenType.Group || t.type === TokenType.Func || t.type === TokenType.Array) && t.tokens?.length) {
+                let nested = scoped;
+                if (t.type === TokenType.Func && t.func === LAMBDA_FUNC) {
+                    //all but the last argument are the lambda parameters.
+                    nested = scoped.concat(segmentsOf(t.tokens, TokenType.FuncArgumentsSeparator)
+                        .slice(0, -1)
+                        .filter(segment => segment.length === 1 && segment[0].type === TokenType.Literal)
+                        .map(segment => segment[0].value));
+                }
                 //nested array of tokens, recurse into...
-                let resultProps = this.propertiesOf(t.tokens);
+                let resultProps = this.propertiesOf(t.tokens, nested);
                 for (let rp of resultProps) {
                     if (props.some(v => v === rp) === false) {
                         props.push(rp);
@@ -429,6 +1092,7 @@ class CalKu {
                 }
             } else if (t.type === TokenType.PropertyRef
                 && t.prop
+                && scoped.indexOf(t.prop.split(/\.|:/)[0]) < 0
                 && props.some(v => v === t.prop) === false) {
                 props.push(t.prop);
             }
@@ -453,111 +1117,443 @@ class CalKu {
      * @protected
      */
     valueOf(target, tokens) {
-        let value;
         if (typeof tokens === 'undefined') {
-            //lazy load cached tokens (lexing is expensive!)
-            if (!this._tokenCache) {
-                this._tokenCache = this.lexer();
+            return this.compile()(target);
+        }
+        return this.compileNode(this.parseTokens(tokens))(target);
+    }
+
+    /**
+     * Parses a series of tokens into a single abstract syntax tree node, resolving the order-of-operations of the
+     * operators between them. Returns `null` when there are no tokens (or only comments).
+     * @throws CalKuError when the operations in the tokens cannot be consolidated into a single value.
+     * @throws CalKuError when a lambda has no body, or its parameter names are invalid.
+     * @param {Array.<Token>} tokens - An array of tokens to parse.
+     * @returns {ASTNode}
+     * @protected
+     */
+    parseTokens(tokens) {
+        let env = this.environment;
+        //1. Parse all values (groups, functions, etc.) into nodes.
+        let consolidator = [];
+        for (let [i, token] of (tokens ?? []).entries()) {
+            if (token.type === TokenType.Operator) {
+                consolidator.push(token);
+            } else if (token.type === TokenType.GroupEnd || token.type === TokenType.FuncArgumentsEnd || token.type === TokenType.ArrayEnd) {
+                throw unbalancedGroupError(token);
+            } else if (token.type === TokenType.Lambda) {
+                //the lambda body is the rest of the tokens, so it binds looser than any operator.
+                let body = this.parseTokens(tokens.slice(i + 1));
+                consolidator.push({ node: lambdaNode(token.params, body, token.startIndex, token.endIndex) });
+                break;
+            } else if (token.type !== TokenType.Comment) {
+                consolidator.push({ node: this.parseToken(token) });
             }
-            tokens = this._tokenCache;
         }
-        //only process tokens if there are tokens!
-        if (tokens?.length) {
-            //1. Resolve values and recurse into groups and functions to obtain values (deepest to shallowest)
-            for (let token of tokens) {
-                if (token.type === TokenType.Group) {
-                    token.value = this.valueOf(target, token.tokens);
-                } else if (token.type === TokenType.Func && token.tokens?.length) {
-                    for (let argToken of token.tokens) {
-                        if (argToken.type === TokenType.Group) {
-                            argToken.value = this.valueOf(target, argToken.tokens);
+        //2. Consolidate the ops into nodes of the values they apply to.
+        //walk through all top-level tokens and consolidate operations (in order) into a single node.
+        let orderedOps = env.ops.ordered(); //gotta respect order-of-operations.
+        let missingOperand = (opToken, message) => new CalKuError(message, {
+            code: ErrorCode.MissingOperand,
+            startIndex: opToken.startIndex,
+            endIndex: opToken.endIndex,
+            op: opToken.op
+        });
+        let applyPrefix = (i) => {
+            let opToken = consolidator[i];
+            let op = env.ops[opToken.op];
+            if (i === consolidator.length - 1) {
+                throw missingOperand(opToken, `Operator "${op.symbols.join(', ')}" has no subsequent expression following it, at index ${opToken.startIndex}.`);
+            } else if (consolidator[i + 1].op) {
+                if (!env.ops[consolidator[i + 1].op].prefix) {
+                    throw missingOperand(opToken, `Evaluation of operator "${op.symbols.join(', ')}" failed to determine a value from the expression following it, beginning at index ${opToken.startIndex}.`);
+                }
+                applyPrefix(i + 1); //nested prefix operator, resolve it first.
+            }
+            let operand = consolidator[i + 1].node;
+            consolidator.splice(i, 2, {
+                node: new ASTNode(NodeType.Unary, opToken.startIndex, operand.endIndex, { op: opToken.op, operand }, env.ops)
+            });
+        };
+        for (let opKey of orderedOps) {
+            let keys = (Array.isArray(opKey) ? opKey : [opKey]);
+            //prefix ops apply to the value after them, so they are resolved right-to-left.
+            for (let i = consolidator.length - 1; i >= 0; i--) {
+                if (consolidator[i].op && env.ops[consolidator[i].op].prefix && keys.indexOf(consolidator[i].op) > -1) {
+                    applyPrefix(i);
+                }
+            }
+            for (let i = 0; i < consolidator.length; i++) {
+                if (consolidator[i].op && !env.ops[consolidator[i].op].prefix && keys.indexOf(consolidator[i].op) > -1) {
+                    let opToken = consolidator[i];
+                    let op = env.ops[opToken.op];
+                    if (i === 0) {
+                        throw missingOperand(opToken, `Evaluation of operator "${op.symbols.join(', ')}" failed to determine a value from the expression preceding it, beginning at index ${opToken.startIndex}. An operator cannot be the first symbol of an expression.`);
+                    } else if (i === consolidator.length - 1) {
+                        throw missingOperand(opToken, `Operator "${op.symbols.join(', ')}" has no subsequent expression following it, at index ${opToken.startIndex}.`);
+                    } else if (consolidator[i - 1].op) {
+                        throw missingOperand(opToken, `Evaluation of operator "${op.symbols.join(', ')}" failed to determine a value from the expression preceding it, beginning at index ${opToken.startIndex}.`);
+                    } else if (consolidator[i + 1].op) {
+                        if (!env.ops[consolidator[i + 1].op].prefix) {
+                            throw missingOperand(opToken, `Evaluation of operator "${op.symbols.join(', ')}" failed to determine a value from the expression following it, beginning at index ${opToken.startIndex}.`);
                         }
+                        applyPrefix(i + 1); //a prefix op binds to the value directly following this op.
                     }
-                } else if (token.type === TokenType.PropertyRef) {
-                    token.value = CalKu.valueAt(target, token.prop);
+                    //consolidate into a single node.
+                    let left = consolidator[i - 1].node;
+                    let right = consolidator[i + 1].node;
+                    consolidator.splice(i - 1, 3, {
+                        node: new ASTNode(NodeType.Binary, left.startIndex, right.endIndex, { op: opToken.op, left, right }, env.ops)
+                    });
+                    i = 0; //reset loop to rescan for op.
                 }
             }
-            //2. Resolve function calls
-            for (let token of tokens) {
-                if (token.type === TokenType.Func) {
-                    let f = funcs[token.func];
-                    let paramLen = 0;
-                    if (typeof f.params === 'number') {
-                        paramLen = f.params;
-                    } else if (Array.isArray(f.params)) {
-                        paramLen = f.params.length;
-                    } else if (f.params === true) {
-                        paramLen = true; //any number of arguments
+        }
+        if (consolidator.length === 1 && !consolidator[0].op) {
+            return consolidator[0].node;
+        } else if (consolidator.length) {
+            let unexpected = consolidator[1]?.node ?? consolidator[1] ?? consolidator[0]; //the first value (or op) not joined to the first.
+            throw new CalKuError('Unable to consolidate value from expression. The expression may be malformed.', {
+                code: ErrorCode.MalformedExpression,
+                startIndex: unexpected.startIndex,
+                endIndex: unexpected.endIndex
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Parses a single (non-operator) token into an abstract syntax tree node. Groups are parsed into the node of their
+     * contents, spanning the group's parenthesis. Empty groups, arguments, and array items are parsed as an 
+     * `undefined` literal, and an empty argument or item spans the separators around it (e.g. `,,` in `SUM(1,,2)`).
+     * @throws CalKuError when a group, function call, or array is missing its closing symbol.
+     * @param {Token} token - The token to parse.
+     * @returns {ASTNode}
+     * @protected
+     */
+    parseToken(token) {
+        if ((token.type === TokenType.Group || token.type === TokenType.Func || token.type === TokenType.Array) && typeof token.endIndex === 'undefined') {
+            throw unclosedGroupError(token);
+        }
+        let parseSegment = (segment, startIndex, endIndex) => (
+            this.parseTokens(segment) ?? new ASTNode(NodeType.Literal, startIndex, endIndex, { value: undefined })
+        );
+        let parseSegments = (separator) => segmentsOf(token.tokens, separator).map((segment, i, segments) => {
+            let span = (segments.length > 1 ? emptySegmentSpanOf(token.tokens, separator, i) : token);
+            return parseSegment(segment, span.startIndex, span.endIndex);
+        });
+        if (token.type === TokenType.Group) {
+            let node = parseSegment(token.tokens, token.startIndex, token.endIndex);
+            node.startIndex = token.startIndex;
+            node.endIndex = token.endIndex;
+            return node;
+        } else if (token.type === TokenType.PropertyRef) {
+            return new ASTNode(NodeType.PropertyRef, token.startIndex, token.endIndex, { prop: token.prop });
+        } else if (token.type === TokenType.Func && token.func === LAMBDA_FUNC) {
+            //LAMBDA(x, y, body) is the same as (x, y) => body
+            let args = parseSegments(TokenType.FuncArgumentsSeparator);
+            let params = args.slice(0, -1).map(a => (a.type === NodeType.Literal ? a.value : null));
+            return lambdaNode(params, args[args.length - 1], token.startIndex, token.endIndex);
+        } else if (token.type === TokenType.Func) {
+            let args = parseSegments(TokenType.FuncArgumentsSeparator);
+            return new ASTNode(NodeType.Call, token.startIndex, token.endIndex, { func: token.func, args });
+        } else if (token.type === TokenType.Array) {
+            let items = parseSegments(TokenType.ArraySeparator);
+            return new ASTNode(NodeType.Array, token.startIndex, token.endIndex, { items });
+        } else if (token.style === 'quoted') {
+            //span the quotes too.
+            return new ASTNode(NodeType.Literal, token.startIndex - 1, token.endIndex + 1, { value: token.value });
+        }
+        return new ASTNode(NodeType.Literal, token.startIndex, token.endIndex, { value: token.value });
+    }
+
+    /**
+     * Parses the expression into an abstract syntax tree (AST) with the order-of-operations resolved. The returned
+     * tree is frozen and shared by all evaluations of the expression, and may be printed back into canonical 
+     * expression text by calling `toString()` on the root node. Returns `null` for an empty expression.
+     * @example
+     * ```
+     * let ast = new CalKu('10 + {qty} * 2').parse();
+     * //ast.type = 'binary', ast.op = 'ADDITION', ast.right.op = 'MULTIPLICATION'
+     * //ast.toString() = '10 + {qty} * 2'
+     * ```
+     * @throws CalKuError when the expression syntax is invalid.
+     * @returns {ASTNode}
+     */
+    parse() {
+        if (typeof this._ast === 'undefined') {
+            //lazy load cached tokens (lexing is expensive!)
+            if (!this._tokenCache) {
+                this._tokenCache = freeze(this.lexer());
+            }
+            this._ast = freezeNode(this.parseTokens(this._tokenCache));
+        }
+        return this._ast;
+    }
+
+    /**
+     * Checks a series of tokens for syntax problems, adding a diagnostic to the array for each found. Each level of
+     * nesting (groups, function arguments, and array items) is checked on its own, so problems in one do not hide
+     * problems in another. Property paths that can never be resolved and function calls with an invalid number of
+     * arguments are reported as well, as they fail whenever evaluated.
+     * @param {Array.<Token>} tokens - The tokens to check.
+     * @param {Array.<Diagnostic>} diagnostics - The array to add diagnostics to.
+     * @protected
+     */
+    diagnose(tokens, diagnostics) {
+        let level = []; //the tokens of this level, with nested tokens standing in as plain values.
+        for (let token of tokens) {
+            if (token.type === TokenType.GroupEnd || token.type === TokenType.FuncArgumentsEnd || token.type === TokenType.ArrayEnd) {
+                diagnostics.push(unbalancedGroupError(token).toDiagnostic());
+            } else if (token.type === TokenType.Group || token.type === TokenType.Func || token.type === TokenType.Array) {
+                if (typeof token.endIndex === 'undefined') {
+                    diagnostics.push(unclosedGroupError(token).toDiagnostic());
+                }
+                let segments = [token.tokens.filter(t => t.type !== TokenType.Comment)];
+                let separator = SeparatorTypes[token.type === TokenType.Func ? TokenType.FuncArgumentsStart : TokenType.ArrayStart];
+                if (token.type !== TokenType.Group) {
+                    segments = segmentsOf(token.tokens, separator);
+                }
+                segments.forEach((segment, i) => {
+                    if (segment.length) {
+                        this.diagnose(segment, diagnostics);
+                    } else if (token.type === TokenType.Group || segments.length > 1) {
+                        let span = (segments.length > 1 ? emptySegmentSpanOf(token.tokens, separator, i) : token);
+                        diagnostics.push(new CalKuError('An empty group, argument, or item evaluates as undefined.', {
+                            code: ErrorCode.EmptyValue,
+                            startIndex: span.startIndex,
+                            endIndex: span.endIndex ?? span.startIndex + 1,
+                            func: token.func
+                        }).toDiagnostic(Severity.Warning));
                     }
-                    if ((paramLen === 0 || paramLen === true) && !token.tokens?.length) {
-                        token.value = f.func.call(target);
-                    } else {
-                        let args = [];
-                        //split tokens by the separator
-                        for (let ft of token.tokens) {
-                            if (ft.type === TokenType.Func) {
-                                console.log(JSON.stringify(ft.tokens, null , 4));
-                                ft.value = this.valueOf(target, ft.tokens);
-                                args.push(ft.value);
-                            } else if (ft.type !== TokenType.Comment && ft.type !== TokenType.FuncArgumentsSeparator) {
-                                args.push(ft.value);
-                            }             
+                });
+                if (token.type === TokenType.Func && token.func !== LAMBDA_FUNC && this.environment.funcs[token.func] && typeof token.endIndex !== 'undefined') {
+                    try {
+                        this.environment.funcs.validatorsOf(token.func, segments.length); //check the number of arguments.
+                    } catch (err) {
+                        if (!(err instanceof CalKuError)) {
+                            throw err;
                         }
-                        funcs.argsValid(f, args, true);
-                        //make function call to resolve value.
-                        token.value = f.func.apply(target, args);
+                        diagnostics.push(locate(err, token, []).toDiagnostic());
                     }
                 }
-            }
-            //3. Perform operations ("ops") to resolve values
-            if (tokens.length === 1) {
-                //only one token, just return it's value.
-                value = tokens[0].value;
-            } else {
-                //walk through all top-level tokens and perform operations (in order) to net a resulting value.
-                let orderedOps = ops.ordered(); //gotta respect order-of-operations.
-                let consolidator = [];
-                for (let token of tokens) {
-                    if (token.type === TokenType.Operator) {
-                        consolidator.push(token);
-                    } else if (token.type !== TokenType.Comment) {
-                        consolidator.push(token.value);
+                if (token.func === LAMBDA_FUNC) { //check the parameters, the body was checked as a segment.
+                    let params = segments.slice(0, -1).map(segment => (segment.length === 1 ? segment[0].value : null));
+                    let body = (segments[segments.length - 1]?.length ? token : null);
+                    try {
+                        lambdaNode(params, body, token.startIndex, token.endIndex ?? token.startIndex + 1);
+                    } catch (err) {
+                        diagnostics.push(err.toDiagnostic());
                     }
                 }
-                // console.log(`exp: ${this.expression}`);
-                // console.log(`consol start: ${consolidator.join(', ')}`);
-                for (let opKey of orderedOps) {
-                    for (let i = 0; i < consolidator.length; i++) {
-                        if (consolidator[i] && ((Array.isArray(opKey) && opKey.indexOf(consolidator[i].op) > -1) || consolidator[i].op === opKey)) {
-                            let opToken = consolidator[i];
-                            let op = ops[opToken.op];
-                            if (i === 0) {
-                                throw new SyntaxError(`Evaluation of operator "${opToken.symbols.join(', ')}" failed to determine a value from the expression preceding it, beginning at index ${opToken.startIndex}. An operator cannot be the first symbol of an expression.`);
-                            } else if (i === consolidator.length - 1) {
-                                throw new SyntaxError(`Operator "${opToken.symbols.join(', ')}" has no subsequent expression following it, at index ${opToken.startIndex}.`);
-                            } else if (typeof consolidator[i + 1] === 'undefined') {
-                                throw new SyntaxError(`Evaluation of operator "${opToken.symbols.join(', ')}" failed to determine a value from the expression following it, beginning at index ${opToken.startIndex}.`);
-                            }
-                            let preceding = consolidator[i - 1];
-                            let following = consolidator[i + 1];
-                            //perform validations (if any)
-                            ops.argsValid(op, [preceding, following], true);
-                            let result = op.func.call(target, preceding, following);
-                            // console.log(`consol [${consolidator[i].op}]: ${consolidator.join(', ')}`);
-                            //consolidate into a single value.
-                            consolidator.splice(i - 1, 3, result);
-                            i = 0; //reset loop to rescan for op.
-                        }
+                level.push({ type: TokenType.Literal, startIndex: token.startIndex, endIndex: token.endIndex });
+            } else {
+                let err = (token.type === TokenType.PropertyRef && typeof token.prop === 'string' ? pathErrorOf(token.prop) : null);
+                if (err) {
+                    diagnostics.push(locate(err, token, []).toDiagnostic());
+                }
+                level.push(token);
+            }
+        }
+        try {
+            this.parseTokens(level);
+        } catch (err) {
+            if (!(err instanceof CalKuError)) {
+                throw err;
+            }
+            diagnostics.push(err.toDiagnostic());
+        }
+    }
+
+    /**
+     * Checks the expression for syntax problems without evaluating it, returning a diagnostic for each problem found
+     * (ordered by position). An empty array is returned when no problems are found. Unlike parsing, all problems are
+     * reported at once instead of throwing the first, and no target object is needed.
+     * @example
+     * ```
+     * let diagnostics = new CalKu('SUM(1, {qty) + "abc').validate();
+     * //diagnostics[0] = { severity: 'error', code: 'UNCLOSED_GROUP', startIndex: 0, endIndex: 3, ... }
+     * //diagnostics[1] = { severity: 'error', code: 'UNCLOSED_PROPERTY_REF', startIndex: 7, endIndex: 19, ... }
+     * ```
+     * @returns {Array.<Diagnostic>}
+     */
+    validate() {
+        let diagnostics = [];
+        let tokens = this.lexer(diagnostics);
+        this.diagnose(tokens, diagnostics);
+        return diagnostics.sort((a, b) => (a.startIndex ?? 0) - (b.startIndex ?? 0));
+    }
+
+    /**
+     * Compiles an abstract syntax tree node into a function that resolves its value against a target.
+     * 
+     * Values are only resolved when an operation or function needs them, so the right side of a short-circuiting
+     * operation (such as `AND` or `OR`) or an unused lazy function argument (such as a branch of `IF`) is never 
+     * evaluated. The node is never modified, so the same tree may be evaluated against any number of targets, even
+     * from within an ongoing evaluation.
+     * 
+     * A lambda evaluates to a function, which evaluates the lambda body with the values it is called with in scope as
+     * the lambda parameters.
+     * @param {ASTNode} node - The node to compile. If `null`, the compiled function always returns `undefined`.
+     * @returns {CompiledExpression}
+     * @protected
+     */
+    compileNode(node) {
+        if (!node) {
+            return () => undefined;
+        } else if (node.type === NodeType.PropertyRef) {
+            let prop = node.prop;
+            let name = prop.split(/\.|:/)[0];
+            let rest = (prop.length > name.length ? prop.substring(name.length + 1) : null); //the path after a lambda parameter.
+            if (!pathErrorOf(prop)) {
+                //the path is valid, so it is split and checked once rather than on each evaluation.
+                let segments = prop.split(/\.|:/);
+                return (target, scope) => {
+                    if (scope && name in scope) {
+                        return valueOfSegments(scope[name], segments, 1);
+                    }
+                    return valueOfSegments(target, segments);
+                };
+            }
+            return (target, scope) => {
+                try {
+                    if (scope && name in scope) {
+                        return (rest === null ? scope[name] : CalKu.valueAt(scope[name], rest));
                     }
+                    return CalKu.valueAt(target, prop);
+                } catch (err) {
+                    throw locate(err, node, []);
                 }
-                if (consolidator.length === 1) {
-                    value = consolidator[0];
-                } else {
-                    throw new SyntaxError('Unable to consolidate value from expression. The expression may be malformed.');
+            };
+        } else if (node.type === NodeType.Unary || node.type === NodeType.Binary) {
+            return this.compileOp(node);
+        } else if (node.type === NodeType.Call) {
+            return this.compileFunc(node);
+        } else if (node.type === NodeType.Array) {
+            let items = node.items.map(n => this.compileNode(n));
+            return (target, scope) => argsOf(items, target, scope);
+        } else if (node.type === NodeType.Lambda) {
+            let body = this.compileNode(node.body);
+            let params = node.params;
+            return (target, scope) => (...values) => {
+                let inner = Object.create(scope ?? null); //parameters of enclosing lambdas remain in scope.
+                for (let i = 0; i < params.length; i++) {
+                    inner[params[i]] = values[i];
+                }
+                return body(target, inner);
+            };
+        }
+        let value = node.value;
+        if (value instanceof Date) {
+            return () => new Date(value); //don't share the parsed date across evaluations.
+        }
+        return () => value;
+    }
+
+    /**
+     * Compiles a unary or binary operation node into a function that performs the operation using the compiled values
+     * it applies to. Parameters the op declares as `lazy` are given a function that resolves (and validates) the value
+     * only when called. Validation errors are thrown as a `CalKuError` located at the offending argument. Ops declaring
+     * `context` are given a `FunctionContext` ahead of their values. In decimal mode, ops declaring a `decimal` function
+     * are computed by it, and ops not declaring `decimal` are given decimals as numbers.
+     * @param {ASTNode} node - The operation node to compile.
+     * @returns {CompiledExpression}
+     * @protected
+     */
+    compileOp(node) {
+        let env = this.environment;
+        let op = env.ops[node.op];
+        let [func, leading] = invokerOf(this, op);
+        let argNodes = (node.type === NodeType.Unary ? [node.operand] : [node.left, node.right]);
+        let getters = argNodes.map((n, i) => {
+            let getter = this.compileNode(n);
+            if (this._decimal && !op.decimal) {
+                getter = numbersGetter(getter);
+            }
+            let param = paramAt(op.params, i);
+            if (param?.lazy) {
+                let label = 'the argument following it';
+                if (!op.prefix) {
+                    label = (i === 0 ? 'the left-side argument' : 'the right-side argument');
                 }
+                return lazyGetter(getter, param.validator, `Operation with symbol(s) "${op.symbols.join(', ')}" failed validating ${label}.`, {
+                    code: ErrorCode.ArgType,
+                    startIndex: n.startIndex,
+                    endIndex: n.endIndex,
+                    op: node.op,
+                    argIndex: i
+                });
             }
+            return getter;
+        });
+        return invocationOf(env.ops, op, node, argNodes, getters, func, leading);
+    }
+
+    /**
+     * Compiles a function call node into a function that evaluates the arguments against a target and calls the CalKu
+     * function, returning the result. Parameters the function declares as `lazy` are given a function that resolves
+     * (and validates) the argument only when called. Validation errors are thrown as a `CalKuError` located at the 
+     * offending argument (or the call, when the number of arguments is wrong). Functions declaring `context` are given
+     * a `FunctionContext` ahead of the arguments. In decimal mode, functions declaring a `decimal` function are computed
+     * by it, and functions not declaring `decimal` are given decimals as numbers.
+     * @param {ASTNode} node - The function call node to be compiled.
+     * @returns {CompiledExpression}
+     * @protected
+     */
+    compileFunc(node) {
+        let env = this.environment;
+        let f = env.funcs[node.func];
+        let paramLen = 0;
+        if (typeof f.params === 'number') {
+            paramLen = f.params;
+        } else if (Array.isArray(f.params)) {
+            paramLen = f.params.length;
+        } else if (f.params === true) {
+            paramLen = true; //any number of arguments
         }
-        return value;
+        let [func, leading] = invokerOf(this, f);
+        if ((paramLen === 0 || paramLen === true) && !node.args.length) {
+            return (target) => func.apply(target, leading);
+        }
+        let getters = node.args.map((arg, i) => {
+            let getter = this.compileNode(arg);
+            if (this._decimal && !f.decimal) {
+                getter = numbersGetter(getter);
+            }
+            let param = paramAt(f.params, i);
+            if (param?.lazy) {
+                return lazyGetter(getter, param.validator, `Function with symbol(s) "${f.symbols.join(', ')}" failed validating argument at index ${i}.`, {
+                    code: ErrorCode.ArgType,
+                    startIndex: arg.startIndex,
+                    endIndex: arg.endIndex,
+                    func: node.func,
+                    argIndex: i
+                });
+            }
+            return getter;
+        });
+        return invocationOf(env.funcs, f, node, node.args, getters, func, leading);
+    }
+
+    /**
+     * Compiles the expression into a plain function that evaluates it against a given target object. The compiled
+     * function has the same results and validations as calling `value`, but the expression is parsed and its 
+     * order-of-operations resolved only once, making it much faster for evaluating many targets.
+     * 
+     * The compiled function uses the ops and funcs as they were defined when compiled.
+     * @example
+     * ```
+     * let total = new CalKu('{qty} * {price}').compile();
+     * let totals = lines.map(line => total(line));
+     * ```
+     * @throws CalKuError when the expression syntax is invalid.
+     * @returns {CompiledExpression}
+     */
+    compile() {
+        if (!this._compiled) {
+            this._compiled = this.compileNode(this.parse());
+        }
+        return this._compiled;
     }
 
     /**
@@ -584,6 +1580,33 @@ class CalKu {
         return output;
     }
 
+    /**
+     * Parses the given expression into an abstract syntax tree (AST) with the order-of-operations resolved. Returns
+     * `null` for an empty expression.
+     * @throws CalKuError when the expression syntax is invalid.
+     * @param {String} expression - The CalKu expression text.
+     * @param {String} [timeZone] - The timezone to apply for dates in the expression (if they don't specify a 
+     * timezone). If not specified, dates will be assumed to be in GMT time. The value must be an internationally
+     * recognized timezone string. See [this list on wikipedia](https://en.wikipedia.org/wiki/List_of_tz_database_time_zones).
+     * @returns {ASTNode}
+     */
+    static parse(expression, timeZone) {
+        return new CalKu(expression, timeZone).parse();
+    }
+
+    /**
+     * Checks the given expression for syntax problems without evaluating it, returning a diagnostic for each problem
+     * found (ordered by position). An empty array is returned when no problems are found.
+     * @param {String} expression - The CalKu expression text.
+     * @param {String} [timeZone] - The timezone to apply for dates in the expression (if they don't specify a 
+     * timezone). If not specified, dates will be assumed to be in GMT time. The value must be an internationally
+     * recognized timezone string. See [this list on wikipedia](https://en.wikipedia.org/wiki/List_of_tz_database_time_zones).
+     * @returns {Array.<Diagnostic>}
+     */
+    static validate(expression, timeZone) {
+        return new CalKu(expression, timeZone).validate();
+    }
+
     /**
      * Retrieve the calculated value from the given expression as applied to the specified target.
      * @param {String} expression - The CalKu expression text.
@@ -635,16 +1658,16 @@ class CalKu {
      * }, 'person.horses:1.age');
      * //value = 18
      * ```
-     * @throws Error if the path is not specified or not a string.
-     * @throws Error if the path contains an empty segment.
-     * @throws Error if any segment in the path contains restricted keywords: "prototype", "constructor", "__proto__".
+     * @throws CalKuError if the path is not specified or not a string.
+     * @throws CalKuError if the path contains an empty segment.
+     * @throws CalKuError if any segment in the path contains restricted keywords: "prototype", "constructor", "__proto__".
      * @param {Object} target - The object to traverse. If the target is not specified, `undefined` is returned.
      * @param {String} path - The dot-notated and indexed path to the value (property).
      * @returns {*}
      */
     static valueAt(target, path) {
         if (!path || typeof path !== 'string') {
-            throw new Error('Invalid path to property. A text string path is required.');
+            throw new CalKuError('Invalid path to property. A text string path is required.', { code: ErrorCode.InvalidPropertyPath });
         }
         if (typeof target !== 'undefined' && target != null) {
             let parts = path.split(/\.|:/);
@@ -652,7 +1675,7 @@ class CalKu {
             for (let i = 0; i < parts.length; i++) {
                 let segment = parts[i];
                 if (segment === 'prototype' || segment === 'constructor' || segment === '__proto__') {
-                    throw new Error(`Invalid path to property. The path contains an invalid segment at position ${i} ("${segment}").`);
+                    throw new CalKuError(`Invalid path to property. The path contains an invalid segment at position ${i} ("${segment}").`, { code: ErrorCode.InvalidPropertyPath });
                 } else if (segment.length) {
                     let vtype = typeof val[segment];
                     if (vtype !== 'undefined' && vtype !== 'function') {
@@ -664,7 +1687,7 @@ class CalKu {
                         return undefined;
                     }
                 } else {
-                    throw new Error(`Invalid path to property. The path contains an empty segment at position ${i}.`);
+                    throw new CalKuError(`Invalid path to property. The path contains an empty segment at position ${i}.`, { code: ErrorCode.InvalidPropertyPath });
                 }
             }
             return val;
@@ -676,6 +1699,13 @@ class CalKu {
 export {
     CalKu as default,
     TokenType,
+    NodeType,
+    ASTNode,
+    CalKuError,
+    ErrorCode,
+    Severity,
+    CalKuEnvironment,
+    Decimal,
     ops as Operations,
     is
 };
\ No newline at end of file
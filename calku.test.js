@@ -1,5 +1,6 @@
 import jest from 'jest-mock';
-import CalcKu, { TokenType } from './calku.js';
+import CalcKu, { TokenType, NodeType, ErrorCode, Severity, CalKuEnvironment, Decimal, is } from './calku.js';
+import funcs from './funcs.js';
 import fs from 'fs/promises';
 
 describe('#constructor', () => {
@@ -20,10 +21,145 @@ describe('#constructor', () => {
     });
 });
 
+describe('#locale', () => {
+    it('sets the canonical locale, or null for the default.', () => {
+        let ck = new CalcKu('1');
+        expect(ck.locale).toBeNull();
+        ck.locale = 'de-de';
+        expect(ck.locale).toBe('de-DE');
+        ck.locale = '';
+        expect(ck.locale).toBeNull();
+        expect(() => { ck.locale = 'not_a locale'; }).toThrow(RangeError);
+    });
+    it('formats numbers and dates in the locale, and resets the compiled expression when changed.', () => {
+        let ck = new CalcKu('FIXED({total}) & " / " & FORMATDATE({at}, "d MMMM yyyy")', 'Europe/Berlin');
+        let target = { total: 1234.5, at: new Date('2024-03-09T23:30:00Z') };
+        let f = ck.compile();
+        expect(ck.value(target)).toBe('1,234.50 / 10 March 2024');
+        ck.locale = 'de-DE';
+        expect(ck.compile()).not.toBe(f);
+        expect(ck.value(target)).toBe('1.234,50 / 10 März 2024');
+    });
+    it('formats in the locale within expressions compiled by funcs.', () => {
+        let ck = new CalcKu('COUNTIF({orders}, "FORMAT({total}, \\"0.0\\") == \\"1,5\\"")');
+        ck.locale = 'de-DE';
+        expect(ck.value({ orders: [{ total: 1.5 }, { total: 2 }, { total: 1.46 }] })).toBe(2);
+    });
+});
+
+describe('#decimal', () => {
+    let exact = (expression, target, options) => {
+        let ck = new CalcKu(expression);
+        ck.decimal = options ?? true;
+        return ck.value(target);
+    };
+    it('sets the decimal options, or null for floating-point numbers.', () => {
+        let ck = new CalcKu('1');
+        expect(ck.decimal).toBeNull();
+        ck.decimal = true;
+        expect(ck.decimal).toEqual({ scale: 20, rounding: 'half-up' });
+        ck.decimal = { scale: 2 };
+        expect(ck.decimal).toEqual({ scale: 2, rounding: 'half-up' });
+        expect(Object.isFrozen(ck.decimal)).toBe(true);
+        ck.decimal = false;
+        expect(ck.decimal).toBeNull();
+        expect(() => { ck.decimal = { scale: 1.5 }; }).toThrow(RangeError);
+        expect(() => { ck.decimal = { scale: 101 }; }).toThrow(RangeError);
+        expect(() => { ck.decimal = { rounding: 'nearest' }; }).toThrow(RangeError);
+    });
+    it('parses numbers as decimals and computes math ops exactly.', () => {
+        expect(exact('0.1 + 0.2')).toEqual(Decimal.from('0.3'));
+        expect(exact('0.1 + 0.2 == 0.3')).toBe(true);
+        expect(exact('{price} * 3 - {discount}', { price: 1.1, discount: 0.2 }).toString()).toBe('3.1');
+        expect(exact('-(0.7 % 0.2) + 2 ^ 3').toString()).toBe('7.9');
+        expect(exact('{price} * 3 > 3.3', { price: 1.1 })).toBe(false);
+        expect(exact('0.1 + 0.2', null, false)).toBe(0.1 + 0.2);
+    });
+    it('rounds results to the scale with the rounding mode.', () => {
+        expect(exact('1 / 3').toString()).toBe('0.33333333333333333333');
+        expect(exact('2 / 3', null, { scale: 2 }).toString()).toBe('0.67');
+        expect(exact('2 / 3', null, { scale: 2, rounding: 'down' }).toString()).toBe('0.66');
+        expect(exact('0.125 * 1', null, { scale: 2, rounding: 'half-even' }).toString()).toBe('0.12');
+        expect(exact('2 ^ -1', null, { scale: 0, rounding: 'up' }).toString()).toBe('1');
+    });
+    it('falls back to floating-point results with no decimal form.', () => {
+        expect(exact('1 / 0')).toBe(Infinity);
+        expect(exact('0 / 0')).toBeNaN();
+        expect(exact('4 ^ 0.5')).toEqual(Decimal.from(2));
+    });
+    it('aggregates exactly.', () => {
+        let target = { items: [{ amount: 0.1 }, { amount: 0.2 }, { amount: 0.7 }] };
+        expect(exact('SUM(0.1, 0.2, 0.3) == 0.6')).toBe(true);
+        expect(exact('SUMIF({items}, "{amount} < 0.5", "amount")', target).toString()).toBe('0.3');
+        expect(exact('AVERAGE(1, 2, 2)', null, { scale: 3 }).toString()).toBe('1.667');
+        expect(exact('MAX(0.3, {a}) - MIN(0.1, {a})', { a: 0.2 }).toString()).toBe('0.2');
+        expect(exact('SUM(1, {x})', { x: Infinity })).toBe(Infinity);
+    });
+    it('rounds and computes statistics exactly beyond floating-point precision.', () => {
+        expect(exact('ROUND(12345678901234567.125, 2)').toString()).toBe('12345678901234567.13');
+        expect(exact('ROUND(2.675, 2, "half-even")').toString()).toBe('2.68');
+        expect(exact('ROUNDUP(-1234567890.123456789, 8)').toString()).toBe('-1234567890.12345679');
+        expect(exact('ROUNDDOWN(98765432109876543.219, 2)').toString()).toBe('98765432109876543.21');
+        expect(exact('MROUND(10000000000000000.25, 0.5)').toString()).toBe('10000000000000000.5');
+        expect(exact('ABS(-12345678901234567.89)').toString()).toBe('12345678901234567.89');
+        expect(exact('MEDIAN(10000000000000000.1, 10000000000000000.2)').toString()).toBe('10000000000000000.15');
+        expect(exact('PERCENTILE([1, 2, 3, 4], 0.3)').toString()).toBe('1.9');
+        expect(exact('QUARTILE([0.1, 0.2, 0.3, 0.4, 0.5], 3)').toString()).toBe('0.4');
+        expect(exact('VAR(10000000000000000.1, 10000000000000000.2, 10000000000000000.3)').toString()).toBe('0.01');
+        expect(exact('STDEVP(2, 4, 4, 4, 5, 5, 7, 9)').toString()).toBe('2');
+        expect(exact('STDEV(1, 2)', null, { scale: 10 }).toString()).toBe('0.7071067812');
+        expect(exact('ROUND({x}, 2)', { x: Infinity })).toBe(Infinity);
+        expect(exact('STDEV(1)')).toBeNull();
+    });
+    it('gives other funcs decimals as numbers.', () => {
+        expect(exact('POWER(0.1 + 0.2, 1)')).toBe(0.3);
+        expect(exact('LEN(TEXT(1.50))')).toBe(3);
+        expect(exact('FIRST([1.5, 2])')).toBe(1.5);
+    });
+    it('resets the parsed and compiled expression when changed.', () => {
+        let ck = new CalcKu('0.1 + 0.2');
+        let f = ck.compile();
+        ck.decimal = true;
+        expect(ck.compile()).not.toBe(f);
+        expect(ck.value().toString()).toBe('0.3');
+        ck.decimal = null;
+        expect(ck.value()).toBe(0.1 + 0.2);
+    });
+    it('computes exactly within expressions compiled by funcs.', () => {
+        let ck = new CalcKu('COUNTIF({orders}, "{total} + 0.2 == 0.3")');
+        ck.decimal = true;
+        expect(ck.value({ orders: [{ total: 0.1 }, { total: 0.2 }] })).toBe(1);
+    });
+});
+
+describe('#environment', () => {
+    it('resets the cached parse when changed.', () => {
+        let ck = new CalcKu('1 + 2');
+        let f = ck.compile();
+        let env = new CalKuEnvironment().defineOp('ADDITION', { type: 'math', symbols: ['+'], order: 120, func: (a, b) => a - b });
+        ck.environment = env;
+        expect(ck.environment).toBe(env);
+        expect(ck.compile()).not.toBe(f);
+        expect(ck.value()).toBe(-1);
+        ck.environment = null;
+        expect(ck.value()).toBe(3);
+    });
+});
+
 describe('#lexer', () => {
     it('throws on an unknown function name.', () => {
         expect(()=>new CalcKu('BOGUS(1,2)').lexer()).toThrow(/unknown/i);
     });
+    it('throws on an unclosed property reference or quoted string.', () => {
+        expect(() => new CalcKu('1 + {abc').lexer()).toThrow(expect.objectContaining({ code: ErrorCode.UnclosedPropertyRef, startIndex: 4, endIndex: 8 }));
+        expect(() => new CalcKu('"abc" & "de').lexer()).toThrow(expect.objectContaining({ code: ErrorCode.UnclosedString, startIndex: 8, endIndex: 11 }));
+    });
+    it('collects problems as diagnostics instead of throwing when given an array.', () => {
+        let diagnostics = [];
+        let tokens = new CalcKu('NOPE(1) & "abc').lexer(diagnostics);
+        expect(tokens[0].type).toBe(TokenType.Func);
+        expect(diagnostics.map(d => d.code)).toEqual([ErrorCode.UnknownFunction, ErrorCode.UnclosedString]);
+    });
     it('extracts grouping tokens', () => {
         let results = new CalcKu('((10 + 10) / 4)').lexer();
         expect(Array.isArray(results)).toBe(true);
@@ -67,6 +203,63 @@ describe('#lexer', () => {
             'literal', 'func-arg-sep', 'group'
         ]);
     });
+    it('extracts prefix operators when no value precedes the operator symbol.', () => {
+        expect(new CalcKu('-{a}').lexer().map(t => t.op)).toEqual(['NEGATION', undefined]);
+        expect(new CalcKu('{b} - {a}').lexer().map(t => t.op)).toEqual([undefined, 'SUBTRACTION', undefined]);
+        expect(new CalcKu('{b} - -{a}').lexer().map(t => t.op)).toEqual([undefined, 'SUBTRACTION', 'NEGATION', undefined]);
+        expect(new CalcKu('SUM(1, -{a})').lexer()[0].tokens.map(t => t.op)).toEqual([undefined, undefined, 'NEGATION', undefined]);
+        expect(new CalcKu('not {a} && !({b})').lexer().map(t => t.op)).toEqual(['NOT', undefined, 'AND', 'NOT', undefined]);
+        expect(new CalcKu('{a} != {b}').lexer().map(t => t.op)).toEqual([undefined, 'NOTEQUALS', undefined]);
+    });
+    it('extracts function calls of funcs sharing a symbol with an op when no value precedes them.', () => {
+        expect(new CalcKu('NOT(true)').lexer().map(t => t.type)).toEqual(['func']);
+        expect(new CalcKu('NOT (true)').lexer().map(t => t.op)).toEqual(['NOT', undefined]);
+        expect(new CalcKu('not(true)').lexer().map(t => t.op)).toEqual(['NOT', undefined]);
+        expect(new CalcKu('AND(true, OR(false, 1))').lexer()[0].tokens.map(t => t.type)).toEqual(['literal', 'func-arg-sep', 'func']);
+        expect(new CalcKu('{a} AND(true)').lexer().map(t => t.op)).toEqual([undefined, 'AND', undefined]);
+    });
+    it('extracts array literals and their items', () => {
+        expect(new CalcKu('[]').lexer().map(t => t.type)).toEqual(['array']);
+        expect(new CalcKu('[1, {a}, "x"]').lexer()[0].tokens.map(t => t.type)).toEqual([
+            'literal', 'array-sep', 'prop-ref', 'array-sep', 'literal'
+        ]);
+        expect(new CalcKu('[1,[2, 3],(4 + 5)]').lexer()[0].tokens.map(t => t.type)).toEqual([
+            'literal', 'array-sep', 'array', 'array-sep', 'group'
+        ]);
+        expect(new CalcKu('SUM([1, 2], 3)').lexer()[0].tokens.map(t => t.type)).toEqual([
+            'array', 'func-arg-sep', 'literal'
+        ]);
+        let tokens = new CalcKu('{status} CONTAINS [open, -1]').lexer();
+        expect(tokens.map(t => t.type)).toEqual(['prop-ref', 'op', 'array']);
+        expect(tokens[2].tokens.map(t => t.value ?? t.op)).toEqual(['open', undefined, 'NEGATION', 1]);
+        expect(tokens[2].startIndex).toBe(18);
+        expect(tokens[2].endIndex).toBe(28);
+    });
+    it('extracts regular expression literals when no value precedes the "/" symbol.', () => {
+        let tokens = new CalcKu('{code} =~ /^A[/\\d]+/i // comment').lexer();
+        expect(tokens.map(t => t.type)).toEqual(['prop-ref', 'op', 'literal', 'comment']);
+        expect(tokens[2].style).toBe('regexp');
+        expect(tokens[2].value).toEqual(/^A[/\d]+/i);
+        expect(tokens[2].startIndex).toBe(10);
+        expect(tokens[2].endIndex).toBe(21);
+        expect(new CalcKu('{a} / 2 / {b}').lexer().map(t => t.op)).toEqual([undefined, 'DIVISION', undefined, 'DIVISION', undefined]);
+        expect(new CalcKu('REGEXTEST({a}, /,|\\)/)').lexer()[0].tokens.map(t => t.type)).toEqual(['prop-ref', 'func-arg-sep', 'literal']);
+    });
+    it('throws on an invalid, unclosed, or unsafe regular expression literal.', () => {
+        expect(() => new CalcKu('{a} =~ /(/').lexer()).toThrow(/not a valid regular expression/);
+        expect(() => new CalcKu('{a} =~ /abc').lexer()).toThrow(/Missing closing "\/"/);
+        expect(() => new CalcKu('{a} =~ /(a+)+$/').lexer()).toThrow(/catastrophic backtracking/);
+        expect(() => new CalcKu('{a} =~ /a/g').lexer()).toThrow(/unsupported flags/);
+    });
+    it('extracts lambda parameters when no value precedes them.', () => {
+        let tokens = new CalcKu('MAP({a}, x => {x} * 2) + REDUCE({a}, 0, ( total ,x )=> {total})').lexer();
+        expect(tokens[0].tokens.map(t => t.type)).toEqual(['prop-ref', 'func-arg-sep', 'lambda', 'prop-ref', 'op', 'literal']);
+        expect(tokens[0].tokens[2]).toEqual({ type: 'lambda', startIndex: 9, endIndex: 13, params: ['x'] });
+        expect(tokens[2].tokens[4].params).toEqual(['total', 'x']);
+        expect(new CalcKu('() => 1').lexer()[0].params).toEqual([]);
+        expect(new CalcKu('(x) + 1').lexer().map(t => t.type)).toEqual(['group', 'op', 'literal']);
+        expect(new CalcKu('LAMBDA(x, {x})').lexer()[0].func).toBe('LAMBDA');
+    });
     it('extracts line comments', () => {
         expect(new CalcKu('100 + 22 //makes 123\n + 1').lexer().map(t => t.type)).toEqual([
             'literal', 'op', 'literal', 'comment', 'op', 'literal'
@@ -190,6 +383,14 @@ describe('#valueParse', () => {
             ['Africa/Bissau', '9/9/2023 12:34 PM', '2023-09-09T12:34:00.000Z'],
             ['Africa/Bissau', '9/9/2023 12:34:56 PM', '2023-09-09T12:34:56.000Z'],
             ['Africa/Bissau', '9/9/2023 12:34:56.7 PM', '2023-09-09T12:34:56.700Z'],
+            //offsets are resolved per date, including daylight-saving time.
+            ['America/Chicago', '2023-07-09', '2023-07-09T05:00:00.000Z'],
+            ['America/Chicago', '2023-12-09', '2023-12-09T06:00:00.000Z'],
+            ['America/Chicago', '12/9/2023 12:34 PM', '2023-12-09T18:34:00.000Z'],
+            ['America/Chicago', '2023-11-05T01:30', '2023-11-05T06:30:00.000Z'],
+            ['America/Chicago', '2023-03-12T02:30', '2023-03-12T08:30:00.000Z'],
+            ['Australia/Sydney', '2023-01-09', '2023-01-08T13:00:00.000Z'],
+            ['Australia/Sydney', '2023-07-09', '2023-07-08T14:00:00.000Z'],
         ];
         for (let t of tests) {
             it(`value of "${t[1]}" in timezone "${t[0]}"`, () => {
@@ -272,6 +473,9 @@ describe('#properties', () => {
                 '10 + 3 + {age} / {person.songs} + (SUM({age})) && true && ISEMPTY({person.horses} || (3 + COUNT({toggles.two})))',
                 ['age', 'person.songs', 'person.horses', 'toggles.two']
             ],
+            ['[{age}, [{person.songs}, 1]] CONTAINS {age}', ['age', 'person.songs']],
+            ['MAP({orders}, o => {o.total} * {rate}) CONTAINS {o.total}', ['orders', 'rate', 'o.total']],
+            ['REDUCE({orders}, 0, LAMBDA(sum, o, {sum} + SUM(MAP({o.lines}, l => {l.qty} * {o.rate})))) + {sum}', ['orders', 'sum']],
         ];
         for (let t of tests) {
             expect(Array.isArray(new CalcKu(t[0]).properties())).toBe(true);
@@ -352,6 +556,307 @@ describe('.valueAt', () => {
     });
 });
 
+describe('#parse', () => {
+    it('parses an expression into a tree with the order-of-operations resolved.', () => {
+        let ast = new CalcKu('10 + {qty} * 2 - 1').parse();
+        expect(ast.type).toBe(NodeType.Binary);
+        expect(ast.op).toBe('SUBTRACTION');
+        expect(ast.left.op).toBe('ADDITION');
+        expect(ast.left.left).toEqual({ type: NodeType.Literal, startIndex: 0, endIndex: 2, value: 10 });
+        expect(ast.left.right.op).toBe('MULTIPLICATION');
+        expect(ast.left.right.left).toEqual({ type: NodeType.PropertyRef, startIndex: 5, endIndex: 10, prop: 'qty' });
+        expect(ast.right.value).toBe(1);
+    });
+    it('parses the documented example.', () => {
+        let ast = new CalcKu('10 + {qty} * 2').parse();
+        expect(ast.type).toBe('binary');
+        expect(ast.op).toBe('ADDITION');
+        expect(ast.right.op).toBe('MULTIPLICATION');
+        expect(ast.toString()).toBe('10 + {qty} * 2');
+    });
+    it('parses prefix operators, calls, and arrays.', () => {
+        let ast = CalcKu.parse('NOT {a} IN [1, "b"] AND -ABS({c}) < 3');
+        expect(ast.op).toBe('AND');
+        expect(ast.left.type).toBe(NodeType.Unary);
+        expect(ast.left.op).toBe('NOT');
+        expect(ast.left.operand.op).toBe('IN');
+        expect(ast.left.operand.right.type).toBe(NodeType.Array);
+        expect(ast.left.operand.right.items.map(n => n.value)).toEqual([1, 'b']);
+        expect(ast.right.left.op).toBe('NEGATION');
+        expect(ast.right.left.operand.type).toBe(NodeType.Call);
+        expect(ast.right.left.operand.func).toBe('ABS');
+        expect(ast.right.left.operand.args[0].prop).toBe('c');
+    });
+    it('includes source spans for each node.', () => {
+        let expr = '(1 + "two") * SUM(3, [4])';
+        let ast = CalcKu.parse(expr);
+        let spanOf = (node) => expr.substring(node.startIndex, node.endIndex);
+        expect(spanOf(ast)).toBe(expr);
+        expect(spanOf(ast.left)).toBe('(1 + "two")');
+        expect(spanOf(ast.left.right)).toBe('"two"');
+        expect(spanOf(ast.right)).toBe('SUM(3, [4])');
+        expect(spanOf(ast.right.args[0])).toBe('3');
+        expect(spanOf(ast.right.args[1])).toBe('[4]');
+    });
+    it('returns null for an empty expression.', () => {
+        expect(CalcKu.parse('')).toBeNull();
+        expect(CalcKu.parse(null)).toBeNull();
+        expect(CalcKu.parse('// just a comment')).toBeNull();
+    });
+    it('throws on a malformed expression.', () => {
+        expect(() => CalcKu.parse('1 +')).toThrow(/no subsequent expression/);
+        expect(() => CalcKu.parse('1 2')).toThrow(/malformed/);
+    });
+    it('throws a CalKuError with the code and location of syntax problems.', () => {
+        let cases = [
+            ['1 + ', { code: ErrorCode.MissingOperand, startIndex: 2, endIndex: 3, op: 'ADDITION' }],
+            ['* 2', { code: ErrorCode.MissingOperand, startIndex: 0, endIndex: 1, op: 'MULTIPLICATION' }],
+            ['1 2', { code: ErrorCode.MalformedExpression, startIndex: 2, endIndex: 3 }],
+            ['3 * (1 + 2', { code: ErrorCode.UnclosedGroup, startIndex: 4, endIndex: 5 }],
+            ['[1, 2', { code: ErrorCode.UnclosedGroup, startIndex: 0, endIndex: 1 }],
+            ['1 + SUM(2, 3', { code: ErrorCode.UnclosedGroup, startIndex: 4, endIndex: 7, func: 'SUM' }],
+            ['(1 + 2))', { code: ErrorCode.UnbalancedGroup, startIndex: 7, endIndex: 8 }],
+            ['1 + NOPE(2)', { code: ErrorCode.UnknownFunction, startIndex: 4, endIndex: 8, func: 'NOPE' }]
+        ];
+        for (let [expr, expected] of cases) {
+            expect(() => CalcKu.parse(expr)).toThrow(expect.objectContaining({ name: 'CalKuError', ...expected }));
+        }
+    });
+    it('is frozen and cached until the expression or timezone changes.', () => {
+        let ck = new CalcKu('1 + [2]');
+        let ast = ck.parse();
+        expect(ck.parse()).toBe(ast);
+        expect(Object.isFrozen(ast)).toBe(true);
+        expect(Object.isFrozen(ast.right.items)).toBe(true);
+        expect(Object.isFrozen(ast.right.items[0])).toBe(true);
+        ck.timeZone = 'Pacific/Honolulu';
+        expect(ck.parse()).not.toBe(ast);
+        expect(ck.parse()).toEqual(ast);
+        ast = CalcKu.parse('(a, b) => {a}');
+        expect(Object.isFrozen(ast.params)).toBe(true);
+        expect(Object.isFrozen(ast.body)).toBe(true);
+    });
+    it('parses lambdas, with a body extending to the end of the argument or group.', () => {
+        let ast = CalcKu.parse('MAP({items}, x => {x.qty} * 2 > 3, 1) + 1');
+        let lambda = ast.left.args[1];
+        expect(lambda.type).toBe(NodeType.Lambda);
+        expect(lambda.params).toEqual(['x']);
+        expect(lambda.body.op).toBe('GREATERTHAN');
+        expect([lambda.startIndex, lambda.endIndex]).toEqual([13, 33]);
+        ast = CalcKu.parse('LAMBDA(total, x, {total} + {x})');
+        expect(ast.type).toBe(NodeType.Lambda);
+        expect(ast.params).toEqual(['total', 'x']);
+        expect(ast.body.op).toBe('ADDITION');
+        expect([ast.startIndex, ast.endIndex]).toEqual([0, 31]);
+        expect(CalcKu.parse('(x => 1) + 2').left.type).toBe(NodeType.Lambda);
+        expect(CalcKu.parse('1 + x => 2 + 3').right.body.op).toBe('ADDITION');
+    });
+    it('throws on a lambda without a body, or with invalid parameters.', () => {
+        let cases = [
+            ['MAP({a}, x => )', { startIndex: 9, endIndex: 13 }],
+            ['(x, x) => 1', { startIndex: 0, endIndex: 11 }],
+            ['LAMBDA()', { startIndex: 0, endIndex: 8 }],
+            ['LAMBDA(1, 2)', { startIndex: 0, endIndex: 12 }],
+            ['LAMBDA({a}, 2)', { startIndex: 0, endIndex: 14 }]
+        ];
+        for (let [expr, expected] of cases) {
+            expect(() => CalcKu.parse(expr)).toThrow(expect.objectContaining({ code: ErrorCode.MalformedExpression, ...expected }));
+        }
+        expect(() => CalcKu.parse('1 => 2')).toThrow(/malformed/);
+    });
+    it('round-trips to canonical text that parses to the same tree.', () => {
+        let expressions = [
+            '10 + 6 / 2 * 55 ^ (2 % 1)',
+            '(1 - 2) - (3 - 4)',
+            'true OR false AND true AND 123 != 54321',
+            'not {a} == 3 && -{b} ^ 2 > (-2) ^ 2',
+            '"Kyle \\"the\\" Dev" & MID("Developer", 0, 3)',
+            'IF({x} > 0, [1, {y}, "z"], 2023-09-09) // comment',
+            '5 + not true',
+            'HELLOWORLD()',
+            'REGEXTEST({code}, /^A\\d+/i) OR {code} =~ "^B"',
+            'MAP({items}, x => {x.qty} * 2) CONTAINS 4 AND REDUCE({items}, 0, LAMBDA(a, b, {a} + {b.qty})) > 1',
+            '1 + (x => 2) * 3',
+            'SORTBY({items}, () => -1)'
+        ];
+        let strip = (node) => JSON.parse(JSON.stringify(node, (k, v) => (k === 'startIndex' || k === 'endIndex' ? undefined : v)));
+        for (let e of expressions) {
+            let ast = CalcKu.parse(e);
+            let text = ast.toString();
+            expect(strip(CalcKu.parse(text))).toEqual(strip(ast));
+            expect(CalcKu.parse(text).toString()).toBe(text);
+        }
+        expect(CalcKu.parse('10 + 6 / 2 * 55 ^ (2 % 1)').toString()).toBe('10 + 6 / 2 * 55 ^ (2 % 1)');
+        expect(CalcKu.parse('((1 + 2)) * (3) + (4 * 5)').toString()).toBe('(1 + 2) * 3 + 4 * 5');
+        expect(CalcKu.parse('1 - (2 - 3)').toString()).toBe('1 - (2 - 3)');
+        expect(CalcKu.parse('not {a} == 3 && hello').toString()).toBe('NOT {a} EQ 3 AND "hello"');
+    });
+});
+
+describe('#validate', () => {
+    it('returns an empty array for a valid (or empty) expression.', () => {
+        expect(CalcKu.validate('SUM({a}, [1, 2]) > 3 // ok')).toEqual([]);
+        expect(CalcKu.validate('')).toEqual([]);
+        expect(new CalcKu(null).validate()).toEqual([]);
+    });
+    it('reports all problems at once, ordered by position.', () => {
+        let diagnostics = CalcKu.validate('(1 + ) * NOPE(2 3) + 4) & "x');
+        expect(diagnostics.map(d => [d.severity, d.code, d.startIndex, d.endIndex])).toEqual([
+            [Severity.Error, ErrorCode.MissingOperand, 3, 4],
+            [Severity.Error, ErrorCode.UnknownFunction, 9, 13],
+            [Severity.Error, ErrorCode.MalformedExpression, 16, 17],
+            [Severity.Error, ErrorCode.UnbalancedGroup, 22, 23],
+            [Severity.Error, ErrorCode.UnclosedString, 26, 28]
+        ]);
+        expect(diagnostics[0].op).toBe('ADDITION');
+        expect(diagnostics[1].func).toBe('NOPE');
+        expect(diagnostics.every(d => typeof d.message === 'string')).toBe(true);
+    });
+    it('reports property paths and argument counts that fail whenever evaluated, as compiling does.', () => {
+        let expression = 'LEFT("abc") + {} & IF({ok}, {a.__proto__}, MID("a", 1)) & {a..b} & PI() & MAP([1], x => {x.constructor})';
+        expect(CalcKu.validate(expression).map(d => [d.severity, d.code, d.startIndex, d.endIndex, d.func])).toEqual([
+            [Severity.Error, ErrorCode.ArgCount, 0, 11, 'LEFT'],
+            [Severity.Error, ErrorCode.InvalidPropertyPath, 14, 16, null],
+            [Severity.Error, ErrorCode.InvalidPropertyPath, 28, 41, null],
+            [Severity.Error, ErrorCode.ArgCount, 43, 54, 'MID'],
+            [Severity.Error, ErrorCode.InvalidPropertyPath, 58, 64, null],
+            [Severity.Error, ErrorCode.InvalidPropertyPath, 88, 103, null]
+        ]);
+        let compiled = new CalcKu(expression).compile();
+        expect(() => compiled({ ok: true })).toThrow(expect.objectContaining({ code: ErrorCode.ArgCount, startIndex: 0, endIndex: 11 }));
+        expect(() => new CalcKu('{}').compile()()).toThrow(expect.objectContaining({ code: ErrorCode.InvalidPropertyPath, startIndex: 0, endIndex: 2 }));
+        expect(CalcKu.validate('LEFT("abc", 1) & {a.b:0} & NOW() & MAP([1], x => {x})')).toEqual([]);
+    });
+    it('reports unclosed groups, property references, and strings.', () => {
+        expect(CalcKu.validate('SUM(1, [2, 3').map(d => [d.code, d.startIndex, d.endIndex, d.func])).toEqual([
+            [ErrorCode.UnclosedGroup, 0, 3, 'SUM'],
+            [ErrorCode.UnclosedGroup, 7, 8, null]
+        ]);
+        expect(CalcKu.validate('1 + {qty').map(d => [d.code, d.startIndex, d.endIndex])).toEqual([
+            [ErrorCode.UnclosedPropertyRef, 4, 8]
+        ]);
+        expect(CalcKu.validate('"abc').map(d => [d.code, d.startIndex, d.endIndex])).toEqual([
+            [ErrorCode.UnclosedString, 0, 4]
+        ]);
+    });
+    it('reports invalid regular expressions.', () => {
+        expect(CalcKu.validate('{a} =~ /(a*)*/ OR {b} =~ /x').map(d => [d.code, d.startIndex, d.endIndex])).toEqual([
+            [ErrorCode.InvalidRegExp, 7, 14],
+            [ErrorCode.InvalidRegExp, 25, 27]
+        ]);
+    });
+    it('reports lambdas without a body, or with invalid parameters.', () => {
+        expect(CalcKu.validate('MAP({a}, x => ) + LAMBDA(x, {x}) + MAP({a}, LAMBDA(1, (y) => {y}))').map(d => [d.code, d.startIndex, d.endIndex])).toEqual([
+            [ErrorCode.MalformedExpression, 9, 13],
+            [ErrorCode.MalformedExpression, 44, 65]
+        ]);
+    });
+    it('warns about empty groups, arguments, and items.', () => {
+        let diagnostics = CalcKu.validate('SUM(1, , 2) + () + [1, ] + SUM(1,,2) + MAX(,1)');
+        expect(diagnostics.map(d => [d.severity, d.code, d.startIndex, d.endIndex])).toEqual([
+            [Severity.Warning, ErrorCode.EmptyValue, 5, 8],
+            [Severity.Warning, ErrorCode.EmptyValue, 14, 16],
+            [Severity.Warning, ErrorCode.EmptyValue, 21, 22],
+            [Severity.Warning, ErrorCode.EmptyValue, 32, 34],
+            [Severity.Warning, ErrorCode.EmptyValue, 43, 44]
+        ]);
+        expect(CalcKu.parse('SUM(1,,2)').args[1]).toEqual({ type: NodeType.Literal, startIndex: 5, endIndex: 7, value: undefined });
+        expect(CalcKu.validate('HELLOWORLD() & []')).toEqual([]);
+    });
+});
+
+describe('#compile', () => {
+    it('returns a function evaluating the expression against a target.', () => {
+        let f = new CalcKu('{qty} * {price} + SUM([1, 2], {extra})').compile();
+        expect(typeof f).toBe('function');
+        expect(f({ qty: 2, price: 3, extra: 4 })).toBe(13);
+        expect(f({ qty: 1, price: 1, extra: 0 })).toBe(4);
+        expect([{ qty: 1, price: 2, extra: 0 }, { qty: 3, price: 4, extra: null }].map(t => f(t))).toEqual([5, 15]);
+    });
+    it('is cached until the expression or timezone changes.', () => {
+        let ck = new CalcKu('1 + 2');
+        let f = ck.compile();
+        expect(ck.compile()).toBe(f);
+        ck.expression = '2 + 3';
+        expect(ck.compile()).not.toBe(f);
+        expect(ck.compile()()).toBe(5);
+        f = ck.compile();
+        ck.timeZone = 'Pacific/Honolulu';
+        expect(ck.compile()).not.toBe(f);
+    });
+    it('throws on a malformed expression.', () => {
+        expect(() => new CalcKu('1 +').compile()).toThrow(/no subsequent expression/);
+        expect(() => new CalcKu('1 2').compile()).toThrow(/malformed/);
+    });
+    it('validates arguments of ops and funcs when called.', () => {
+        let f = new CalcKu('{a} * 2 & LEFT({b}, 1)').compile();
+        expect(f({ a: 1, b: 'xyz' })).toBe('2x');
+        expect(() => f({ a: 'x', b: 'xyz' })).toThrow(/failed validating the left-side argument/);
+        expect(() => f({ a: 1, b: new Date() })).toThrow(/failed validating argument at index 0/);
+    });
+    it('throws a CalKuError located at the offending argument.', () => {
+        let f = new CalcKu('{a} * 2 & LEFT({b}, 1) & IF({c}, 1)').compile();
+        expect(() => f({ a: 'x', b: 'xyz' })).toThrow(expect.objectContaining({
+            code: ErrorCode.ArgType, startIndex: 0, endIndex: 3, op: 'MULTIPLICATION', func: null, argIndex: 0
+        }));
+        expect(() => f({ a: 1, b: new Date() })).toThrow(expect.objectContaining({
+            code: ErrorCode.ArgType, startIndex: 15, endIndex: 18, op: null, func: 'LEFT', argIndex: 0
+        }));
+        expect(() => f({ a: 1, b: 'xyz' })).toThrow(expect.objectContaining({
+            code: ErrorCode.ArgCount, startIndex: 25, endIndex: 35, func: 'IF', argIndex: null
+        }));
+        expect(() => new CalcKu('1 + {x.__proto__}').compile()({ x: {} })).toThrow(expect.objectContaining({
+            code: ErrorCode.InvalidPropertyPath, startIndex: 4, endIndex: 17
+        }));
+    });
+    it('keeps property path safety.', () => {
+        let f = new CalcKu('{x.constructor}').compile();
+        expect(() => f({ x: {} })).toThrow(/invalid segment/);
+        expect(f(null)).toBeUndefined();
+    });
+    it('keeps short-circuit and lazy evaluation.', () => {
+        let f = new CalcKu('{x} != null and LEN({x.name}) > 0 and IF({qty} > 0, {total} / {qty}, LEFT({x}, "a"))').compile();
+        expect(f({ x: null })).toBe(false);
+        expect(f({ x: { name: 'a' }, qty: 2, total: 4 })).toBe(true);
+    });
+    it('validates literal arguments once, when compiled.', () => {
+        let env = new CalKuEnvironment();
+        let validator = jest.fn((v) => is(v).instanceOf('number'));
+        env.funcs.SCALE = { symbols: ['SCALE'], params: [validator, validator], func: (a, b) => a * b };
+        let f = new CalcKu('SCALE({qty}, 3)', null, env).compile();
+        expect(validator).toHaveBeenCalledTimes(1);
+        expect([1, 2, 3].map(qty => f({ qty }))).toEqual([3, 6, 9]);
+        expect(validator).toHaveBeenCalledTimes(4);
+        expect(() => f({ qty: 'x' })).toThrow(expect.objectContaining({ code: ErrorCode.ArgType, func: 'SCALE', argIndex: 0 }));
+        //an invalid literal is still validated when evaluated.
+        f = new CalcKu('SCALE({qty}, "x")', null, env).compile();
+        expect(() => f({ qty: 1 })).toThrow(expect.objectContaining({ code: ErrorCode.ArgType, func: 'SCALE', argIndex: 1 }));
+    });
+    it('throws an invalid number of arguments only when the call is evaluated.', () => {
+        let f = new CalcKu('IF({ok}, 1, LEFT("abc"))').compile();
+        expect(f({ ok: true })).toBe(1);
+        expect(() => f({ ok: false })).toThrow(expect.objectContaining({ code: ErrorCode.ArgCount, func: 'LEFT' }));
+    });
+    it('evaluates many targets much faster than value.', () => {
+        let expression = '{qty} * {price} + 2 > 10 and LEN({name}) > 3 or IF({active}, {qty} - 1, 0) == 2';
+        let targets = Array.from({ length: 2000 }, (v, i) => ({ qty: i % 7, price: 1.5 + (i % 13), name: 'item' + i, active: i % 2 === 0 }));
+        let ck = new CalcKu(expression);
+        let f = ck.compile();
+        let timeOf = (evaluate) => {
+            let start = performance.now();
+            for (let t of targets) {
+                evaluate(t);
+            }
+            return performance.now() - start;
+        };
+        let values = targets.map(t => new CalcKu(expression).value(t));
+        expect(targets.map(t => f(t))).toEqual(values);
+        //warmed up, the compiled function is usually around 10x faster than value() re-parsing the expression.
+        timeOf(f);
+        expect(timeOf(f) * 3).toBeLessThan(timeOf(t => new CalcKu(expression).value(t)));
+    });
+});
+
 describe('#value', () => {
     const sample = {
         alpha: 'abc',
@@ -372,50 +877,305 @@ describe('#value', () => {
         }
     };
     let tests = [
-        // ['10 + 5 - 1', 14],
-        // //grouping
-        // ['(10 + (5 * 2))', 20],
-        // //numeric/boolean mix
-        // ['true + 3', 4],
-        // ['false + 3', 3],
-        // //order of operations
-        // ['10 + 5 - 12 / 3 * 2', 7],
-        // ['(15 - 2 * 4) + (1 + 1 / 4)', 8.25],
-        // ['10 + 5 - 12 / 3 * 2 + true', 8],
-        // ['false + (15 - 2 * 4) + (1 + 1 / 4) - true', 7.25],
-        // //functions
-        // ['HELLOWORLD()', 'Hello world.'],
-        // ['SUM(1, 2, 3)', 6],
-        // ['6 / SUM(1, 2, 3) + 3', 4],
+        ['10 + 5 - 1', 14],
+        //grouping
+        ['(10 + (5 * 2))', 20],
+        //numeric/boolean mix
+        ['true + 3', 4],
+        ['false + 3', 3],
+        //order of operations
+        ['10 + 5 - 12 / 3 * 2', 7],
+        ['(15 - 2 * 4) + (1 + 1 / 4)', 8.25],
+        ['10 + 5 - 12 / 3 * 2 + true', 8],
+        ['false + (15 - 2 * 4) + (1 + 1 / 4) - true', 7.25],
+        //functions
+        ['HELLOWORLD()', 'Hello world.'],
+        ['SUM(1, 2, 3)', 6],
+        ['6 / SUM(1, 2, 3) + 3', 4],
         ['SUM(SUM(1, 3), 4, 8, 5)', 21],
-        // //property references
-        // ['{num} + 3', 334458],
-        // ['{detail.more} + -4 / {detail.less}', 8],
-        // ['{detail.others:0}', 1],
-        // //comments
-        // [`(15 - 2 * 4) 
-        // //test comment
-        // //and again
-        // + (1 + 1 / 4)`, 8.25],
-        // //consolidate
-        // ['"hi" & " there x" & 3 & true', 'hi there x3true'],
-        // //logical
-        // ['1 and true', true],
-        // ['0 and true', false],
-        // ['1 and false', false],
-        // ['0 and false', false],
-        // ['1 or true', true],
-        // ['0 or true', true],
-        // ['1 or false', true],
-        // ['0 or false', false],
-        // ['false AND true OR (true AND false)', false]
+        ['ROUND(MAX({detail.others}, {detail.less}) / 7, 2)', 0.43],
+        ['MROUND(POWER({detail.less}, 4), 5) - MIN([{detail.more}, -1])', 16],
+        ['MEDIAN({detail.others}) + QUARTILE({detail.others}, 4) + COUNTA({detail.mix})', 10],
+        //property references
+        ['{num} + 3', 334458],
+        ['{detail.more} + -4 / {detail.less}', 8],
+        ['{detail.others:0}', 1],
+        //comments
+        [`(15 - 2 * 4) 
+        //test comment
+        //and again
+        + (1 + 1 / 4)`, 8.25],
+        //consolidate
+        ['"hi" & " there x" & 3 & true', 'hi there x3true'],
+        //arrays
+        ['[1, 2, 3] CONTAINS 2', true],
+        ['[1, 2, 3] CONTAINS 4', false],
+        ['["open", "pending"] CONTAINS {alpha}', false],
+        ['[{alpha}, {hello}] STARTSWITH "abc"', true],
+        ['SUM([1, 2, 3])', 6],
+        ['SUM([1, [2, [3, 4]]], {detail.others})', 16],
+        ['COUNT([])', 0],
+        ['LEN([1 + 1, -{num}, [true, false], SUM(1, 2)])', 4],
+        ['TEXTJOIN(", ", true, [{hello}, "", {world}])', 'yo, mars'],
+        ['[1,2,3] ENDSWITH 3', true],
+        ['SUM(UNIQUE(CONCAT({detail.others}, [3, 4])))', 10],
+        ['TEXTJOIN("-", false, REVERSE(SORT({detail.args})))', 'c-b-a'],
+        ['INDEX(SLICE({detail.others}, 1), -1) + LAST({detail.others}) + ARRAYLEN(RANGE(1, 10, 2))', 11],
+        ['MATCH(ZIP({detail.args}, {detail.others}), ["b", 2]) + SUM(SEQUENCE(3, 1))', 7],
+        ['INTERSECT({detail.others}, [2, 3, 4]) == DIFFERENCE(UNION({detail.others}, [2, 3]), [1])', true],
+        //membership
+        ['{hello} in ["open", "yo"]', true],
+        ['{hello} IN ["open", "pending"]', false],
+        ['{hello} notin ["open", "pending"]', true],
+        ['[1, 2] IN [[1, 2], [3]] and [2, 1] notin [[1, 2]] and {detail.args} in [{detail.args}]', true],
+        ['2 in {detail.others}', true],
+        ['"b" in{detail.args}', true],
+        ['4 notin {detail.others}', true],
+        ['1 + 1 in [1, 2] and "z" notin {detail.args}', true],
+        //pattern matching
+        ['{alpha} =~ /^A/i and {alpha} matches "c$"', true],
+        ['REGEXREPLACE({detail.other}, /[aeiou]/, "_") & REGEXEXTRACT({num}, /(\\d)5/)', 'th_ng4'],
+        ['{alpha} like "a%"', true],
+        ['{alpha} like "A%"', false],
+        ['{alpha} ilike "A_C"', true],
+        ['{world} notlike "%ar%" or {num} like "3%5"', true],
+        ['"50%" like "50\\%" and "500" notlike "50\\%"', true],
+        //logical
+        ['1 and true', true],
+        ['0 and true', false],
+        ['1 and false', false],
+        ['0 and false', false],
+        ['1 or true', true],
+        ['0 or true', true],
+        ['1 or false', true],
+        ['0 or false', false],
+        ['false AND true OR (true AND false)', false],
+        ['1 < 2 and 3 > 2', true],
+        //prefix operators
+        ['not true', false],
+        ['NOT {yes}', false],
+        ['!{no}', true],
+        ['!({detail.more} > 3)', false],
+        ['not not {yes}', true],
+        ['not {no} and {yes}', true],
+        ['not {detail.more} > 30', true],
+        ['NOT ISNULL({hello})', true],
+        ['-{num}', -334455],
+        ['- {detail.more} * 2', -20],
+        ['-(2 + 3)', -5],
+        ['-2 ^ 2', -4],
+        ['(-2) ^ 2', 4],
+        ['2 ^ -{detail.less}', 0.25],
+        ['10 - -{detail.less}', 12],
+        ['- -{detail.less}', 2],
+        ['-ABS(-4)', -4],
+        ['SUM(-{detail.less}, 4)', 2],
+        ['SUM(1 + 1, {detail.more}, -3)', 9],
+        //value comparisons
+        ['{dateObj} == {dateObj} and 2024-01-01 == 2024-01-01T00:00:00Z', true],
+        ['2024-01-02 > 2024-01-01 and 2024-01-02 >= 2024-01-02', true],
+        ['[1, [2, "x"]] == [1, [2, "x"]]', true],
+        ['{detail.others} == [1, 2, 3] and {detail.others} != [1, 2]', true],
+        ['2023-03-11 in [2023-03-10, 2023-03-11]', true],
+        ['"55" == 55', false],
+        //dates
+        ['YEAR(2023-03-11) * 100 + MONTH(2023-03-11)', 202303],
+        ['DATEDIFF(2024-01-01, 2024-03-01, "days")', 60],
+        ['DATEDIFF(2024-01-31, DATEADD(2024-01-31, 1, "month"), "days")', 29],
+        ['NETWORKDAYS(2024-01-01, EOMONTH(2024-01-01, 0), [2024-01-01, 2024-01-15])', 21],
     ];
     for (let t of tests) {
-        it.only(`expression "${t[0]}" should evaluate to ${typeof t[1] === 'string' ? `"${t[1]}"` : t[1]} on sample.`, () => {
-            // console.log(JSON.stringify(new CalcKu(t[0]).lexer(), null, 4));
+        it(`expression "${t[0]}" should evaluate to ${typeof t[1] === 'string' ? `"${t[1]}"` : t[1]} on sample.`, () => {
             expect(new CalcKu(t[0]).value(sample)).toBe(t[1]);
+            expect(new CalcKu(t[0]).compile()(sample)).toBe(t[1]);
         });
     }
+    it('evaluates date functions in the instance timezone.', () => {
+        let target = { at: new Date('2024-03-10T03:30:00Z') }; //evening of March 9th in New York.
+        expect(new CalcKu('DAY({at}) & " " & HOUR({at})').value(target)).toBe('10 3');
+        expect(new CalcKu('DAY({at}) & " " & HOUR({at})', 'America/New_York').value(target)).toBe('9 22');
+        expect(new CalcKu('STARTOF({at}, "day")', 'America/New_York').value(target)).toEqual(new Date('2024-03-09T05:00:00Z'));
+        //adding a day keeps the wall-clock time across the daylight-saving change.
+        expect(new CalcKu('DATEADD({at}, 1, "day")', 'America/New_York').value(target)).toEqual(new Date('2024-03-11T02:30:00Z'));
+        expect(new CalcKu('DATEADD({at}, 24, "hours")', 'America/New_York').value(target)).toEqual(new Date('2024-03-11T03:30:00Z'));
+        expect(new CalcKu('HOUR(TOZONE({at}, "Asia/Tokyo"))', 'America/New_York').value(target)).toBe(12);
+        expect(new CalcKu('FROMZONE(2024-03-10T12:30, "Asia/Tokyo")', 'America/New_York').value()).toEqual(target.at);
+        let today = new CalcKu('TODAY()', 'Asia/Tokyo').value();
+        expect(new CalcKu('HOUR(TODAY())', 'Asia/Tokyo').value()).toBe(0);
+        expect(new CalcKu('DATEDIFF({today}, NOW(), "hours")', 'Asia/Tokyo').value({ today })).toBeLessThan(24);
+    });
+    it('converts values at evaluation time, parsing dates in the instance timezone.', () => {
+        let target = { form: { amount: ' 12.50 ', qty: '3', when: '3/9/2024 10:30 PM', data: '[4, 5]' } };
+        expect(() => new CalcKu('{form.amount} + 1').value(target)).toThrow(expect.objectContaining({ op: 'ADDITION' }));
+        expect(new CalcKu('NUMBER({form.amount}) + 1').value(target)).toBe(13.5);
+        expect(new CalcKu('INT({form.qty}) * 2 & " " & TYPEOF({form.qty})').value(target)).toBe('6 string');
+        expect(new CalcKu('DATE({form.when})').value(target)).toEqual(new Date('2024-03-09T22:30:00Z'));
+        expect(new CalcKu('DATE({form.when})', 'America/New_York').value(target)).toEqual(new Date('2024-03-10T03:30:00Z'));
+        expect(new CalcKu('DAY(DATE({form.when}))', 'America/New_York').value(target)).toBe(9);
+        expect(new CalcKu('SUM(JSON({form.data}))').value(target)).toBe(9);
+        expect(new CalcKu('IFERROR(NUMBER("n/a"), 0) & TEXT(1) & BOOLEAN("TRUE")').value()).toBe('01true');
+    });
+    it('evaluates the criteria of conditional aggregates against each item, with the instance timezone and environment.', () => {
+        let target = {
+            orders: [
+                { total: 10, at: new Date('2024-03-01T03:00:00Z'), lines: [{ qty: 2 }] }, //Feb 29th in Chicago.
+                { total: 20, at: new Date('2024-03-01T18:00:00Z'), lines: [{ qty: 1 }, { qty: 4 }] },
+                { total: '30', at: new Date('2024-03-02T18:00:00Z'), lines: [] }
+            ]
+        };
+        expect(new CalcKu('SUMIF({orders}, "DAY({at}) == 1", "total")').value(target)).toBe(30);
+        expect(new CalcKu('SUMIF({orders}, "DAY({at}) == 1", "total")', 'America/Chicago').value(target)).toBe(20);
+        expect(new CalcKu('COUNTIFS({orders}, "SUMIF({lines}, \\"true\\", \\"qty\\") > 1", "{total} < 15")').value(target)).toBe(1);
+        let env = new CalKuEnvironment();
+        env.comparison.numericStrings = true;
+        env.funcs.BIG = { symbols: ['BIG'], params: [(v) => is(v).instanceOf('number', 'string')], func: (v) => v >= 20 };
+        expect(new CalcKu('COUNTIF({orders}, "BIG({total}) and {total} >= 20")', null, env).value(target)).toBe(2);
+        expect(() => new CalcKu('COUNTIF({orders}, "BIG({total})")').value(target)).toThrow(/BIG/);
+    });
+    it('evaluates lambdas with their parameters resolved as property references.', () => {
+        let target = {
+            rate: 2,
+            x: 'outer',
+            orders: [
+                { id: 1, region: 'W', lines: [{ qty: 2, price: 3 }, { qty: 1, price: 10 }] },
+                { id: 2, region: 'E', lines: [{ qty: 5, price: 1 }] },
+                { id: 3, region: 'W', lines: [] }
+            ]
+        };
+        let values = (e) => {
+            let compiled = new CalcKu(e).compile();
+            expect(new CalcKu(e).value(target)).toEqual(compiled(target));
+            return compiled(target);
+        };
+        expect(values('MAP({orders}, o => SUM(MAP({o.lines}, l => {l.qty} * {l.price} * {rate})))')).toEqual([32, 10, 0]);
+        expect(values('MAP(FILTER({orders}, o => {o.region} == "W"), o => {o.id})')).toEqual([1, 3]);
+        expect(values('REDUCE({orders}, 0, (total, o) => {total} + COUNTA({o.lines}))')).toBe(3);
+        expect(values('FIND({orders}, LAMBDA(o, {o.lines:0.qty} == 5))')).toBe(target.orders[1]);
+        expect(values('SOME({orders}, o => {o.id} > 2) AND NOT EVERY({orders}, o => {o.id} > 2)')).toBe(true);
+        expect(values('MAP(SORTBY({orders}, o => [{o.region}, -{o.id}]), o => {o.id})')).toEqual([2, 3, 1]);
+        expect(new CalcKu('SORTBY({xs}, x => {x.q})').value({ xs: [{ q: 3 }, {}, { q: 1 }] })).toEqual([{ q: 1 }, { q: 3 }, {}]);
+        expect(Object.keys(values('GROUPBY({orders}, o => {o.region})'))).toEqual(['W', 'E']);
+        //parameters hide target properties of the same name, only within the lambda body.
+        expect(values('MAP([1, 2], x => {x} * {rate}) CONTAINS 4 AND {x} == "outer"')).toBe(true);
+        expect(values('MAP([[1, 2], [3]], x => MAP({x}, (y, i) => {y} + {x:0} + {i}))')).toEqual([[2, 4], [6]]);
+        expect(values('MAP([1], x => MAP([10], x => {x}))')).toEqual([[10]]);
+        expect(new CalcKu('(x, y) => {x} * {y}').value()(3, 4)).toBe(12);
+        expect(() => values('MAP({orders}, 5)')).toThrow(expect.objectContaining({ code: ErrorCode.ArgType, startIndex: 14, endIndex: 15 }));
+        expect(() => values('MAP({orders}, o => {o.id} + "a")')).toThrow(/failed validating/);
+    });
+    it('evaluates array literals into arrays of their evaluated items.', () => {
+        expect(new CalcKu('[]').value(sample)).toEqual([]);
+        expect(new CalcKu('[1, 2 + 3, {hello}, "x", [true, {detail.args}]]').value(sample)).toEqual([
+            1, 5, 'yo', 'x', [true, ['a', 'b', 'c']]
+        ]);
+    });
+    it('throws when a prefix operator has no value following it.', () => {
+        expect(() => new CalcKu('3 + -').value(sample)).toThrow(/no subsequent expression/);
+        expect(() => new CalcKu('not').value(sample)).toThrow(/no subsequent expression/);
+    });
+    it('throws when a prefix operator is used between two values.', () => {
+        expect(() => new CalcKu('{yes} not {no}').value(sample)).toThrow(/malformed/);
+    });
+    describe('lazy evaluation', () => {
+        let probe = jest.fn(() => 1);
+        beforeAll(() => {
+            funcs.PROBE = { symbols: ['PROBE'], func: () => probe() };
+            funcs.TWICE = {
+                symbols: ['TWICE'],
+                params: [{ name: 'value', lazy: true, validator: (v) => is(v).number() }],
+                func: (v) => v() + v()
+            };
+        });
+        beforeEach(() => probe.mockClear());
+        afterAll(() => {
+            delete funcs.PROBE;
+            delete funcs.TWICE;
+        });
+        it('short-circuits the right side of AND and OR.', () => {
+            let target = { x: null };
+            expect(new CalcKu('false and PROBE()').value(target)).toBe(false);
+            expect(new CalcKu('true or PROBE()').value(target)).toBe(true);
+            expect(new CalcKu('1 > 2 and (PROBE() or PROBE())').value(target)).toBe(false);
+            expect(probe).not.toHaveBeenCalled();
+            expect(new CalcKu('true and PROBE()').value(target)).toBe(true);
+            expect(probe).toHaveBeenCalledTimes(1);
+            expect(new CalcKu('{x} != null and LEN({x.name}) > 0').value(target)).toBe(false);
+            expect(() => new CalcKu('true and LEFT({x}, "a")').value(target)).toThrow(/validating argument at index 1/);
+        });
+        it('only evaluates the used branch of IF.', () => {
+            let target = { total: 10, qty: 0 };
+            expect(new CalcKu('IF({qty} > 0, {total} / {qty} + PROBE(), 0)').value(target)).toBe(0);
+            expect(new CalcKu('IF({qty} == 0, 5, LEFT({total}, "x"))').value(target)).toBe(5);
+            expect(probe).not.toHaveBeenCalled();
+            expect(new CalcKu('IF({qty} == 0, PROBE(), 0)').value(target)).toBe(1);
+            expect(probe).toHaveBeenCalledTimes(1);
+        });
+        it('only evaluates the arguments of logical functions as needed.', () => {
+            let target = { a: 5, none: null };
+            expect(new CalcKu('AND(false, PROBE()) OR OR(true, PROBE())').value(target)).toBe(true);
+            expect(new CalcKu('IFS({a} > 9, PROBE(), {a} > 3, "mid", PROBE())').value(target)).toBe('mid');
+            expect(new CalcKu('SWITCH({a}, 1, PROBE(), 5, "five", PROBE())').value(target)).toBe('five');
+            expect(new CalcKu('COALESCE({none}, {a}, PROBE())').value(target)).toBe(5);
+            expect(new CalcKu('IFNULL({a}, PROBE()) + IFERROR({a}, PROBE())').value(target)).toBe(10);
+            expect(probe).not.toHaveBeenCalled();
+            expect(new CalcKu('NOT(1) + 1').value()).toBe(1);
+            expect(new CalcKu('NOT (1) + 1').value()).toBe(false);
+        });
+        it('replaces errors of an argument with the fallback of IFERROR.', () => {
+            let target = { qty: '3', list: [1, 'x'] };
+            expect(new CalcKu('IFERROR({qty} * 2, 0)').value(target)).toBe(0);
+            expect(new CalcKu('IFERROR(SUM(LEFT({qty}, "a")), -1)').value(target)).toBe(-1);
+            expect(new CalcKu('IFERROR(MAP({list}, x => {x} + 1), [])').value(target)).toEqual([]);
+            expect(new CalcKu('IFERROR(IFS({qty}, 1), "no")').value(target)).toBe('no');
+            expect(new CalcKu('IFERROR(LEN({qty}), 0)').value(target)).toBe(1);
+            funcs.FAIL = { symbols: ['FAIL'], func: () => { throw new Error('failed'); } };
+            try {
+                expect(new CalcKu('IFERROR(FAIL(), "caught")').value(target)).toBe('caught');
+                expect(() => new CalcKu('IFERROR(1 + "a", FAIL())').value(target)).toThrow(/failed/);
+            } finally {
+                delete funcs.FAIL;
+            }
+        });
+        it('passes lazy function arguments as functions that resolve the value once.', () => {
+            expect(new CalcKu('TWICE(PROBE() + 2)').value()).toBe(6);
+            expect(probe).toHaveBeenCalledTimes(1);
+            expect(() => new CalcKu('TWICE("a")').value()).toThrow(/TWICE/);
+            expect(() => new CalcKu('1 + TWICE([2])').value()).toThrow(expect.objectContaining({
+                code: ErrorCode.ArgType, startIndex: 10, endIndex: 13, func: 'TWICE', argIndex: 0
+            }));
+        });
+    });
+    describe('re-entrant evaluation', () => {
+        afterEach(() => {
+            delete funcs.INNER;
+        });
+        it('does not modify the cached tokens of the expression.', () => {
+            let ck = new CalcKu('({num} + 1) * SUM({detail.others}, [{detail.more}]) & IF({yes}, "a", "b")');
+            ck.value(sample);
+            let before = JSON.stringify(ck._tokenCache);
+            expect(ck.value(sample)).toBe('5351296a');
+            expect(ck.value({ num: 1, detail: { others: [1], more: 1 }, yes: false })).toBe('4b');
+            expect(JSON.stringify(ck._tokenCache)).toBe(before);
+            expect(Object.isFrozen(ck._tokenCache)).toBe(true);
+            expect(Object.isFrozen(ck._tokenCache[0].tokens[0])).toBe(true);
+        });
+        it('evaluates the same instance from within its own evaluation without leaking values.', () => {
+            let ck = new CalcKu('({num} * 2) + INNER({depth})');
+            funcs.INNER = {
+                symbols: ['INNER'],
+                params: [(v) => is(v).number()],
+                func: (depth) => (depth > 0 ? ck.value({ num: depth * 100, depth: depth - 1 }) : 0)
+            };
+            expect(ck.value({ num: 1, depth: 2 })).toBe(2 + 400 + 200);
+            expect(ck.values([{ num: 3, depth: 0 }, { num: 1, depth: 1 }, { num: 4, depth: 0 }])).toEqual([6, 202, 8]);
+        });
+        it('returns a new date object for date literals on each evaluation.', () => {
+            let ck = new CalcKu('2023-09-09');
+            let first = ck.value();
+            first.setFullYear(1999);
+            expect(ck.value().toISOString()).toBe('2023-09-09T00:00:00.000Z');
+        });
+    });
     it('handles recursively referenced objects.', () => {
         let sample = {
             abc: 123
@@ -0,0 +1,221 @@
+import Decimal from './decimal.js';
+
+/**
+ * @typedef ComparisonOptions
+ * @property {Boolean} [numericStrings=false] - When `true`, a string holding a number (e.g. `"55"` or `" -1.5 "`) is
+ * compared as that number when compared with a number, so `"55" == 55` is `true`.
+ */
+
+/**
+ * The default comparison options, used by the default environment and inherited by all other environments.
+ * @type {ComparisonOptions}
+ */
+const defaults = {
+    numericStrings: false
+};
+
+/**
+ * A regular expression matching the text of a number, such as `"55"`, `" -1.5 "`, or `"2e3"`.
+ * @type {RegExp}
+ */
+const NumericString = /^\s*[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+/**
+ * The wildcards of a `LIKE` pattern.
+ * @enum {Symbol}
+ */
+const Wildcard = {
+    Any: Symbol('%'),
+    One: Symbol('_')
+};
+
+/**
+ * Returns `true` if the value is a plain object (not an array, date, or instance of another class).
+ * @param {*} value - The value to check.
+ * @returns {Boolean}
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    let proto = Object.getPrototypeOf(value);
+    return (proto === Object.prototype || proto === null);
+}
+
+/**
+ * Returns the pair of values with a numeric string converted to a number when compared with a number, if the
+ * `numericStrings` option is enabled.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {ComparisonOptions} [options] - The comparison options.
+ * @returns {Array}
+ */
+function coerce(a, b, options) {
+    if ((options ?? defaults).numericStrings) {
+        if (isNumeric(a) && typeof b === 'string' && NumericString.test(b)) {
+            return [a, (a instanceof Decimal ? Decimal.from(b) : null) ?? parseFloat(b)];
+        } else if (typeof a === 'string' && isNumeric(b) && NumericString.test(a)) {
+            return [(b instanceof Decimal ? Decimal.from(a) : null) ?? parseFloat(a), b];
+        }
+    }
+    return [a, b];
+}
+
+/**
+ * Returns `true` if the value is a number or a `Decimal`.
+ * @param {*} value - The value to check.
+ * @returns {Boolean}
+ */
+function isNumeric(value) {
+    return (typeof value === 'number' || value instanceof Decimal);
+}
+
+/**
+ * Compares the order of a decimal and a number (or two decimals) exactly, with the number read as the decimal of its
+ * shortest text. Returns `NaN` if either value is not a number or decimal, or is a number with no decimal form (such
+ * as `NaN` or `Infinity`).
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {Number}
+ */
+function decimalOrder(a, b) {
+    let x = (isNumeric(a) ? Decimal.from(a) : null);
+    let y = (isNumeric(b) ? Decimal.from(b) : null);
+    return (x && y ? x.compare(y) : NaN);
+}
+
+/**
+ * Returns `true` if the values are equal by value:
+ * - Dates are equal when they are the same point in time.
+ * - Decimals are equal to decimals and numbers of the same (exact) value.
+ * - Arrays are equal when they have equal items in the same order.
+ * - Plain objects are equal when they have the same keys with equal values.
+ * - All other values are equal only when strictly equal (`===`), except numeric strings and numbers with the
+ *   `numericStrings` option enabled.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {ComparisonOptions} [options] - The comparison options.
+ * @param {Map} [seen] - Pairs of arrays or objects already being compared, used internally to stop on circular
+ * references.
+ * @returns {Boolean}
+ */
+function equals(a, b, options, seen) {
+    [a, b] = coerce(a, b, options);
+    if (a === b) {
+        return true;
+    } else if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    } else if (a instanceof Decimal || b instanceof Decimal) {
+        return decimalOrder(a, b) === 0;
+    }
+    let arrays = (Array.isArray(a) && Array.isArray(b));
+    if (!arrays && !(isPlainObject(a) && isPlainObject(b))) {
+        return false;
+    }
+    seen = seen ?? new Map();
+    if (seen.get(a)?.has(b)) {
+        return true; //already being compared further up, so it is equal unless another difference is found.
+    }
+    seen.set(a, (seen.get(a) ?? new Set()).add(b));
+    if (arrays) {
+        return (a.length === b.length && a.every((v, i) => equals(v, b[i], options, seen)));
+    }
+    let keys = Object.keys(a);
+    return (
+        keys.length === Object.keys(b).length
+        && keys.every(k => Object.prototype.hasOwnProperty.call(b, k) && equals(a[k], b[k], options, seen))
+    );
+}
+
+/**
+ * Compares the order of two values, returning a negative number if `a` is before `b`, a positive number if after,
+ * and `0` if neither. Returns `NaN` if the values cannot be ordered against each other:
+ * - Numbers, strings, and booleans are ordered only against values of the same type.
+ * - Dates are ordered by their point in time.
+ * - Decimals are ordered (exactly) against decimals and numbers.
+ * - Arrays are ordered item by item, and a shorter array is before a longer one it starts.
+ * - `null` is only ordered against `null` (as equal).
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {ComparisonOptions} [options] - The comparison options.
+ * @returns {Number}
+ */
+function compare(a, b, options) {
+    [a, b] = coerce(a, b, options);
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() - b.getTime();
+    } else if (a instanceof Decimal || b instanceof Decimal) {
+        return decimalOrder(a, b);
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < a.length && i < b.length; i++) {
+            let result = compare(a[i], b[i], options);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return a.length - b.length;
+    } else if (a === null && b === null) {
+        return 0;
+    } else if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string' && typeof a !== 'boolean')) {
+        return NaN;
+    } else if (a < b) {
+        return -1;
+    }
+    return (a > b ? 1 : (a === b ? 0 : NaN)); //NaN numbers are not ordered.
+}
+
+/**
+ * Returns `true` if the text matches the SQL-style `LIKE` pattern as a whole, where `%` matches any run of characters
+ * (including none) and `_` matches any single character. A backslash escapes the character following it, so `\%`
+ * matches a literal `%`.
+ *
+ * Matching takes at most time proportional to the length of the text times the length of the pattern, regardless of
+ * the number of wildcards, so user-authored patterns cannot stall an evaluation.
+ * @param {String} text - The text to match.
+ * @param {String} pattern - The pattern to match the text against.
+ * @param {Boolean} [ignoreCase=false] - When `true`, upper-case and lower-case differences are ignored.
+ * @returns {Boolean}
+ */
+function like(text, pattern, ignoreCase) {
+    let chars = [...(ignoreCase ? text.toLowerCase() : text)];
+    let tokens = []; //characters to match, or the Any / One wildcards.
+    for (let i = 0, p = [...pattern]; i < p.length; i++) {
+        if (p[i] === '\\' && i < p.length - 1) {
+            tokens.push(ignoreCase ? p[++i].toLowerCase() : p[++i]);
+        } else if (p[i] === '%' || p[i] === '_') {
+            tokens.push(p[i] === '%' ? Wildcard.Any : Wildcard.One);
+        } else {
+            tokens.push(ignoreCase ? p[i].toLowerCase() : p[i]);
+        }
+    }
+    let t = 0;
+    let k = 0;
+    let any = -1; //the token index of the last "%" seen, which is retried with one more character on a mismatch.
+    let anyAt = 0;
+    while (t < chars.length) {
+        if (k < tokens.length && (tokens[k] === Wildcard.One || tokens[k] === chars[t])) {
+            t++;
+            k++;
+        } else if (k < tokens.length && tokens[k] === Wildcard.Any) {
+            any = k++;
+            anyAt = t;
+        } else if (any > -1) {
+            k = any + 1;
+            t = ++anyAt;
+        } else {
+            return false;
+        }
+    }
+    while (tokens[k] === Wildcard.Any) {
+        k++;
+    }
+    return (k === tokens.length);
+}
+
+export {
+    defaults,
+    NumericString,
+    equals,
+    compare,
+    like
+};
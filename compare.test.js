@@ -0,0 +1,134 @@
+import { defaults, equals, compare, like } from './compare.js';
+import Decimal from './decimal.js';
+
+describe('.equals', () => {
+    it('compares primitives strictly.', () => {
+        expect(equals(1, 1)).toBe(true);
+        expect(equals('a', 'a')).toBe(true);
+        expect(equals(null, null)).toBe(true);
+        expect(equals(1, '1')).toBe(false);
+        expect(equals(0, false)).toBe(false);
+        expect(equals(null, undefined)).toBe(false);
+        expect(equals(NaN, NaN)).toBe(false);
+    });
+    it('compares dates by their point in time.', () => {
+        expect(equals(new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00.000Z'))).toBe(true);
+        expect(equals(new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00.001Z'))).toBe(false);
+        expect(equals(new Date('x'), new Date('x'))).toBe(false);
+    });
+    it('compares arrays and plain objects deeply.', () => {
+        expect(equals([1, [2, 'x']], [1, [2, 'x']])).toBe(true);
+        expect(equals([1, 2], [2, 1])).toBe(false);
+        expect(equals({ a: [new Date(0)], b: null }, { b: null, a: [new Date(0)] })).toBe(true);
+        expect(equals({ a: 1 }, { a: 1, b: 2 })).toBe(false);
+        expect(equals({ a: 1, c: 2 }, { a: 1, b: 2 })).toBe(false);
+        expect(equals([], {})).toBe(false);
+        expect(equals(new Map(), new Map())).toBe(false);
+    });
+    it('stops on circular references.', () => {
+        let a = { name: 'a' };
+        a.self = a;
+        let b = { name: 'a' };
+        b.self = b;
+        expect(equals(a, b)).toBe(true);
+        b.name = 'b';
+        expect(equals(a, b)).toBe(false);
+    });
+    it('compares numeric strings as numbers with the numericStrings option.', () => {
+        let options = { numericStrings: true };
+        expect(equals('55', 55, options)).toBe(true);
+        expect(equals(55, ' 55.0 ', options)).toBe(true);
+        expect(equals([1, '2'], ['1', 2], options)).toBe(true);
+        expect(equals('55', '55.0', options)).toBe(false); //both strings, so compared as text.
+        expect(equals('', 0, options)).toBe(false);
+        expect(equals('0x10', 16, options)).toBe(false);
+        expect(equals('55', 55)).toBe(false);
+    });
+    it('compares decimals exactly against decimals and numbers.', () => {
+        expect(equals(Decimal.from('0.30'), Decimal.from(0.3))).toBe(true);
+        expect(equals(Decimal.from('0.3'), 0.3)).toBe(true);
+        expect(equals(0.1 + 0.2, Decimal.from('0.3'))).toBe(false);
+        expect(equals(Decimal.from(1), true)).toBe(false);
+        expect(equals(Decimal.from(1), '1')).toBe(false);
+        expect(equals(Decimal.from(1), ' 1.0 ', { numericStrings: true })).toBe(true);
+        expect(equals([Decimal.from(2)], [2])).toBe(true);
+    });
+});
+
+describe('.compare', () => {
+    it('orders values of the same type.', () => {
+        expect(compare(1, 2)).toBeLessThan(0);
+        expect(compare('b', 'a')).toBeGreaterThan(0);
+        expect(compare(true, false)).toBeGreaterThan(0);
+        expect(compare(null, null)).toBe(0);
+        expect(compare(new Date(5), new Date(2))).toBeGreaterThan(0);
+        expect(compare([1, 2], [1, 3])).toBeLessThan(0);
+        expect(compare([1, 2], [1])).toBeGreaterThan(0);
+        expect(compare([1, 2], [1, 2])).toBe(0);
+    });
+    it('returns NaN for values that cannot be ordered against each other.', () => {
+        expect(compare(1, '2')).toBeNaN();
+        expect(compare(null, 0)).toBeNaN();
+        expect(compare(new Date(5), 2)).toBeNaN();
+        expect(compare({ a: 1 }, { a: 1 })).toBeNaN();
+        expect(compare([1, 'a'], [1, 2])).toBeNaN();
+        expect(compare(NaN, 1)).toBeNaN();
+    });
+    it('orders numeric strings as numbers with the numericStrings option.', () => {
+        expect(compare('10', 9, { numericStrings: true })).toBeGreaterThan(0);
+        expect(compare(9, '10', { numericStrings: true })).toBeLessThan(0);
+        expect(compare('10', '9', { numericStrings: true })).toBeLessThan(0); //both strings, so compared as text.
+    });
+    it('orders decimals exactly against decimals and numbers.', () => {
+        expect(compare(Decimal.from('0.3'), 0.1 + 0.2)).toBeLessThan(0);
+        expect(compare(2, Decimal.from('1.99'))).toBeGreaterThan(0);
+        expect(compare(Decimal.from('-1'), Decimal.from('-1.0'))).toBe(0);
+        expect(compare(Decimal.from(1), Infinity)).toBeNaN();
+        expect(compare(Decimal.from(1), null)).toBeNaN();
+        expect(compare('10', Decimal.from(9), { numericStrings: true })).toBeGreaterThan(0);
+    });
+});
+
+describe('.like', () => {
+    it('matches "%" to any run of characters and "_" to any one character.', () => {
+        expect(like('hello', 'hello')).toBe(true);
+        expect(like('hello', 'h%')).toBe(true);
+        expect(like('hello', '%o')).toBe(true);
+        expect(like('hello', '%ll%')).toBe(true);
+        expect(like('hello', '%')).toBe(true);
+        expect(like('', '%')).toBe(true);
+        expect(like('hello', 'h_llo')).toBe(true);
+        expect(like('hello', '_____')).toBe(true);
+        expect(like('hello', '____')).toBe(false);
+        expect(like('hello', 'h%l_o')).toBe(true);
+        expect(like('hello', '%l%l%l%')).toBe(false);
+        expect(like('hello', 'ell')).toBe(false);
+        expect(like('', '_')).toBe(false);
+        expect(like('a😀b', 'a_b')).toBe(true);
+    });
+    it('matches the whole text, and only ignores case when asked to.', () => {
+        expect(like('Hello', 'hello')).toBe(false);
+        expect(like('Hello', 'hello', true)).toBe(true);
+        expect(like('HELLO', 'h%O', true)).toBe(true);
+        expect(like('hello world', 'hello')).toBe(false);
+    });
+    it('matches escaped wildcards literally.', () => {
+        expect(like('50%', '50\\%')).toBe(true);
+        expect(like('500', '50\\%')).toBe(false);
+        expect(like('a_b', 'a\\_b')).toBe(true);
+        expect(like('axb', 'a\\_b')).toBe(false);
+        expect(like('a\\b', 'a\\\\b')).toBe(true);
+        expect(like('a\\', 'a\\')).toBe(true);
+    });
+    it('matches patterns with many wildcards quickly.', () => {
+        let start = Date.now();
+        expect(like('a'.repeat(5000), '%a'.repeat(200) + 'b')).toBe(false);
+        expect(Date.now() - start).toBeLessThan(1000);
+    });
+});
+
+describe('defaults', () => {
+    it('does not coerce numeric strings.', () => {
+        expect(defaults.numericStrings).toBe(false);
+    });
+});
@@ -0,0 +1,374 @@
+/**
+ * The date and time units supported by the date functions, with their length in milliseconds when it is fixed.
+ * Calendar units (`year`, `quarter`, `month`) have no fixed length.
+ * @enum {Number}
+ */
+const DateUnit = {
+    year: null,
+    quarter: null,
+    month: null,
+    week: 604800000,
+    day: 86400000,
+    hour: 3600000,
+    minute: 60000,
+    second: 1000,
+    millisecond: 1
+};
+
+/**
+ * A regular expression to check for a reasonable ISO8601 format date.
+ * YYYY-MM-DDThh:mm
+ * YYYY-MM-DDThh:mmTZD
+ * YYYY-MM-DDThh:mm:ss
+ * YYYY-MM-DDThh:mm:ssTZD
+ * YYYY-MM-DDThh:mm:ss.s
+ * YYYY-MM-DDThh:mm:ss.sTZD
+ * @see: https://www.w3.org/TR/NOTE-datetime
+ * @type {RegExp}
+ */
+const ISO8601Date = /^\d{4}-\d\d-\d\d((T\d\d:\d\d(:\d\d(\.\d+)?)?(([+-]\d\d:\d\d)|Z)?)?|(( GMT[+-]\d\d:\d\d)|Z)?)$/i;
+const USAppKuStandardDate = /^\d{1,2}\/\d{1,2}\/(\d{4}|\d\d)( \d{1,2}:\d{1,2}(:\d{1,2}(\.\d{1,3})?)?( ?(AM|PM)))?(( GMT[+-]\d\d:\d\d)|Z)?$/i;
+const _formats = new Map();
+
+/**
+ * @typedef DateParts
+ * @property {Number} year
+ * @property {Number} month - The month of the year, from 1 (January) to 12 (December).
+ * @property {Number} day - The day of the month, starting from 1.
+ * @property {Number} hour - The hour of the day, from 0 to 23.
+ * @property {Number} minute
+ * @property {Number} second
+ * @property {Number} millisecond
+ * @property {Number} weekday - The day of the week, from 0 (Sunday) to 6 (Saturday).
+ */
+
+/**
+ * Returns the (cached) formatter used to read the wall-clock parts of a date in the given timezone.
+ * @param {String} timeZone - The timezone.
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatOf(timeZone) {
+    let fmt = _formats.get(timeZone);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        _formats.set(timeZone, fmt);
+    }
+    return fmt;
+}
+
+/**
+ * Returns the UTC time (in milliseconds) of the given parts, as if they were UTC. Unlike `Date.UTC`, years 0 to 99
+ * are not mapped to the 1900s, and out-of-range parts overflow into the next (or previous) larger part.
+ * @param {DateParts} parts - The date parts.
+ * @returns {Number}
+ */
+function utcOf(parts) {
+    let d = new Date(0);
+    d.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+    d.setUTCHours(parts.hour ?? 0, parts.minute ?? 0, parts.second ?? 0, parts.millisecond ?? 0);
+    return d.getTime();
+}
+
+/**
+ * Returns the number of days in the month of the given year.
+ * @param {Number} year - The year.
+ * @param {Number} month - The month, from 1 to 12.
+ * @returns {Number}
+ */
+function daysInMonth(year, month) {
+    return new Date(utcOf({ year, month: month + 1, day: 0 })).getUTCDate();
+}
+
+/**
+ * Returns the unit of the given name, which is case-insensitive and may be singular or plural (e.g. `"Days"`), or
+ * `null` if it is not a supported unit.
+ * @param {String} name - The unit name.
+ * @returns {String}
+ */
+function unitOf(name) {
+    if (typeof name === 'string') {
+        let unit = name.trim().toLowerCase().replace(/s$/, '');
+        if (Object.prototype.hasOwnProperty.call(DateUnit, unit)) {
+            return unit;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the canonical name of the given timezone, or `null` if it is not a recognized timezone.
+ * @param {String} name - The timezone name, e.g. `"America/Chicago"`.
+ * @returns {String}
+ */
+function zoneOf(name) {
+    if (name && typeof name === 'string') {
+        try {
+            return formatOf(name).resolvedOptions().timeZone;
+        } catch {
+            //not a valid timezone.
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the wall-clock parts of the date in the given timezone. If no timezone is specified, UTC is used.
+ * @param {Date} date - The date.
+ * @param {String} [timeZone] - The timezone.
+ * @returns {DateParts}
+ */
+function partsOf(date, timeZone) {
+    let parts = {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds(),
+        millisecond: date.getUTCMilliseconds()
+    };
+    if (timeZone) {
+        for (let p of formatOf(timeZone).formatToParts(date)) {
+            if (p.type !== 'literal' && Object.prototype.hasOwnProperty.call(parts, p.type)) {
+                parts[p.type] = parseInt(p.value, 10);
+            }
+        }
+    }
+    parts.weekday = new Date(utcOf(parts)).getUTCDay();
+    return parts;
+}
+
+/**
+ * Returns the offset (in minutes) of the timezone from UTC at the given date, e.g. `-300` for "America/New_York" in
+ * the winter. Returns `0` if no timezone is specified.
+ * @param {Date} date - The date.
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Number}
+ */
+function offsetOf(date, timeZone) {
+    if (!timeZone) {
+        return 0;
+    }
+    return Math.round((utcOf(partsOf(date, timeZone)) - date.getTime()) / 60000);
+}
+
+/**
+ * Returns the date of the given wall-clock parts in the timezone. If no timezone is specified, UTC is used.
+ * Parts that are out-of-range overflow, so `{ month: 13 }` is January of the next year. A wall-clock time repeated
+ * by a daylight-saving change resolves to its first occurrence, and one skipped by a change resolves using the offset
+ * before the change (so 2:30 AM on a day skipping from 2 AM to 3 AM is 3:30 AM).
+ * @param {DateParts} parts - The date parts.
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Date}
+ */
+function fromParts(parts, timeZone) {
+    let utc = utcOf(parts);
+    if (!timeZone) {
+        return new Date(utc);
+    }
+    let before = utc - offsetOf(new Date(utc - DateUnit.day), timeZone) * 60000;
+    let after = utc - offsetOf(new Date(utc + DateUnit.day), timeZone) * 60000;
+    let isExact = (time) => utc - offsetOf(new Date(time), timeZone) * 60000 === time;
+    if (isExact(before) && isExact(after)) {
+        return new Date(Math.min(before, after));
+    }
+    return new Date(isExact(after) ? after : before);
+}
+
+/**
+ * Parses the text of a date in an ISO8601 format (e.g. `"2024-03-09T14:30:00Z"`) or the U.S. format (e.g.
+ * `"3/9/2024 2:30 PM"`) into a date, returning `null` if the text is in neither format. Text without a timezone
+ * offset is read as a wall-clock time in the given timezone, or UTC if no timezone is specified.
+ * @param {String} text - The date text.
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Date}
+ */
+function parse(text, timeZone) {
+    if (!ISO8601Date.test(text) && !USAppKuStandardDate.test(text)) {
+        return null;
+    } else if (/([+-]\d\d:\d\d)|Z$/.test(text)) {
+        return new Date(text);
+    }
+    let date = new Date(text + (text.indexOf('T') === -1 ? ' Z' : 'Z'));
+    if (timeZone) {
+        //the offset is resolved at the date itself, so daylight-saving time is accounted for.
+        return fromParts(partsOf(date), timeZone);
+    }
+    return date;
+}
+
+/**
+ * Returns the start of the unit the date is in, in the given timezone. Weeks start on Sunday.
+ * @param {Date} date - The date.
+ * @param {String} unit - The unit (see `unitOf`).
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Date}
+ */
+function startOf(date, unit, timeZone) {
+    let ms = DateUnit[unit];
+    if (ms && ms < DateUnit.day) { //time units keep their offset.
+        let offset = offsetOf(date, timeZone) * 60000;
+        return new Date(Math.floor((date.getTime() + offset) / ms) * ms - offset);
+    }
+    let p = partsOf(date, timeZone);
+    let parts = { year: p.year, month: p.month, day: p.day };
+    if (unit === 'week') {
+        parts.day -= p.weekday;
+    } else if (unit === 'month') {
+        parts.day = 1;
+    } else if (unit === 'quarter') {
+        parts.month = Math.floor((p.month - 1) / 3) * 3 + 1;
+        parts.day = 1;
+    } else if (unit === 'year') {
+        parts.month = 1;
+        parts.day = 1;
+    }
+    return fromParts(parts, timeZone);
+}
+
+/**
+ * Returns the end (the last millisecond) of the unit the date is in, in the given timezone. Weeks end on Saturday.
+ * @param {Date} date - The date.
+ * @param {String} unit - The unit (see `unitOf`).
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Date}
+ */
+function endOf(date, unit, timeZone) {
+    return new Date(add(startOf(date, unit, timeZone), 1, unit, timeZone).getTime() - 1);
+}
+
+/**
+ * Adds an amount of units to the date. Calendar units (days and larger) move the wall-clock date in the timezone, so
+ * the time of day is kept across daylight-saving changes. When adding months, quarters, or years lands past the end
+ * of the month, the last day of that month is used. Time units (hours and smaller) are added as elapsed time.
+ * @param {Date} date - The date.
+ * @param {Number} amount - The amount of units to add (may be negative).
+ * @param {String} unit - The unit (see `unitOf`).
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Date}
+ */
+function add(date, amount, unit, timeZone) {
+    let ms = DateUnit[unit];
+    if (ms && ms < DateUnit.day) {
+        return new Date(date.getTime() + amount * ms);
+    }
+    let p = partsOf(date, timeZone);
+    if (unit === 'day' || unit === 'week') {
+        p.day += amount * ms / DateUnit.day;
+    } else {
+        let months = p.month - 1 + amount * (unit === 'year' ? 12 : (unit === 'quarter' ? 3 : 1));
+        p.year += Math.floor(months / 12);
+        p.month = (months % 12 + 12) % 12 + 1;
+        p.day = Math.min(p.day, daysInMonth(p.year, p.month));
+    }
+    return fromParts(p, timeZone);
+}
+
+/**
+ * Returns the number of whole units from the start date to the end date, negative if the end is before the start.
+ * Calendar units (days and larger) are counted on the wall-clock in the timezone, time units (hours and smaller) as
+ * elapsed time.
+ * @param {Date} start - The start date.
+ * @param {Date} end - The end date.
+ * @param {String} unit - The unit (see `unitOf`).
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Number}
+ */
+function diff(start, end, unit, timeZone) {
+    let ms = DateUnit[unit];
+    if (ms && ms < DateUnit.day) {
+        return Math.trunc((end.getTime() - start.getTime()) / ms);
+    } else if (ms) {
+        let elapsed = utcOf(partsOf(end, timeZone)) - utcOf(partsOf(start, timeZone));
+        return Math.trunc(elapsed / ms);
+    }
+    let s = partsOf(start, timeZone);
+    let e = partsOf(end, timeZone);
+    let months = (e.year - s.year) * 12 + (e.month - s.month);
+    if (months > 0 && add(start, months, 'month', timeZone) > end) {
+        months--;
+    } else if (months < 0 && add(start, months, 'month', timeZone) < end) {
+        months++;
+    }
+    return Math.trunc(months / (unit === 'year' ? 12 : (unit === 'quarter' ? 3 : 1)));
+}
+
+/**
+ * Returns the number of weekdays (Monday through Friday) from the start date to the end date, including both, in the
+ * timezone. Holidays falling on a weekday in the range are not counted. The count is negative if the end is before
+ * the start.
+ * @param {Date} start - The start date.
+ * @param {Date} end - The end date.
+ * @param {Array.<Date>} [holidays] - Dates that are not work days.
+ * @param {String} [timeZone] - The timezone.
+ * @returns {Number}
+ */
+function workdays(start, end, holidays, timeZone) {
+    let dayOf = (d) => Math.round(utcOf({ ...partsOf(d, timeZone), hour: 0, minute: 0, second: 0, millisecond: 0 }) / DateUnit.day);
+    let first = dayOf(start);
+    let last = dayOf(end);
+    let sign = 1;
+    if (last < first) {
+        [first, last] = [last, first];
+        sign = -1;
+    }
+    let isWeekday = (day) => ((day % 7 + 10) % 7) < 5; //1970-01-01 (day 0) was a Thursday, 3 days after a Monday.
+    let days = last - first + 1;
+    let count = Math.floor(days / 7) * 5;
+    for (let day = first + days - days % 7; day <= last; day++) {
+        count += isWeekday(day) ? 1 : 0;
+    }
+    let off = new Set((holidays ?? []).map(dayOf).filter(day => day >= first && day <= last && isWeekday(day)));
+    return (count - off.size) * sign;
+}
+
+/**
+ * Returns the date showing, on the wall-clock of the timezone, the time the date shows on the wall-clock of the zone.
+ * For example, 2 PM UTC to "America/Chicago" (in UTC) is 8 AM UTC, as it is 8 AM in Chicago at 2 PM UTC.
+ * @param {Date} date - The date.
+ * @param {String} zone - The timezone converted to.
+ * @param {String} [timeZone] - The timezone the result is shown in.
+ * @returns {Date}
+ */
+function toZone(date, zone, timeZone) {
+    return fromParts(partsOf(date, zone), timeZone);
+}
+
+/**
+ * Returns the date at which the wall-clock of the zone shows the time the date shows on the wall-clock of the
+ * timezone. This is the reverse of `toZone`, e.g. 8 AM UTC from "America/Chicago" (in UTC) is 2 PM UTC.
+ * @param {Date} date - The date.
+ * @param {String} zone - The timezone converted from.
+ * @param {String} [timeZone] - The timezone the date is shown in.
+ * @returns {Date}
+ */
+function fromZone(date, zone, timeZone) {
+    return fromParts(partsOf(date, timeZone), zone);
+}
+
+export {
+    DateUnit,
+    unitOf,
+    zoneOf,
+    daysInMonth,
+    partsOf,
+    offsetOf,
+    fromParts,
+    parse,
+    startOf,
+    endOf,
+    add,
+    diff,
+    workdays,
+    toZone,
+    fromZone
+};
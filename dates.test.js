@@ -0,0 +1,189 @@
+import * as dates from './dates.js';
+
+const NY = 'America/New_York';
+
+describe('.unitOf', () => {
+    it('returns the unit of a case-insensitive, singular or plural name.', () => {
+        expect(dates.unitOf('day')).toBe('day');
+        expect(dates.unitOf('Days')).toBe('day');
+        expect(dates.unitOf(' MONTHS ')).toBe('month');
+        expect(dates.unitOf('milliseconds')).toBe('millisecond');
+    });
+    it('returns null for an unsupported unit.', () => {
+        expect(dates.unitOf('fortnight')).toBeNull();
+        expect(dates.unitOf('')).toBeNull();
+        expect(dates.unitOf(null)).toBeNull();
+        expect(dates.unitOf('toString')).toBeNull();
+    });
+});
+
+describe('.zoneOf', () => {
+    it('returns the canonical name of a recognized timezone.', () => {
+        expect(dates.zoneOf('America/Chicago')).toBe('America/Chicago');
+        expect(dates.zoneOf('utc')).toBe('UTC');
+    });
+    it('returns null for an unrecognized timezone.', () => {
+        expect(dates.zoneOf('Mars/Olympus_Mons')).toBeNull();
+        expect(dates.zoneOf('')).toBeNull();
+        expect(dates.zoneOf(5)).toBeNull();
+    });
+});
+
+describe('.partsOf', () => {
+    it('returns the UTC parts when no timezone is specified.', () => {
+        expect(dates.partsOf(new Date('2024-03-10T03:30:15.250Z'))).toEqual({
+            year: 2024, month: 3, day: 10, hour: 3, minute: 30, second: 15, millisecond: 250, weekday: 0
+        });
+    });
+    it('returns the wall-clock parts in the timezone.', () => {
+        expect(dates.partsOf(new Date('2024-03-10T03:30:15.250Z'), NY)).toEqual({
+            year: 2024, month: 3, day: 9, hour: 22, minute: 30, second: 15, millisecond: 250, weekday: 6
+        });
+        expect(dates.partsOf(new Date('2024-01-01T00:00:00Z'), 'Asia/Kolkata').hour).toBe(5);
+    });
+});
+
+describe('.offsetOf', () => {
+    it('returns the offset of the timezone at the date, including daylight-saving time.', () => {
+        expect(dates.offsetOf(new Date('2024-01-15T12:00:00Z'), NY)).toBe(-300);
+        expect(dates.offsetOf(new Date('2024-07-15T12:00:00Z'), NY)).toBe(-240);
+        expect(dates.offsetOf(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+        expect(dates.offsetOf(new Date('2024-07-15T12:00:00Z'))).toBe(0);
+    });
+});
+
+describe('.fromParts', () => {
+    it('returns the date of wall-clock parts in the timezone.', () => {
+        expect(dates.fromParts({ year: 2024, month: 1, day: 15, hour: 9 }, NY)).toEqual(new Date('2024-01-15T14:00:00Z'));
+        expect(dates.fromParts({ year: 2024, month: 7, day: 15, hour: 9 }, NY)).toEqual(new Date('2024-07-15T13:00:00Z'));
+        expect(dates.fromParts({ year: 2024, month: 7, day: 15, hour: 9 })).toEqual(new Date('2024-07-15T09:00:00Z'));
+    });
+    it('overflows out-of-range parts.', () => {
+        expect(dates.fromParts({ year: 2024, month: 13, day: 1 })).toEqual(new Date('2025-01-01T00:00:00Z'));
+        expect(dates.fromParts({ year: 2024, month: 3, day: 0 })).toEqual(new Date('2024-02-29T00:00:00Z'));
+    });
+    it('resolves a wall-clock time skipped or repeated by daylight-saving time.', () => {
+        expect(dates.fromParts({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, NY)).toEqual(new Date('2024-03-10T07:30:00Z'));
+        expect(dates.fromParts({ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }, NY)).toEqual(new Date('2024-11-03T05:30:00Z'));
+        expect(dates.fromParts({ year: 2024, month: 4, day: 7, hour: 2, minute: 30 }, 'Australia/Sydney')).toEqual(new Date('2024-04-06T15:30:00Z'));
+    });
+});
+
+describe('.parse', () => {
+    it('parses ISO8601 and U.S. date text, reading text without an offset in the timezone.', () => {
+        expect(dates.parse('2024-03-09T14:30')).toEqual(new Date('2024-03-09T14:30:00Z'));
+        expect(dates.parse('2024-03-09T14:30', NY)).toEqual(new Date('2024-03-09T19:30:00Z'));
+        expect(dates.parse('2024-03-09T14:30+01:00', NY)).toEqual(new Date('2024-03-09T13:30:00Z'));
+        expect(dates.parse('3/9/2024 2:30 PM', NY)).toEqual(new Date('2024-03-09T19:30:00Z'));
+        expect(dates.parse('7/15/2024', NY)).toEqual(new Date('2024-07-15T04:00:00Z'));
+    });
+    it('returns null for text in neither format.', () => {
+        expect(dates.parse('March 9, 2024')).toBeNull();
+        expect(dates.parse('2024-3-9')).toBeNull();
+        expect(dates.parse('')).toBeNull();
+    });
+});
+
+describe('.startOf & .endOf', () => {
+    let date = new Date('2024-05-15T03:30:45.500Z'); //May 14th, 11:30 PM in New York.
+    let tests = [
+        ['year', null, '2024-01-01T00:00:00.000Z', '2024-12-31T23:59:59.999Z'],
+        ['quarter', null, '2024-04-01T00:00:00.000Z', '2024-06-30T23:59:59.999Z'],
+        ['month', null, '2024-05-01T00:00:00.000Z', '2024-05-31T23:59:59.999Z'],
+        ['week', null, '2024-05-12T00:00:00.000Z', '2024-05-18T23:59:59.999Z'],
+        ['day', null, '2024-05-15T00:00:00.000Z', '2024-05-15T23:59:59.999Z'],
+        ['hour', null, '2024-05-15T03:00:00.000Z', '2024-05-15T03:59:59.999Z'],
+        ['second', null, '2024-05-15T03:30:45.000Z', '2024-05-15T03:30:45.999Z'],
+        ['year', NY, '2024-01-01T05:00:00.000Z', '2025-01-01T04:59:59.999Z'],
+        ['month', NY, '2024-05-01T04:00:00.000Z', '2024-06-01T03:59:59.999Z'],
+        ['day', NY, '2024-05-14T04:00:00.000Z', '2024-05-15T03:59:59.999Z'],
+        ['hour', 'Asia/Kolkata', '2024-05-15T03:30:00.000Z', '2024-05-15T04:29:59.999Z']
+    ];
+    for (let [unit, tz, start, end] of tests) {
+        it(`finds the ${unit} from ${start} to ${end} in ${tz ?? 'UTC'}.`, () => {
+            expect(dates.startOf(date, unit, tz).toISOString()).toBe(start);
+            expect(dates.endOf(date, unit, tz).toISOString()).toBe(end);
+        });
+    }
+    it('spans a day shortened by daylight-saving time.', () => {
+        let date = new Date('2024-03-10T12:00:00Z');
+        expect(dates.endOf(date, 'day', NY) - dates.startOf(date, 'day', NY)).toBe(23 * 3600000 - 1);
+    });
+});
+
+describe('.add', () => {
+    it('adds calendar units to the wall-clock date, clamping to the end of the month.', () => {
+        let date = new Date('2024-01-31T12:00:00Z');
+        expect(dates.add(date, 1, 'month')).toEqual(new Date('2024-02-29T12:00:00Z'));
+        expect(dates.add(date, 13, 'month')).toEqual(new Date('2025-02-28T12:00:00Z'));
+        expect(dates.add(date, -2, 'quarter')).toEqual(new Date('2023-07-31T12:00:00Z'));
+        expect(dates.add(new Date('2024-02-29T12:00:00Z'), 1, 'year')).toEqual(new Date('2025-02-28T12:00:00Z'));
+        expect(dates.add(date, 2, 'week')).toEqual(new Date('2024-02-14T12:00:00Z'));
+        expect(dates.add(date, -31, 'day')).toEqual(new Date('2023-12-31T12:00:00Z'));
+    });
+    it('keeps the time of day across daylight-saving time for calendar units, but not time units.', () => {
+        let date = new Date('2024-03-09T17:00:00Z'); //noon in New York.
+        expect(dates.add(date, 1, 'day', NY)).toEqual(new Date('2024-03-10T16:00:00Z'));
+        expect(dates.add(date, 24, 'hour', NY)).toEqual(new Date('2024-03-10T17:00:00Z'));
+        expect(dates.add(date, 90, 'minute', NY)).toEqual(new Date('2024-03-09T18:30:00Z'));
+    });
+});
+
+describe('.diff', () => {
+    it('counts whole calendar months, quarters, and years.', () => {
+        let start = new Date('2024-01-31T12:00:00Z');
+        expect(dates.diff(start, new Date('2024-02-29T12:00:00Z'), 'month')).toBe(1);
+        expect(dates.diff(start, new Date('2024-02-29T11:59:59Z'), 'month')).toBe(0);
+        expect(dates.diff(start, new Date('2024-12-31T12:00:00Z'), 'quarter')).toBe(3);
+        expect(dates.diff(start, new Date('2026-01-30T12:00:00Z'), 'year')).toBe(1);
+        expect(dates.diff(new Date('2026-01-30T12:00:00Z'), start, 'year')).toBe(-1);
+        expect(dates.diff(start, new Date('2023-11-30T12:00:00Z'), 'month')).toBe(-2);
+    });
+    it('counts days and weeks on the wall-clock, and time units as elapsed time.', () => {
+        let start = new Date('2024-03-09T17:00:00Z');
+        let end = new Date('2024-03-10T16:00:00Z'); //noon to noon in New York, 23 hours apart.
+        expect(dates.diff(start, end, 'day', NY)).toBe(1);
+        expect(dates.diff(start, end, 'day')).toBe(0);
+        expect(dates.diff(start, end, 'hour', NY)).toBe(23);
+        expect(dates.diff(end, start, 'minute')).toBe(-1380);
+        expect(dates.diff(start, new Date('2024-03-23T17:00:00Z'), 'week')).toBe(2);
+    });
+});
+
+describe('.workdays', () => {
+    it('counts weekdays including the start and end dates.', () => {
+        expect(dates.workdays(new Date('2024-01-01'), new Date('2024-01-31'))).toBe(23);
+        expect(dates.workdays(new Date('2024-01-05'), new Date('2024-01-08'))).toBe(2);
+        expect(dates.workdays(new Date('2024-01-06'), new Date('2024-01-07'))).toBe(0);
+        expect(dates.workdays(new Date('2024-01-01'), new Date('2024-01-01'))).toBe(1);
+    });
+    it('is negative when the end is before the start.', () => {
+        expect(dates.workdays(new Date('2024-01-31'), new Date('2024-01-01'))).toBe(-23);
+    });
+    it('does not count holidays on weekdays within the range.', () => {
+        let holidays = [new Date('2024-01-01'), new Date('2024-01-01'), new Date('2024-01-13'), new Date('2024-02-01')];
+        expect(dates.workdays(new Date('2024-01-01'), new Date('2024-01-31'), holidays)).toBe(22);
+    });
+    it('counts days in the timezone.', () => {
+        //Friday 11 PM to Monday 1 AM in New York, which is Saturday to Monday in UTC.
+        let start = new Date('2024-01-06T04:00:00Z');
+        let end = new Date('2024-01-08T06:00:00Z');
+        expect(dates.workdays(start, end)).toBe(1);
+        expect(dates.workdays(start, end, null, NY)).toBe(2);
+    });
+});
+
+describe('.toZone & .fromZone', () => {
+    it('converts a date to and from the wall-clock of a timezone.', () => {
+        let date = new Date('2024-01-15T14:00:00Z');
+        expect(dates.toZone(date, 'America/Chicago')).toEqual(new Date('2024-01-15T08:00:00Z'));
+        expect(dates.toZone(new Date('2024-07-15T14:00:00Z'), 'America/Chicago')).toEqual(new Date('2024-07-15T09:00:00Z'));
+        expect(dates.fromZone(new Date('2024-01-15T08:00:00Z'), 'America/Chicago')).toEqual(date);
+    });
+    it('shows the result on the wall-clock of the given timezone.', () => {
+        let date = new Date('2024-01-15T14:00:00Z'); //9 AM in New York, 11 PM in Tokyo.
+        let converted = dates.toZone(date, 'Asia/Tokyo', NY);
+        expect(dates.partsOf(converted, NY).hour).toBe(23);
+        expect(dates.fromZone(converted, 'Asia/Tokyo', NY)).toEqual(date);
+    });
+});
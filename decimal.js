@@ -0,0 +1,365 @@
+/**
+ * The modes of rounding a decimal to a scale, named as those of the `ROUND` func:
+ * - `"half-up"`: to the nearest, and away from zero when exactly half-way (`2.5` is `3`, and `-2.5` is `-3`).
+ * - `"half-even"`: to the nearest, and to the nearest even digit when exactly half-way (banker's rounding).
+ * - `"up"` and `"down"`: not to the nearest- always away from, or towards zero.
+ * @type {Array.<String>}
+ */
+const RoundingModes = ['half-up', 'half-even', 'up', 'down'];
+
+/**
+ * @typedef DecimalOptions
+ * @property {Number} [scale=20] - The most decimal digits of a result, which is rounded when it has more (such as
+ * `1 / 3`).
+ * @property {String} [rounding="half-up"] - The mode of rounding a result to the scale (see `RoundingModes`).
+ */
+
+/**
+ * The default decimal options, used when decimal mode is enabled without options.
+ * @type {DecimalOptions}
+ */
+const defaults = {
+    scale: 20,
+    rounding: 'half-up'
+};
+
+const DecimalText = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/;
+const EXPONENT_LIMIT = 1000;
+
+/**
+ * Returns the absolute value of a big integer.
+ * @param {BigInt} n - The big integer.
+ * @returns {BigInt}
+ */
+function abs(n) {
+    return (n < 0n ? -n : n);
+}
+
+/**
+ * Returns ten to the power of the exponent, as a big integer.
+ * @param {Number} exponent - The (non-negative) exponent.
+ * @returns {BigInt}
+ */
+function tenTo(exponent) {
+    return 10n ** BigInt(exponent);
+}
+
+/**
+ * Returns the square root of the (non-negative) big integer, rounded down to a whole number.
+ * @param {BigInt} n - The big integer.
+ * @returns {BigInt}
+ */
+function rootOf(n) {
+    if (n < 2n) {
+        return n;
+    }
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2)); //at least the root, so Newton's method descends to it.
+    for (;;) {
+        let y = (x + n / x) >> 1n;
+        if (y >= x) {
+            return x;
+        }
+        x = y;
+    }
+}
+
+/**
+ * Divides the big integers, rounding the quotient to a whole number with the rounding mode.
+ * @param {BigInt} numerator - The numerator.
+ * @param {BigInt} denominator - The (non-zero) denominator.
+ * @param {String} rounding - The rounding mode (see `RoundingModes`).
+ * @returns {BigInt}
+ */
+function divided(numerator, denominator, rounding) {
+    let quotient = numerator / denominator; //truncated towards zero.
+    let remainder = abs(numerator % denominator);
+    if (remainder === 0n || rounding === 'down') {
+        return quotient;
+    }
+    let away = ((numerator < 0n) !== (denominator < 0n) ? -1n : 1n);
+    let half = remainder * 2n - abs(denominator); //positive when past half-way, and zero when exactly half-way.
+    if (
+        rounding === 'up'
+        || half > 0n
+        || (half === 0n && (rounding !== 'half-even' || quotient % 2n !== 0n))
+    ) {
+        return quotient + away;
+    }
+    return quotient;
+}
+
+/**
+ * An exact decimal number of any precision, stored as a whole number of units (a big integer) and the scale of the
+ * units- the number of decimal digits, so `12.34` is `1234` units at a scale of `2`. Decimals are immutable, and
+ * their arithmetic is exact, except for division and negative powers, which round to a given scale.
+ *
+ * A decimal converts to a (floating-point) number with `toNumber()`, and also when used where JavaScript expects a
+ * number (`valueOf`). It converts to JSON as its exact text.
+ */
+class Decimal {
+    /**
+     * Creates a decimal of the units at the scale. Trailing zero decimal digits are dropped, so the same number always
+     * has the same units and scale.
+     * @param {BigInt} units - The whole number of units.
+     * @param {Number} [scale=0] - The (non-negative) number of decimal digits of the units.
+     */
+    constructor(units, scale) {
+        scale = scale ?? 0;
+        while (scale > 0 && units % 10n === 0n) {
+            units /= 10n;
+            scale--;
+        }
+
+        /**
+         * The whole number of units.
+         * @type {BigInt}
+         */
+        this.units = units;
+
+        /**
+         * The number of decimal digits of the units.
+         * @type {Number}
+         */
+        this.scale = scale;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Returns the decimal of a number, numeric text (e.g. `"-12.50"` or `"1.5e3"`), big integer, or boolean (`1` or
+     * `0`), or `null` if the value has no decimal form- such as `NaN`, `Infinity`, or text that is not a number. A
+     * number is read as its shortest text, so `0.1` is exactly `0.1`.
+     * @param {Number | String | BigInt | Boolean | Decimal} value - The value.
+     * @returns {Decimal}
+     */
+    static from(value) {
+        if (value instanceof Decimal) {
+            return value;
+        } else if (typeof value === 'bigint') {
+            return new Decimal(value);
+        } else if (typeof value === 'boolean') {
+            return new Decimal(value ? 1n : 0n);
+        } else if (typeof value === 'number' && !isFinite(value)) {
+            return null;
+        } else if (typeof value !== 'number' && typeof value !== 'string') {
+            return null;
+        }
+        let m = String(value).match(DecimalText);
+        if (!m || (!m[2] && !m[3])) {
+            return null;
+        }
+        let fraction = m[3] ?? '';
+        let exponent = parseInt(m[4] ?? 0);
+        if (Math.abs(exponent) > EXPONENT_LIMIT) {
+            return null;
+        }
+        let units = BigInt((m[2] || '0') + fraction) * (m[1] === '-' ? -1n : 1n);
+        let scale = fraction.length - exponent;
+        return (scale < 0 ? new Decimal(units * tenTo(-scale)) : new Decimal(units, scale));
+    }
+
+    /**
+     * Returns the units of this and the other decimal at the larger scale of the two, and the scale.
+     * @param {Decimal} other - The other decimal.
+     * @returns {Array} The units of this decimal, the units of the other, and the scale.
+     * @private
+     */
+    _aligned(other) {
+        let scale = Math.max(this.scale, other.scale);
+        return [this.units * tenTo(scale - this.scale), other.units * tenTo(scale - other.scale), scale];
+    }
+
+    /**
+     * @param {Decimal} other - The decimal to add.
+     * @returns {Decimal}
+     */
+    add(other) {
+        let [a, b, scale] = this._aligned(other);
+        return new Decimal(a + b, scale);
+    }
+
+    /**
+     * @param {Decimal} other - The decimal to subtract.
+     * @returns {Decimal}
+     */
+    subtract(other) {
+        let [a, b, scale] = this._aligned(other);
+        return new Decimal(a - b, scale);
+    }
+
+    /**
+     * @param {Decimal} other - The decimal to multiply by.
+     * @returns {Decimal}
+     */
+    multiply(other) {
+        return new Decimal(this.units * other.units, this.scale + other.scale);
+    }
+
+    /**
+     * Divides this decimal by the other, rounding the result to the scale. Returns `null` when dividing by zero.
+     * @param {Decimal} other - The decimal to divide by.
+     * @param {Number} scale - The number of decimal digits of the result.
+     * @param {String} [rounding="half-up"] - The rounding mode (see `RoundingModes`).
+     * @returns {Decimal}
+     */
+    divide(other, scale, rounding) {
+        if (other.units === 0n) {
+            return null;
+        }
+        //(a / 10^p) / (b / 10^q) at scale s is (a * 10^(q + s)) / (b * 10^p) units.
+        let numerator = this.units * tenTo(other.scale + scale);
+        let denominator = other.units * tenTo(this.scale);
+        return new Decimal(divided(numerator, denominator, rounding ?? 'half-up'), scale);
+    }
+
+    /**
+     * Returns the remainder of dividing this decimal by the other, with the sign of this decimal (as the `%`
+     * operator of JavaScript). Returns `null` when dividing by zero.
+     * @param {Decimal} other - The decimal to divide by.
+     * @returns {Decimal}
+     */
+    modulo(other) {
+        if (other.units === 0n) {
+            return null;
+        }
+        let [a, b, scale] = this._aligned(other);
+        return new Decimal(a % b, scale);
+    }
+
+    /**
+     * Raises this decimal to the power of a whole exponent, rounding the result of a negative exponent to the scale.
+     * Returns `null` if the exponent is not a whole number (or is too large to compute), or when raising zero to a
+     * negative exponent.
+     * @param {Decimal} exponent - The exponent.
+     * @param {Number} scale - The number of decimal digits of the result of a negative exponent.
+     * @param {String} [rounding="half-up"] - The rounding mode (see `RoundingModes`).
+     * @returns {Decimal}
+     */
+    power(exponent, scale, rounding) {
+        if (exponent.scale > 0 || abs(exponent.units) > BigInt(EXPONENT_LIMIT)) {
+            return null;
+        }
+        let e = Number(exponent.units);
+        let result = new Decimal(this.units ** BigInt(Math.abs(e)), this.scale * Math.abs(e));
+        return (e < 0 ? new Decimal(1n).divide(result, scale, rounding) : result);
+    }
+
+    /**
+     * Returns the square root of this decimal- or, when a divisor is given, of this decimal divided by it- rounded to
+     * the scale. Dividing within the root (as for a standard deviation) rounds the result only once. Returns `null`
+     * if the number under the root is negative, or when dividing by zero.
+     * @param {Number} scale - The (non-negative) number of decimal digits of the result.
+     * @param {String} [rounding="half-up"] - The rounding mode (see `RoundingModes`).
+     * @param {Decimal} [divisor] - The decimal to divide by within the root.
+     * @returns {Decimal}
+     */
+    sqrt(scale, rounding, divisor) {
+        divisor = divisor ?? new Decimal(1n);
+        if (divisor.units === 0n || (this.units !== 0n && (this.units < 0n) !== (divisor.units < 0n))) {
+            return null;
+        }
+        //the root to one more digit than the scale is the root of (x * 10^(2(s + 1))) rounded down, and a last digit
+        //of 1 marks an inexact root, so a root just over half-way is not rounded as if it were exactly half-way.
+        let digits = scale + 1;
+        let numerator = abs(this.units) * tenTo(divisor.scale + 2 * digits);
+        let denominator = abs(divisor.units) * tenTo(this.scale);
+        let squared = numerator / denominator;
+        let root = rootOf(squared);
+        let exact = (root * root === squared && numerator % denominator === 0n);
+        return new Decimal(root * 10n + (exact ? 0n : 1n), digits + 1).round(scale, rounding ?? 'half-up');
+    }
+
+    /**
+     * @returns {Decimal}
+     */
+    abs() {
+        return (this.units < 0n ? this.negate() : this);
+    }
+
+    /**
+     * @returns {Decimal}
+     */
+    negate() {
+        return new Decimal(-this.units, this.scale);
+    }
+
+    /**
+     * Rounds the decimal to the scale with the rounding mode. A decimal with no more decimal digits than the scale is
+     * returned as-is.
+     * @param {Number} scale - The number of decimal digits to keep (or, if negative, to round to tens, hundreds, etc.).
+     * @param {String} [rounding="half-up"] - The rounding mode (see `RoundingModes`).
+     * @returns {Decimal}
+     */
+    round(scale, rounding) {
+        if (this.scale <= scale) {
+            return this;
+        } else if (scale < 0) {
+            let units = divided(this.units, tenTo(this.scale - scale), rounding ?? 'half-up');
+            return new Decimal(units * tenTo(-scale));
+        }
+        return new Decimal(divided(this.units, tenTo(this.scale - scale), rounding ?? 'half-up'), scale);
+    }
+
+    /**
+     * Compares this decimal with the other, returning `-1` if this decimal is less, `1` if greater, and `0` if equal.
+     * @param {Decimal} other - The other decimal.
+     * @returns {Number}
+     */
+    compare(other) {
+        let [a, b] = this._aligned(other);
+        return (a < b ? -1 : (a > b ? 1 : 0));
+    }
+
+    /**
+     * Returns the nearest (floating-point) number to the decimal.
+     * @returns {Number}
+     */
+    toNumber() {
+        return parseFloat(this.toString());
+    }
+
+    /**
+     * Returns the exact text of the decimal, e.g. `"-12.5"`.
+     * @returns {String}
+     */
+    toString() {
+        let digits = abs(this.units).toString().padStart(this.scale + 1, '0');
+        let whole = digits.substring(0, digits.length - this.scale);
+        let fraction = digits.substring(digits.length - this.scale);
+        return `${this.units < 0n ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+    }
+
+    /**
+     * @returns {String}
+     */
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * @returns {Number}
+     */
+    valueOf() {
+        return this.toNumber();
+    }
+
+    /**
+     * Returns the given value with decimals converted to numbers, including the items of arrays (at any depth).
+     * @param {*} value - The value.
+     * @returns {*}
+     */
+    static toNumbers(value) {
+        if (value instanceof Decimal) {
+            return value.toNumber();
+        } else if (Array.isArray(value) && value.some(v => v instanceof Decimal || Array.isArray(v))) {
+            return value.map(v => Decimal.toNumbers(v));
+        }
+        return value;
+    }
+}
+
+export {
+    Decimal as default,
+    RoundingModes,
+    defaults
+};
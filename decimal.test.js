@@ -0,0 +1,132 @@
+import Decimal, { RoundingModes, defaults } from './decimal.js';
+
+const d = (value) => Decimal.from(value);
+
+describe('.from', () => {
+    it('reads numbers as their shortest text, and numeric text exactly.', () => {
+        expect(d(0.1).toString()).toBe('0.1');
+        expect(d(-12.5).toString()).toBe('-12.5');
+        expect(d(1e21).toString()).toBe('1000000000000000000000');
+        expect(d(1.5e-7).toString()).toBe('0.00000015');
+        expect(d(' -012.3400 ').toString()).toBe('-12.34');
+        expect(d('.5').toString()).toBe('0.5');
+        expect(d('1.5e3').toString()).toBe('1500');
+        expect(d('123456789012345678901234567890.123').toString()).toBe('123456789012345678901234567890.123');
+        expect(d(true).toString()).toBe('1');
+        expect(d(10n).toString()).toBe('10');
+    });
+    it('returns null for values with no decimal form.', () => {
+        expect(d(NaN)).toBeNull();
+        expect(d(Infinity)).toBeNull();
+        expect(d('')).toBeNull();
+        expect(d('.')).toBeNull();
+        expect(d('1.2.3')).toBeNull();
+        expect(d('0x10')).toBeNull();
+        expect(d('1e5000')).toBeNull();
+        expect(d(null)).toBeNull();
+        expect(d(new Date(0))).toBeNull();
+    });
+    it('returns the same units and scale for the same number.', () => {
+        expect(d('1.50')).toEqual(d('1.5'));
+        expect(d('-0.0')).toEqual(d(0));
+        expect(Object.isFrozen(d(1))).toBe(true);
+    });
+});
+
+describe('#add, #subtract, #multiply', () => {
+    it('computes exactly.', () => {
+        expect(d(0.1).add(d(0.2)).toString()).toBe('0.3');
+        expect(d('0.3').subtract(d('0.1')).toString()).toBe('0.2');
+        expect(d('1.1').multiply(d(3)).toString()).toBe('3.3');
+        expect(d('-0.5').multiply(d('0.5')).toString()).toBe('-0.25');
+        expect(d('99999999999999999999').add(d(1)).toString()).toBe('100000000000000000000');
+    });
+});
+
+describe('#divide', () => {
+    it('rounds the quotient to the scale with the rounding mode.', () => {
+        expect(d(1).divide(d(3), 4).toString()).toBe('0.3333');
+        expect(d(2).divide(d(3), 4).toString()).toBe('0.6667');
+        expect(d(2).divide(d(3), 4, 'down').toString()).toBe('0.6666');
+        expect(d(-2).divide(d(3), 0, 'up').toString()).toBe('-1');
+        expect(d(1).divide(d(8), 2, 'half-even').toString()).toBe('0.12');
+        expect(d('0.3').divide(d('0.1'), 0).toString()).toBe('3');
+    });
+    it('returns null when dividing by zero.', () => {
+        expect(d(1).divide(d(0), 2)).toBeNull();
+    });
+});
+
+describe('#modulo', () => {
+    it('returns the remainder with the sign of the dividend.', () => {
+        expect(d('5.5').modulo(d(2)).toString()).toBe('1.5');
+        expect(d('-0.7').modulo(d('0.2')).toString()).toBe('-0.1');
+        expect(d(1).modulo(d(0))).toBeNull();
+    });
+});
+
+describe('#power', () => {
+    it('raises to whole exponents, rounding negative exponents to the scale.', () => {
+        expect(d('1.1').power(d(2), 2).toString()).toBe('1.21');
+        expect(d(2).power(d(-2), 1).toString()).toBe('0.3');
+        expect(d(3).power(d(0), 2).toString()).toBe('1');
+        expect(d(2).power(d('0.5'), 2)).toBeNull();
+        expect(d(0).power(d(-1), 2)).toBeNull();
+    });
+});
+
+describe('#sqrt', () => {
+    it('rounds the root to the scale, exactly when it has more digits.', () => {
+        expect(d(2).sqrt(20).toString()).toBe('1.4142135623730950488');
+        expect(d('6.25').sqrt(1).toString()).toBe('2.5');
+        expect(d('6.25').sqrt(0, 'half-even').toString()).toBe('2');
+        expect(d('6.2500001').sqrt(0, 'half-even').toString()).toBe('3');
+        expect(d(1).sqrt(3, 'down', d(3)).toString()).toBe('0.577');
+        expect(d(0).sqrt(2).toString()).toBe('0');
+    });
+    it('returns null for negative numbers, or when dividing by zero.', () => {
+        expect(d(-1).sqrt(2)).toBeNull();
+        expect(d(1).sqrt(2, null, d(0))).toBeNull();
+        expect(d(-4).sqrt(2, null, d(-1)).toString()).toBe('2');
+    });
+});
+
+describe('#abs', () => {
+    it('returns the decimal without its sign.', () => {
+        expect(d('-1.5').abs().toString()).toBe('1.5');
+        expect(d('2').abs()).toEqual(d(2));
+    });
+});
+
+describe('#round', () => {
+    it('rounds to the scale with each rounding mode.', () => {
+        let results = RoundingModes.map(mode => [d('2.5').round(0, mode), d('-2.45').round(1, mode)].join(' '));
+        expect(results).toEqual(['3 -2.5', '2 -2.4', '3 -2.5', '2 -2.4']);
+        expect(d('1250').round(-2).toString()).toBe('1300');
+        expect(d('1.25').round(5)).toEqual(d('1.25'));
+    });
+});
+
+describe('#compare', () => {
+    it('orders decimals by value.', () => {
+        expect(d('0.3').compare(d(0.30))).toBe(0);
+        expect(d('-1').compare(d('0.5'))).toBe(-1);
+        expect(d('10').compare(d('9.99'))).toBe(1);
+    });
+});
+
+describe('conversions', () => {
+    it('converts to numbers and JSON text.', () => {
+        expect(d('0.1').toNumber()).toBe(0.1);
+        expect(d('2') * 3).toBe(6);
+        expect(JSON.stringify({ total: d('12.50') })).toBe('{"total":"12.5"}');
+        expect(Decimal.toNumbers([d('1.5'), [d(2), 'a'], null])).toEqual([1.5, [2, 'a'], null]);
+        expect(Decimal.toNumbers('x')).toBe('x');
+    });
+});
+
+describe('defaults', () => {
+    it('has a scale of 20, rounding half-up.', () => {
+        expect(defaults).toEqual({ scale: 20, rounding: 'half-up' });
+    });
+});
@@ -0,0 +1,157 @@
+import ops from './ops.js';
+import funcs from './funcs.js';
+import { defaults as comparison } from './compare.js';
+import CalKuError, { ErrorCode } from './error.js';
+
+const OP_TYPES = ['compare', 'logic', 'math', 'consolidate'];
+
+let _default = null;
+
+/**
+ * An environment holds the registries of operators (`ops`) and functions (`funcs`) available to the CalKu expressions
+ * using it. Each environment has its own registries that inherit from the built-in defaults (or from a parent
+ * environment), so ops and funcs can be added, overridden, or removed without affecting any other environment.
+ *
+ * Changes to the defaults (or parent) are still inherited, unless overridden or removed in this environment.
+ * @example
+ * ```
+ * let env = new CalKuEnvironment()
+ *     .defineFunc('DOUBLE', { symbols: ['DOUBLE'], params: [(v) => is(v).number()], func: (v) => v * 2 })
+ *     .removeFunc('NOW');
+ * new CalKu('DOUBLE({qty})', null, env).value({ qty: 4 }); //8
+ * new CalKu('DOUBLE({qty})').value({ qty: 4 }); //throws, DOUBLE is unknown outside of the environment.
+ * ```
+ */
+class CalKuEnvironment {
+    /**
+     * Creates a new environment with its own registries of ops and funcs.
+     * @param {CalKuEnvironment} [parent] - The environment to inherit ops and funcs from. If not specified, the
+     * built-in ops and funcs are inherited.
+     */
+    constructor(parent) {
+
+        /**
+         * The registry of operators available in this environment.
+         * @type {typeof ops}
+         */
+        this.ops = Object.create(parent?.ops ?? ops);
+
+        /**
+         * The registry of functions available in this environment.
+         * @type {typeof funcs}
+         */
+        this.funcs = Object.create(parent?.funcs ?? funcs);
+
+        /**
+         * The options for comparing values in this environment, such as with `==`, `>`, and `IN`. Options not set
+         * are inherited from the defaults (or parent).
+         * @example
+         * ```
+         * env.comparison.numericStrings = true; //"55" == 55
+         * ```
+         * @type {ComparisonOptions}
+         */
+        this.comparison = Object.create(parent?.comparison ?? comparison);
+    }
+
+    /**
+     * Adds or overrides an operator in this environment.
+     * @throws CalKuError if the key is reserved or the op definition is invalid.
+     * @param {String} key - The key of the operator.
+     * @param {CalKuOperator} op - The operator definition.
+     * @returns {CalKuEnvironment}
+     */
+    defineOp(key, op) {
+        if (OP_TYPES.indexOf(op?.type) < 0) {
+            throw new CalKuError(`Invalid op definition: The "type" must be one of: ${OP_TYPES.join(', ')}.`, { code: ErrorCode.InvalidDefinition, op: key });
+        }
+        define(this.ops, key, op, 'op');
+        this.ops.recycle();
+        return this;
+    }
+
+    /**
+     * Removes an operator from this environment, including one inherited from the defaults (or parent).
+     * @param {String} key - The key of the operator.
+     * @returns {CalKuEnvironment}
+     */
+    removeOp(key) {
+        remove(this.ops, key);
+        this.ops.recycle();
+        return this;
+    }
+
+    /**
+     * Adds or overrides a function in this environment.
+     * @throws CalKuError if the key is reserved or the func definition is invalid.
+     * @param {String} key - The key of the function, which is also how it is called in expressions.
+     * @param {CalKuFunction} func - The function definition.
+     * @returns {CalKuEnvironment}
+     */
+    defineFunc(key, func) {
+        define(this.funcs, key, func, 'func');
+        this.funcs.recycle();
+        return this;
+    }
+
+    /**
+     * Removes a function from this environment, including one inherited from the defaults (or parent).
+     * @param {String} key - The key of the function.
+     * @returns {CalKuEnvironment}
+     */
+    removeFunc(key) {
+        remove(this.funcs, key);
+        this.funcs.recycle();
+        return this;
+    }
+
+    /**
+     * The default environment, which uses the built-in ops and funcs registries (and default comparison options)
+     * directly. Changes made to it affect
+     * every `CalKu` instance without its own environment, and every environment inheriting the defaults.
+     * @type {CalKuEnvironment}
+     */
+    static get default() {
+        if (!_default) {
+            _default = Object.create(CalKuEnvironment.prototype);
+            _default.ops = ops;
+            _default.funcs = funcs;
+            _default.comparison = comparison;
+        }
+        return _default;
+    }
+}
+
+/**
+ * Sets an op or func definition on a registry after checking it.
+ * @throws CalKuError if the key is reserved or the definition is invalid.
+ * @param {Object} registry - The ops or funcs registry.
+ * @param {String} key - The key of the op or func.
+ * @param {CalKuOperator | CalKuFunction} definition - The op or func definition.
+ * @param {String} kind - Either "op" or "func".
+ */
+function define(registry, key, definition, kind) {
+    if (!key || typeof key !== 'string' || typeof registry[key] === 'function') {
+        throw new CalKuError(`Invalid ${kind} key "${key}". The key must be a non-empty string and not a reserved name.`, { code: ErrorCode.InvalidDefinition, [kind]: key });
+    } else if (!Array.isArray(definition?.symbols) || !definition.symbols.length || typeof definition.func !== 'function') {
+        throw new CalKuError(`Invalid ${kind} definition: An array of "symbols" and a "func" function are required.`, { code: ErrorCode.InvalidDefinition, [kind]: key });
+    }
+    registry[key] = definition;
+}
+
+/**
+ * Removes an op or func from a registry, hiding it if it is inherited.
+ * @param {Object} registry - The ops or funcs registry.
+ * @param {String} key - The key of the op or func.
+ */
+function remove(registry, key) {
+    if (typeof registry[key] === 'function') {
+        return; //reserved names are not ops or funcs.
+    }
+    delete registry[key];
+    if (key in registry) {
+        registry[key] = undefined; //shadow the inherited definition.
+    }
+}
+
+export default CalKuEnvironment;
@@ -0,0 +1,115 @@
+import CalKuEnvironment from './environment.js';
+import CalKu, { is } from './calku.js';
+import ops from './ops.js';
+import funcs from './funcs.js';
+import { ErrorCode } from './error.js';
+import { defaults as comparison } from './compare.js';
+
+const DOUBLE = {
+    symbols: ['DOUBLE'],
+    params: [(v) => is(v).number()],
+    func: (v) => v * 2
+};
+
+describe('#constructor', () => {
+    it('creates registries inheriting the built-in ops and funcs.', () => {
+        let env = new CalKuEnvironment();
+        expect(env.ops).not.toBe(ops);
+        expect(env.funcs).not.toBe(funcs);
+        expect(env.ops.ADDITION).toBe(ops.ADDITION);
+        expect(env.funcs.SUM).toBe(funcs.SUM);
+        expect(env.ops.ordered()).toEqual(ops.ordered());
+    });
+    it('creates registries inheriting from a parent environment.', () => {
+        let parent = new CalKuEnvironment().defineFunc('DOUBLE', DOUBLE);
+        let child = new CalKuEnvironment(parent);
+        expect(child.funcs.DOUBLE).toBe(DOUBLE);
+        expect(child.funcs.SUM).toBe(funcs.SUM);
+    });
+    it('creates comparison options inheriting the defaults (or parent).', () => {
+        let parent = new CalKuEnvironment();
+        parent.comparison.numericStrings = true;
+        let child = new CalKuEnvironment(parent);
+        expect(new CalKuEnvironment().comparison.numericStrings).toBe(false);
+        expect(child.comparison.numericStrings).toBe(true);
+        expect(new CalKu('"55" == 55', null, child).value()).toBe(true);
+        expect(new CalKu('{a} > 9 and {a} in [10, 11]', null, child).value({ a: '10' })).toBe(true);
+        expect(new CalKu('"55" == 55').value()).toBe(false);
+    });
+});
+
+describe('.default', () => {
+    it('uses the built-in registries.', () => {
+        expect(CalKuEnvironment.default.ops).toBe(ops);
+        expect(CalKuEnvironment.default.funcs).toBe(funcs);
+        expect(CalKuEnvironment.default.comparison).toBe(comparison);
+        expect(CalKuEnvironment.default).toBe(CalKuEnvironment.default);
+        expect(new CalKu('1').environment).toBe(CalKuEnvironment.default);
+    });
+});
+
+describe('#defineFunc', () => {
+    it('adds a function only to the environment.', () => {
+        let env = new CalKuEnvironment().defineFunc('DOUBLE', DOUBLE);
+        expect(new CalKu('DOUBLE({a}) + 1', null, env).value({ a: 2 })).toBe(5);
+        expect(funcs.DOUBLE).toBeUndefined();
+        expect(() => new CalKu('DOUBLE(2)').value()).toThrow(expect.objectContaining({ code: ErrorCode.UnknownFunction }));
+        expect(() => new CalKu('DOUBLE(2)', null, new CalKuEnvironment()).value()).toThrow(/DOUBLE/);
+    });
+    it('overrides an inherited function.', () => {
+        let env = new CalKuEnvironment().defineFunc('SUM', { symbols: ['SUM'], params: true, func: () => 42 });
+        expect(new CalKu('SUM(1, 2)', null, env).value()).toBe(42);
+        expect(new CalKu('SUM(1, 2)').value()).toBe(3);
+    });
+    it('throws on an invalid key or definition.', () => {
+        let env = new CalKuEnvironment();
+        expect(() => env.defineFunc('argsValid', DOUBLE)).toThrow(expect.objectContaining({ code: ErrorCode.InvalidDefinition }));
+        expect(() => env.defineFunc('', DOUBLE)).toThrow(/key/);
+        expect(() => env.defineFunc('X', { symbols: [] , func: () => 1 })).toThrow(/symbols/);
+        expect(() => env.defineFunc('X', { symbols: ['X'] })).toThrow(/func/);
+    });
+});
+
+describe('#removeFunc', () => {
+    it('removes an inherited function from the environment only.', () => {
+        let env = new CalKuEnvironment().removeFunc('ABS');
+        expect(env.funcs.ABS).toBeUndefined();
+        expect(() => new CalKu('ABS(-1)', null, env).value()).toThrow(expect.objectContaining({ code: ErrorCode.UnknownFunction }));
+        expect(new CalKu('ABS(-1)').value()).toBe(1);
+        expect(CalKu.validate('ABS(-1)')).toEqual([]);
+        expect(new CalKu('ABS(-1)', null, env).validate().map(d => d.code)).toEqual([ErrorCode.UnknownFunction]);
+    });
+    it('ignores reserved names.', () => {
+        let env = new CalKuEnvironment().removeFunc('argsValid');
+        expect(typeof env.funcs.argsValid).toBe('function');
+    });
+});
+
+describe('#defineOp', () => {
+    it('adds an operator only to the environment.', () => {
+        let env = new CalKuEnvironment().defineOp('POWER', { type: 'math', symbols: ['**'], order: 50, func: (a, b) => a ** b });
+        expect(new CalKu('1 + 2 ** 3 * 2', null, env).value()).toBe(17);
+        expect(new CalKu('1 + 2 ** 3 * 2', null, env).parse().toString()).toBe('1 + 2 ** 3 * 2');
+        expect(ops.POWER).toBeUndefined();
+        expect(ops.toRegExp().has('POWER')).toBe(false);
+        expect(() => new CalKu('2 ** 3').value()).toThrow();
+    });
+    it('overrides an inherited operator.', () => {
+        let env = new CalKuEnvironment().defineOp('ADDITION', { ...ops.ADDITION, func: (a, b) => a * 10 + b });
+        expect(new CalKu('1 + 2', null, env).value()).toBe(12);
+        expect(new CalKu('1 + 2').value()).toBe(3);
+    });
+    it('throws on an invalid type.', () => {
+        expect(() => new CalKuEnvironment().defineOp('X', { type: 'taco', symbols: ['x'], func: () => 1 })).toThrow(/type/);
+    });
+});
+
+describe('#removeOp', () => {
+    it('removes an inherited operator from the environment only.', () => {
+        let env = new CalKuEnvironment().removeOp('CONCATENATE');
+        expect(env.ops.toRegExp().has('CONCATENATE')).toBe(false);
+        expect(env.ops.ordered()).not.toContain('CONCATENATE');
+        expect(() => new CalKu('"a" & "b"', null, env).value()).toThrow();
+        expect(new CalKu('"a" & "b"').value()).toBe('ab');
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * The stable codes identifying the kind of problem a `CalKuError` represents.
+ * @enum {String}
+ */
+const ErrorCode = {
+    UnknownFunction: 'UNKNOWN_FUNCTION', //a function call (or key) is not a defined function.
+    UnknownOperator: 'UNKNOWN_OPERATOR', //an operator key is not a defined operator.
+    UnclosedGroup: 'UNCLOSED_GROUP', //a "(" or "[" without its closing ")" or "]".
+    UnbalancedGroup: 'UNBALANCED_GROUP', //a ")" or "]" without its opening "(" or "[".
+    UnclosedPropertyRef: 'UNCLOSED_PROPERTY_REF', //a "{" without its closing "}".
+    UnclosedString: 'UNCLOSED_STRING', //a quoted string without its closing quote.
+    MissingOperand: 'MISSING_OPERAND', //an operator is missing the value(s) it applies to.
+    MalformedExpression: 'MALFORMED_EXPRESSION', //values are not joined by operators.
+    EmptyValue: 'EMPTY_VALUE', //an empty group, function argument, or array item (evaluated as undefined).
+    ArgCount: 'ARG_COUNT', //the wrong number of arguments were given to an operator or function.
+    ArgType: 'ARG_TYPE', //an argument given to an operator or function failed validation.
+    InvalidPropertyPath: 'INVALID_PROPERTY_PATH', //a property reference path is empty or restricted.
+    InvalidDefinition: 'INVALID_DEFINITION', //an operator or function is defined with invalid parameters.
+    InvalidRegExp: 'INVALID_REGEXP' //a regular expression is invalid, unclosed, or risks catastrophic backtracking.
+};
+
+/**
+ * The severity of a diagnostic found when validating an expression.
+ * @enum {String}
+ */
+const Severity = {
+    Error: 'error', //the expression cannot be evaluated.
+    Warning: 'warning' //the expression can be evaluated, but likely not as intended.
+};
+
+/**
+ * @typedef Diagnostic
+ * @property {Severity} severity - The severity of the problem.
+ * @property {ErrorCode} code - The code identifying the kind of problem.
+ * @property {String} message - The description of the problem.
+ * @property {Number} startIndex - The index in the expression text where the problem starts.
+ * @property {Number} endIndex - The index in the expression text where the problem ends (exclusive).
+ * @property {String} op - The key of the offending operator, or `null`.
+ * @property {String} func - The key of the offending function, or `null`.
+ */
+
+/**
+ * @typedef CalKuErrorDetails
+ * @property {ErrorCode} code - The code identifying the kind of problem.
+ * @property {Number} [startIndex] - The index in the expression text where the problem starts.
+ * @property {Number} [endIndex] - The index in the expression text where the problem ends (exclusive).
+ * @property {String} [op] - The key of the offending operator.
+ * @property {String} [func] - The key of the offending function.
+ * @property {Number} [argIndex] - The index of the offending argument of the operator or function.
+ */
+
+/**
+ * An error thrown when parsing or evaluating a CalKu expression. Alongside the message, it carries a stable `code`
+ * and, when known, where in the expression text the problem is and which operator, function, and argument caused it.
+ */
+class CalKuError extends Error {
+    /**
+     * @param {String} message - The error message.
+     * @param {CalKuErrorDetails} details - The details of the error.
+     */
+    constructor(message, details) {
+        super(message);
+
+        this.name = 'CalKuError';
+
+        /**
+         * The code identifying the kind of problem.
+         * @type {ErrorCode}
+         */
+        this.code = details?.code ?? null;
+
+        /**
+         * The index in the expression text where the problem starts, or `null` if unknown.
+         * @type {Number}
+         */
+        this.startIndex = details?.startIndex ?? null;
+
+        /**
+         * The index in the expression text where the problem ends (exclusive), or `null` if unknown.
+         * @type {Number}
+         */
+        this.endIndex = details?.endIndex ?? null;
+
+        /**
+         * The key of the offending operator, or `null` if not caused by an operator.
+         * @type {String}
+         */
+        this.op = details?.op ?? null;
+
+        /**
+         * The key of the offending function, or `null` if not caused by a function.
+         * @type {String}
+         */
+        this.func = details?.func ?? null;
+
+        /**
+         * The index of the offending argument of the operator or function, or `null` if not caused by an argument.
+         * @type {Number}
+         */
+        this.argIndex = details?.argIndex ?? null;
+    }
+
+    /**
+     * Returns a diagnostic describing this error.
+     * @param {Severity} [severity] - The severity of the diagnostic, defaults to `"error"`.
+     * @returns {Diagnostic}
+     */
+    toDiagnostic(severity) {
+        return {
+            severity: severity ?? Severity.Error,
+            code: this.code,
+            message: this.message,
+            startIndex: this.startIndex,
+            endIndex: this.endIndex,
+            op: this.op,
+            func: this.func
+        };
+    }
+}
+
+export {
+    CalKuError as default,
+    ErrorCode,
+    Severity
+};
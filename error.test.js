@@ -0,0 +1,41 @@
+import CalKuError, { ErrorCode, Severity } from './error.js';
+
+describe('#constructor', () => {
+    it('sets the message and details.', () => {
+        let err = new CalKuError('Oops.', { code: ErrorCode.ArgType, startIndex: 2, endIndex: 5, func: 'LEFT', argIndex: 1 });
+        expect(err).toBeInstanceOf(Error);
+        expect(err.name).toBe('CalKuError');
+        expect(err.message).toBe('Oops.');
+        expect(err.code).toBe(ErrorCode.ArgType);
+        expect(err.startIndex).toBe(2);
+        expect(err.endIndex).toBe(5);
+        expect(err.op).toBeNull();
+        expect(err.func).toBe('LEFT');
+        expect(err.argIndex).toBe(1);
+    });
+    it('defaults unspecified details to null.', () => {
+        let err = new CalKuError('Oops.');
+        expect(err.code).toBeNull();
+        expect(err.startIndex).toBeNull();
+        expect(err.endIndex).toBeNull();
+        expect(err.op).toBeNull();
+        expect(err.func).toBeNull();
+        expect(err.argIndex).toBeNull();
+    });
+});
+
+describe('#toDiagnostic', () => {
+    it('returns a diagnostic with the error details and severity.', () => {
+        let err = new CalKuError('Oops.', { code: ErrorCode.MissingOperand, startIndex: 2, endIndex: 3, op: 'ADDITION' });
+        expect(err.toDiagnostic()).toEqual({
+            severity: Severity.Error,
+            code: ErrorCode.MissingOperand,
+            message: 'Oops.',
+            startIndex: 2,
+            endIndex: 3,
+            op: 'ADDITION',
+            func: null
+        });
+        expect(err.toDiagnostic(Severity.Warning).severity).toBe(Severity.Warning);
+    });
+});
@@ -0,0 +1,240 @@
+import * as dates from './dates.js';
+
+/**
+ * The locale used to format numbers and dates when a CalKu instance has no `locale` set.
+ * @type {String}
+ */
+const DefaultLocale = 'en-US';
+
+/**
+ * The named date styles of `Intl.DateTimeFormat`, which may be given instead of a date pattern.
+ * @type {Array.<String>}
+ */
+const DateStyles = ['short', 'medium', 'long', 'full'];
+
+const CACHE_LIMIT = 500;
+const MAX_FRACTION_DIGITS = 20;
+const DatePatternToken = /yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|fff|AM\/PM|'[^']*'|"[^"]*"|\\.|./gs;
+const _formatters = new Map();
+const _patterns = new Map();
+
+/**
+ * @typedef NumberPatternSection
+ * @property {String} prefix - The text before the digits.
+ * @property {String} suffix - The text after the digits.
+ * @property {Boolean} digits - When `false`, the section has no digit placeholders and is shown as only its text.
+ * @property {Number} scale - The power of ten the number is multiplied by: `2` with a `%`, and `-3` for each comma
+ * ending the digits.
+ * @property {Intl.NumberFormatOptions} options - The options formatting the digits.
+ */
+
+/**
+ * Adds the entry to the cache, clearing the cache first when it is full- patterns and locales may come from user
+ * input, so the caches don't grow without limit.
+ * @param {Map} cache - The cache.
+ * @param {String} key - The key of the entry.
+ * @param {*} value - The value of the entry.
+ * @returns {*}
+ */
+function cached(cache, key, value) {
+    if (cache.size >= CACHE_LIMIT) {
+        cache.clear();
+    }
+    cache.set(key, value);
+    return value;
+}
+
+/**
+ * Returns the (cached) `Intl.NumberFormat` or `Intl.DateTimeFormat` of the locale and options.
+ * @param {Function} type - The formatter type, `Intl.NumberFormat` or `Intl.DateTimeFormat`.
+ * @param {String} locale - The locale.
+ * @param {Object} options - The formatter options.
+ * @returns {Intl.NumberFormat | Intl.DateTimeFormat}
+ */
+function formatterOf(type, locale, options) {
+    let key = `${type.name}|${locale}|${JSON.stringify(options)}`;
+    return _formatters.get(key) ?? cached(_formatters, key, new type(locale, options));
+}
+
+/**
+ * Returns the number multiplied by the power of ten, shifting its decimal exponent so `0.285` scaled by `2` is
+ * exactly `28.5` (and not `28.499999999999996`).
+ * @param {Number} value - The number.
+ * @param {Number} power - The power of ten.
+ * @returns {Number}
+ */
+function scale(value, power) {
+    let [mantissa, exponent] = value.toString().split('e');
+    return Number(`${mantissa}e${parseInt(exponent ?? 0) + power}`);
+}
+
+/**
+ * Reads the sections of a spreadsheet-style number pattern, such as `"#,##0.00;(#,##0.00);-"`:
+ * - Up to three sections separated by `;`, used for positive numbers, negative numbers (shown without their sign),
+ *   and zero.
+ * - `0` is a digit that is always shown, and `#` a digit shown only when needed (though at least one whole digit is
+ *   always shown). A `,` between digits groups the thousands, and a `.` starts the decimal digits.
+ * - Each `,` ending the digits divides the number by a thousand, and a `%` multiplies it by a hundred.
+ * - Text in single or double quotes, and a character following a `\`, is shown as-is, as is any other character.
+ * @param {String} pattern - The number pattern.
+ * @returns {Array.<NumberPatternSection>}
+ */
+function sectionsOf(pattern) {
+    let sections = _patterns.get(pattern);
+    if (sections) {
+        return sections;
+    }
+    let parts = [[]]; //the literal text, and the digit placeholders, of each section.
+    for (let i = 0; i < pattern.length; i++) {
+        let c = pattern[i];
+        let section = parts[parts.length - 1];
+        if (c === '\\') {
+            section.push({ text: pattern[++i] ?? '' });
+        } else if (c === '"' || c === '\'') {
+            let end = pattern.indexOf(c, i + 1);
+            end = (end < 0 ? pattern.length : end);
+            section.push({ text: pattern.substring(i + 1, end) });
+            i = end;
+        } else if (c === ';') {
+            parts.push([]);
+        } else {
+            section.push({ text: c, placeholder: '#0,.'.includes(c), percent: c === '%' });
+        }
+    }
+    sections = parts.slice(0, 3).map((section) => {
+        let start = section.findIndex(p => p.placeholder && (p.text === '#' || p.text === '0'));
+        if (start < 0) {
+            return { prefix: section.map(p => p.text).join(''), suffix: '', digits: false, scale: 0, options: {} };
+        } else if (start > 0 && section[start - 1].text === '.' && section[start - 1].placeholder) {
+            start--;
+        }
+        let end = start;
+        while (end < section.length && section[end].placeholder) {
+            end++;
+        }
+        let core = section.slice(start, end).map(p => p.text).join('');
+        let thousands = core.match(/,*$/)[0].length;
+        let [whole, fraction] = core.substring(0, core.length - thousands).split('.');
+        fraction = (fraction ?? '').replace(/[^#0]/g, '');
+        let zeros = fraction.replace(/#/g, '').length;
+        return {
+            prefix: section.slice(0, start).map(p => p.text).join(''),
+            suffix: section.slice(end).map(p => p.text).join(''),
+            digits: true,
+            scale: (section.some(p => p.percent) ? 2 : 0) - thousands * 3,
+            options: {
+                useGrouping: whole.includes(','),
+                minimumIntegerDigits: Math.max(whole.replace(/[^0]/g, '').length, 1),
+                minimumFractionDigits: Math.min(zeros, MAX_FRACTION_DIGITS),
+                maximumFractionDigits: Math.min(fraction.length, MAX_FRACTION_DIGITS)
+            }
+        };
+    });
+    return cached(_patterns, pattern, sections);
+}
+
+/**
+ * Formats the number with the `Intl.NumberFormat` options in the locale.
+ * @param {Number} value - The number.
+ * @param {Intl.NumberFormatOptions} options - The formatter options.
+ * @param {String} [locale] - The locale. If not specified, the default locale is used.
+ * @returns {String}
+ */
+function number(value, options, locale) {
+    return formatterOf(Intl.NumberFormat, locale ?? DefaultLocale, options).format(value);
+}
+
+/**
+ * Formats the number with a spreadsheet-style pattern (see `sectionsOf`), such as `"#,##0.00"` or `"0.0%"`, in the
+ * locale- so the grouping and decimal separators are those of the locale.
+ * @param {Number} value - The number.
+ * @param {String} pattern - The number pattern.
+ * @param {String} [locale] - The locale. If not specified, the default locale is used.
+ * @returns {String}
+ */
+function numberPattern(value, pattern, locale) {
+    let sections = sectionsOf(pattern);
+    let section = sections[0];
+    let sign = '';
+    if (value < 0 && sections.length > 1) {
+        section = sections[1];
+        value = -value;
+    } else if (value === 0 && sections.length > 2) {
+        section = sections[2];
+    }
+    if (!section.digits) {
+        return section.prefix;
+    }
+    let shown = Math.abs(scale(value, section.scale));
+    if (value < 0 && /[1-9]/.test(shown.toFixed(section.options.maximumFractionDigits))) {
+        sign = '-'; //a negative number rounded to zero is shown without its sign.
+    }
+    return `${sign}${section.prefix}${number(shown, section.options, locale)}${section.suffix}`;
+}
+
+/**
+ * Formats the date with a pattern, in the timezone and locale. The pattern may be one of the named `DateStyles`
+ * (e.g. `"long"` for "March 9, 2024"), or made of the (case-sensitive) parts:
+ * - `yyyy` and `yy`: the year, in 4 or 2 digits.
+ * - `MMMM`, `MMM`, `MM`, and `M`: the month name, its abbreviation, or number (in 2 digits, or as needed).
+ * - `dddd`, `ddd`, `dd`, and `d`: the weekday name, its abbreviation, or the day of the month.
+ * - `HH` and `H`: the hour from `0` to `23`. `hh` and `h`: the hour from `1` to `12`.
+ * - `mm`, `m`, `ss`, and `s`: the minute and second. `fff`: the millisecond.
+ * - `AM/PM`: the period of the day, e.g. "AM" or "PM".
+ *
+ * Text in single or double quotes, and a character following a `\`, is shown as-is, as is any other character.
+ * @param {Date} value - The date.
+ * @param {String} pattern - The date pattern.
+ * @param {String} [timeZone] - The timezone. If not specified, UTC is used.
+ * @param {String} [locale] - The locale. If not specified, the default locale is used.
+ * @returns {String}
+ */
+function date(value, pattern, timeZone, locale) {
+    locale = locale ?? DefaultLocale;
+    timeZone = timeZone ?? 'UTC';
+    if (DateStyles.includes(pattern)) {
+        return formatterOf(Intl.DateTimeFormat, locale, { dateStyle: pattern, timeZone }).format(value);
+    }
+    let p = dates.partsOf(value, timeZone);
+    let pad = (n, length) => n.toString().padStart(length, '0');
+    let name = (options) => formatterOf(Intl.DateTimeFormat, locale, { ...options, timeZone }).format(value);
+    let tokens = {
+        yyyy: () => pad(p.year, 4),
+        yy: () => pad(p.year % 100, 2),
+        MMMM: () => name({ month: 'long' }),
+        MMM: () => name({ month: 'short' }),
+        MM: () => pad(p.month, 2),
+        M: () => p.month.toString(),
+        dddd: () => name({ weekday: 'long' }),
+        ddd: () => name({ weekday: 'short' }),
+        dd: () => pad(p.day, 2),
+        d: () => p.day.toString(),
+        HH: () => pad(p.hour, 2),
+        H: () => p.hour.toString(),
+        hh: () => pad(p.hour % 12 || 12, 2),
+        h: () => (p.hour % 12 || 12).toString(),
+        mm: () => pad(p.minute, 2),
+        m: () => p.minute.toString(),
+        ss: () => pad(p.second, 2),
+        s: () => p.second.toString(),
+        fff: () => pad(p.millisecond, 3),
+        'AM/PM': () => formatterOf(Intl.DateTimeFormat, locale, { hour: 'numeric', hour12: true, timeZone })
+            .formatToParts(value).find(part => part.type === 'dayPeriod')?.value ?? (p.hour < 12 ? 'AM' : 'PM')
+    };
+    return pattern.replace(DatePatternToken, (t) => {
+        if (Object.prototype.hasOwnProperty.call(tokens, t)) {
+            return tokens[t]();
+        } else if (t.length > 1 && (t[0] === '\'' || t[0] === '"')) {
+            return t.substring(1, t.length - 1);
+        }
+        return (t[0] === '\\' ? t.substring(1) : t);
+    });
+}
+
+export {
+    DefaultLocale,
+    DateStyles,
+    number,
+    numberPattern,
+    date
+};
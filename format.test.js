@@ -0,0 +1,62 @@
+import * as format from './format.js';
+
+const AT = new Date('2024-03-09T14:05:07.089Z');
+
+describe('.number', () => {
+    it('formats the number with the options in the locale, or "en-US" by default.', () => {
+        expect(format.number(1234.5, {})).toBe('1,234.5');
+        expect(format.number(1234.5, { minimumFractionDigits: 2 }, 'de-DE')).toBe('1.234,50');
+        expect(format.number(1234.5, { style: 'currency', currency: 'EUR' }, 'fr-FR')).toBe('1\u202f234,50\u00a0€');
+        expect(format.number(0.25, { style: 'percent' }, 'en-US')).toBe('25%');
+    });
+});
+
+describe('.numberPattern', () => {
+    it('formats digits, grouping, and decimals with the separators of the locale.', () => {
+        expect(format.numberPattern(1234.5, '#,##0.00')).toBe('1,234.50');
+        expect(format.numberPattern(1234.5, '#,##0.00', 'de-DE')).toBe('1.234,50');
+        expect(format.numberPattern(1234.5, '0')).toBe('1235');
+        expect(format.numberPattern(1.005, '0.00')).toBe('1.01');
+        expect(format.numberPattern(12, '00000')).toBe('00012');
+        expect(format.numberPattern(1.5, '0.0##')).toBe('1.5');
+        expect(format.numberPattern(1.23456, '0.0##')).toBe('1.235');
+        expect(format.numberPattern(0.5, '.00')).toBe('0.50');
+    });
+    it('shows text around the digits, scaling by "%" and trailing commas.', () => {
+        expect(format.numberPattern(1234567, '$#,##0')).toBe('$1,234,567');
+        expect(format.numberPattern(-5, '$#,##0')).toBe('-$5');
+        expect(format.numberPattern(0.285, '0%')).toBe('29%');
+        expect(format.numberPattern(0.07, '0.0 %')).toBe('7.0 %');
+        expect(format.numberPattern(1234567, '#,##0.0,, "M"')).toBe('1.2 M');
+        expect(format.numberPattern(1234567, '0,K')).toBe('1235K');
+        expect(format.numberPattern(7, '\\#0 \'units\'')).toBe('#7 units');
+        expect(format.numberPattern(-0.001, '0.00')).toBe('0.00');
+    });
+    it('uses the sections for positive, negative, and zero numbers.', () => {
+        expect(format.numberPattern(1234.5, '#,##0.00;(#,##0.00);-')).toBe('1,234.50');
+        expect(format.numberPattern(-1234.5, '#,##0.00;(#,##0.00);-')).toBe('(1,234.50)');
+        expect(format.numberPattern(0, '#,##0.00;(#,##0.00);-')).toBe('-');
+        expect(format.numberPattern(0, '0;(0)')).toBe('0');
+        expect(format.numberPattern(-3, '0;')).toBe('');
+    });
+});
+
+describe('.date', () => {
+    it('formats the parts of the date in the timezone.', () => {
+        expect(format.date(AT, 'yyyy-MM-dd HH:mm:ss.fff')).toBe('2024-03-09 14:05:07.089');
+        expect(format.date(AT, 'M/d/yy h:mm AM/PM')).toBe('3/9/24 2:05 PM');
+        expect(format.date(AT, 'M/d/yy h:mm AM/PM', 'Asia/Tokyo')).toBe('3/9/24 11:05 PM');
+        expect(format.date(AT, 'yyyy-MM-dd', 'Pacific/Kiritimati')).toBe('2024-03-10');
+        expect(format.date(AT, 'hh:m:s', 'America/New_York')).toBe('09:5:7');
+    });
+    it('formats names and named styles in the locale.', () => {
+        expect(format.date(AT, 'dddd, MMMM d')).toBe('Saturday, March 9');
+        expect(format.date(AT, 'ddd d MMMM', null, 'de-DE')).toBe('Sa 9 März');
+        expect(format.date(AT, 'long', 'America/New_York', 'de-DE')).toBe('9. März 2024');
+        expect(format.date(AT, 'short')).toBe('3/9/24');
+    });
+    it('shows quoted and escaped text as-is.', () => {
+        expect(format.date(AT, 'MMM d \'at\' h AM/PM')).toBe('Mar 9 at 2 PM');
+        expect(format.date(AT, '"yyyy" yyyy \\d')).toBe('yyyy 2024 d');
+    });
+});
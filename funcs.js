@@ -1,22 +1,563 @@
 import is from './is.js';
+import CalKuError, { ErrorCode } from './error.js';
+import { equals, compare, NumericString } from './compare.js';
+import * as dates from './dates.js';
+import * as format from './format.js';
+import * as regex from './regex.js';
+import Decimal from './decimal.js';
 
 const RECURSION_DEPTH = 3;
 const STANDARD_SUPPORTED_TYPES = [Array, 'string', 'number', 'boolean', Date, null];
-let _cache = {};
+const SEQUENCE_LIMIT = 100000;
+const TEXT_LIMIT = 1000000;
+let _generation = 0;
+const _caches = new WeakMap();
+const DATE_VALIDATOR = (v) => is(v).instanceOf(Date).required();
+const UNIT_VALIDATOR = (v) => is(v).string().required().custom(
+    (u) => dates.unitOf(u) ? null : `must be a date unit (${Object.keys(dates.DateUnit).join(', ')}).`
+);
+const ZONE_VALIDATOR = (v) => is(v).string().required().custom(
+    (z) => dates.zoneOf(z) ? null : 'must be a recognized time zone (e.g. "America/Chicago").'
+);
+const NUMBER_VALIDATOR = (v) => is(v).instanceOf('number', 'boolean', null);
+const NUMBERS_VALIDATOR = (v) => is(v).instanceOf(Array, 'number', 'boolean', null);
+const DIGITS_PARAM = {
+    name: 'digits',
+    optional: true,
+    validator: (v) => is(v).integer().required().range(-20, 20)
+};
+//funcs computing exactly in decimal mode are given decimals as-is, so their params validate decimals as numbers.
+const DECIMAL_VALIDATOR = (v) => is(v).instanceOf('number', 'boolean', Decimal, null);
+const DECIMALS_VALIDATOR = (v) => is(v).instanceOf(Array, 'number', 'boolean', Decimal, null);
+const DECIMAL_DIGITS_PARAM = { ...DIGITS_PARAM, validator: (v) => DIGITS_PARAM.validator(Decimal.toNumbers(v)) };
+const ITEMS_VALIDATOR = (v) => is(v).allowed(null).array();
+const VALUES_VALIDATOR = (v) => is(v).instanceOf(...STANDARD_SUPPORTED_TYPES, 'object');
+const CRITERIA_VALIDATOR = (v) => is(v).string().required();
+const PATH_VALIDATOR = (v) => is(v).instanceOf('string', null);
+const LAMBDA_VALIDATOR = (v) => is(v).custom(
+    (f) => typeof f === 'function' ? null : 'must be a lambda (e.g. "x => {x.qty} > 2").'
+);
+const PATTERN_VALIDATOR = (v) => is(v).instanceOf('string', RegExp).custom((p) => regex.problemOf(p));
+const FLAGS_PARAM = {
+    name: 'flags',
+    optional: true,
+    validator: (v) => is(v).string().custom(
+        (f) => regex.problemOf('', f) ? `must only use the regular expression flags "${regex.SupportedFlags}".` : null
+    )
+};
+
+/**
+ * Returns the text of a string or number argument, or an empty string if it is `null` (or `undefined`).
+ * @param {String | Number} v - The argument value.
+ * @returns {String}
+ */
+function textOf(v) {
+    return (v != null ? v.toString() : '');
+}
+
+/**
+ * Returns the error thrown by a conversion func when its argument cannot be converted.
+ * @param {String} func - The key of the func.
+ * @param {*} value - The argument value.
+ * @param {String} type - The description of the type converted to, e.g. `"a number"`.
+ * @returns {CalKuError}
+ */
+function unconvertible(func, value, type) {
+    let text = (typeof value === 'string' ? `"${value}"` : String(value));
+    return new CalKuError(`The value ${text} cannot be converted to ${type}.`, { code: ErrorCode.ArgType, func, argIndex: 0 });
+}
+
+/**
+ * Converts the argument of a conversion func to a number: numeric text is parsed, booleans are `1` or `0`, dates are
+ * their time in milliseconds, and blank text is `null`.
+ * @throws CalKuError when the value is text that is not a number.
+ * @param {String} func - The key of the func.
+ * @param {String | Number | Boolean | Date} value - The argument value.
+ * @returns {Number}
+ */
+function numberOf(func, value) {
+    if (typeof value === 'string') {
+        if (value.trim() === '') {
+            return null;
+        } else if (NumericString.test(value) === false) {
+            throw unconvertible(func, value, 'a number');
+        }
+        return parseFloat(value);
+    } else if (value instanceof Date) {
+        return value.getTime();
+    }
+    return (value == null ? null : +value);
+}
+
+/**
+ * Returns the numbers (and booleans, as `1` or `0`) among the values, flattening arrays up to the recursion depth and
+ * skipping all other values- matching how spreadsheets aggregate. Decimals are kept as-is.
+ * @param {Array} values - The values to flatten.
+ * @returns {Array.<Number | Decimal>}
+ */
+function numbersOf(values) {
+    return values.flat(RECURSION_DEPTH)
+        .filter(v => (typeof v === 'number' && isNaN(v) === false) || typeof v === 'boolean' || v instanceof Decimal)
+        .map(v => (v instanceof Decimal ? v : +v));
+}
+
+/**
+ * Aggregates the numbers exactly in decimal mode, rounding the result to the scale of the decimal options. When any
+ * of the numbers has no decimal form (such as `Infinity`), the numbers are aggregated as floating-point numbers
+ * instead.
+ * @param {DecimalOptions} options - The decimal options of the CalKu instance.
+ * @param {Array.<Number | Decimal>} numbers - The numbers to aggregate.
+ * @param {function(Array.<Number>): Number} float - Aggregates the numbers as floating-point numbers.
+ * @param {function(Array.<Decimal>): Decimal} exact - Aggregates the numbers as decimals.
+ * @returns {Number | Decimal}
+ */
+function aggregateOf(options, numbers, float, exact) {
+    let decimals = numbers.map(n => Decimal.from(n));
+    if (decimals.includes(null)) {
+        return float(Decimal.toNumbers(numbers));
+    }
+    return exact(decimals).round(options.scale, options.rounding);
+}
+
+/**
+ * Returns the sum of the numbers, exactly in decimal mode (see `aggregateOf`).
+ * @param {DecimalOptions} options - The decimal options of the CalKu instance.
+ * @param {Array.<Number | Decimal>} numbers - The numbers to sum.
+ * @returns {Number | Decimal}
+ */
+function sumOf(options, numbers) {
+    return aggregateOf(options, numbers,
+        (n) => n.reduce((pv, cv) => pv + cv, 0),
+        (d) => d.reduce((pv, cv) => pv.add(cv), new Decimal(0n))
+    );
+}
+
+/**
+ * Returns the sum of the numbers divided by the count, exactly in decimal mode (see `aggregateOf`).
+ * @param {DecimalOptions} options - The decimal options of the CalKu instance.
+ * @param {Array.<Number | Decimal>} numbers - The numbers to average.
+ * @param {Number} count - The (non-zero) count of values, which may include values that are not numbers.
+ * @returns {Number | Decimal}
+ */
+function averageOf(options, numbers, count) {
+    let n = new Decimal(BigInt(count));
+    return aggregateOf(options, numbers,
+        (f) => f.reduce((pv, cv) => pv + cv, 0) / count,
+        (d) => d.reduce((pv, cv) => pv.add(cv), new Decimal(0n)).divide(n, options.scale, options.rounding)
+    );
+}
+
+/**
+ * Returns the largest (when the sign is `1`) or smallest (when `-1`) of the numbers, exactly in decimal mode (see
+ * `aggregateOf`), or `0` if there are none.
+ * @param {DecimalOptions} options - The decimal options of the CalKu instance.
+ * @param {Array.<Number | Decimal>} numbers - The numbers.
+ * @param {Number} sign - `1` for the largest, or `-1` for the smallest number.
+ * @returns {Number | Decimal}
+ */
+function extremeOf(options, numbers, sign) {
+    if (!numbers.length) {
+        return 0;
+    }
+    return aggregateOf(options, numbers,
+        (f) => (sign > 0 ? Math.max(...f) : Math.min(...f)),
+        (d) => d.reduce((pv, cv) => (cv.compare(pv) * sign > 0 ? cv : pv))
+    );
+}
+
+/**
+ * Computes a func of a single number exactly in decimal mode, with `null` read as `0`. When the number has no decimal
+ * form (such as `Infinity`), the func's floating-point function is used instead.
+ * @param {Number | Boolean | Decimal} value - The number.
+ * @param {function(Number): Number} float - Computes the result from the number.
+ * @param {function(Decimal): Decimal} exact - Computes the result from the number as a decimal.
+ * @returns {Number | Decimal}
+ */
+function exactOf(value, float, exact) {
+    let x = Decimal.from(value ?? 0);
+    return (x === null ? float(Decimal.toNumbers(value)) : exact(x));
+}
+
+/**
+ * Rounds the number to a number of decimal digits with the mode (see `roundTo`), exactly in decimal mode (see
+ * `exactOf`).
+ * @param {Number | Boolean | Decimal} value - The number to round.
+ * @param {Number | Decimal} [digits] - The number of decimal digits to keep (`0` if not given).
+ * @param {String} mode - The rounding mode.
+ * @returns {Number | Decimal}
+ */
+function roundedOf(value, digits, mode) {
+    digits = Number(digits ?? 0);
+    return exactOf(value, (x) => roundTo(x, digits, mode), (x) => x.round(digits, mode));
+}
+
+/**
+ * Returns the variance of the decimals as the exact fraction `[numerator, denominator]`, or `null` if there are too
+ * few decimals (see `varianceOf`). The variance is `(n * sum(x^2) - sum(x)^2) / (n * (n - 1))` for a sample, and
+ * `(n * sum(x^2) - sum(x)^2) / n^2` for a population, which needs no (rounded) mean.
+ * @param {Array.<Decimal>} decimals - The decimals.
+ * @param {Boolean} sample - When `true`, the variance of a sample is returned.
+ * @returns {Array.<Decimal>}
+ */
+function varianceFractionOf(decimals, sample) {
+    let n = BigInt(decimals.length);
+    if (n - (sample ? 1n : 0n) < 1n) {
+        return null;
+    }
+    let sum = decimals.reduce((pv, cv) => pv.add(cv), new Decimal(0n));
+    let squares = decimals.reduce((pv, cv) => pv.add(cv.multiply(cv)), new Decimal(0n));
+    return [
+        new Decimal(n).multiply(squares).subtract(sum.multiply(sum)),
+        new Decimal(n * (sample ? n - 1n : n))
+    ];
+}
+
+/**
+ * Returns the variance (or its square root, the standard deviation) of the numbers among the values, exactly in
+ * decimal mode (see `aggregateOf`), or `null` if there are too few numbers.
+ * @param {DecimalOptions} options - The decimal options of the CalKu instance.
+ * @param {Array} values - The values to flatten.
+ * @param {Boolean} sample - When `true`, the variance of a sample is returned (see `varianceOf`).
+ * @param {Boolean} root - When `true`, the standard deviation is returned.
+ * @returns {Number | Decimal}
+ */
+function exactVarianceOf(options, values, sample, root) {
+    let numbers = numbersOf(values);
+    if (numbers.length - (sample ? 1 : 0) < 1) {
+        return null;
+    }
+    return aggregateOf(options, numbers,
+        (f) => (root ? Math.sqrt(varianceOf(f, sample)) : varianceOf(f, sample)),
+        (d) => {
+            let [numerator, denominator] = varianceFractionOf(d, sample);
+            return (root
+                ? numerator.sqrt(options.scale, options.rounding, denominator)
+                : numerator.divide(denominator, options.scale, options.rounding));
+        }
+    );
+}
+
+/**
+ * Returns the k<sup>th</sup> percentile of the numbers among the values, exactly in decimal mode (see `aggregateOf`
+ * and `percentileOf`), or `null` if there are none.
+ * @param {DecimalOptions} options - The decimal options of the CalKu instance.
+ * @param {Array} values - The values to flatten.
+ * @param {Decimal} k - The percentile, from `0` to `1` (inclusive).
+ * @returns {Number | Decimal}
+ */
+function exactPercentileOf(options, values, k) {
+    let numbers = numbersOf(values);
+    if (!numbers.length) {
+        return null;
+    }
+    return aggregateOf(options, numbers,
+        (f) => percentileOf(f, k.toNumber()),
+        (d) => {
+            d.sort((a, b) => a.compare(b));
+            let rank = k.multiply(new Decimal(BigInt(d.length - 1)));
+            let lower = rank.round(0, 'down');
+            let i = Number(lower.units);
+            return (i === d.length - 1 ? d[i] : d[i].add(rank.subtract(lower).multiply(d[i + 1].subtract(d[i]))));
+        }
+    );
+}
+
+/**
+ * Returns the items matching all of the criteria, each an expression evaluated with the item as its target (so
+ * `"{qty} > 2"` matches items with a `qty` property over `2`). When a path is given, the value at the path of each
+ * matching item is returned instead of the item.
+ * @param {FunctionContext} ctx - The context of the CalKu instance, used to compile the criteria.
+ * @param {Array} items - The items to filter.
+ * @param {Array.<String>} criteria - The criteria expressions.
+ * @param {String} [path] - The dot-notated path of the value to return from each matching item.
+ * @returns {Array}
+ */
+function matchesOf(ctx, items, criteria, path) {
+    let tests = criteria.map(c => ctx.compile(c));
+    let matches = (items ?? []).filter(item => tests.every(test => test(item)));
+    return (path ? matches.map(item => ctx.valueAt(item, path)) : matches);
+}
+
+/**
+ * Creates a set of values where members are compared by value (see `equals`), so dates of the same point in time, and
+ * arrays or objects with equal items, are the same member.
+ * @param {Array} [values] - The initial members.
+ * @returns {{has: function(*): Boolean, add: function(*): Boolean}} The set, where `add` returns `false` if the value
+ * was already a member.
+ */
+function valueSetOf(values) {
+    let keys = new Set(); //members with a primitive key, found in constant time.
+    let others = []; //arrays and objects, compared one by one.
+    let keyFor = (v) => {
+        if (v instanceof Date) {
+            return `date:${v.getTime()}`;
+        }
+        return (v !== null && typeof v === 'object' ? null : `${typeof v}:${v}`);
+    };
+    let set = {
+        has: (v) => {
+            let key = keyFor(v);
+            return (key === null ? others.some(o => equals(o, v)) : keys.has(key));
+        },
+        add: (v) => {
+            if (set.has(v)) {
+                return false;
+            }
+            let key = keyFor(v);
+            if (key === null) {
+                others.push(v);
+            } else {
+                keys.add(key);
+            }
+            return true;
+        }
+    };
+    (values ?? []).forEach(set.add);
+    return set;
+}
+
+/**
+ * Returns the rank of the type of a value when sorting values of mixed types: numbers (and decimals), strings,
+ * booleans, dates, arrays, other values, `NaN` numbers and invalid dates (which cannot be ordered), then `null` and
+ * `undefined`.
+ * @param {*} value - The value to rank.
+ * @returns {Number}
+ */
+function sortRankOf(value) {
+    if (value instanceof Decimal || (typeof value === 'number' && !isNaN(value))) {
+        return 0;
+    } else if (typeof value === 'string') {
+        return 1;
+    } else if (typeof value === 'boolean') {
+        return 2;
+    } else if (value instanceof Date && !isNaN(value.getTime())) {
+        return 3;
+    } else if (Array.isArray(value)) {
+        return 4;
+    } else if (typeof value === 'number' || value instanceof Date) {
+        return 6;
+    }
+    return (value === null || typeof value === 'undefined' ? 7 : 5);
+}
+
+/**
+ * Compares the sort order of two values. Values of the same type are compared as by the `<` operator (see
+ * `compare`), and values of different types are ordered by the rank of their types (see `sortRankOf`), so that any
+ * values have a consistent order. Arrays are ordered item by item, and values that cannot be ordered otherwise (such as
+ * objects) are treated as equal.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {ComparisonOptions} [options] - The comparison options.
+ * @returns {Number}
+ */
+function sortOrderOf(a, b, options) {
+    let rank = sortRankOf(a);
+    if (rank !== sortRankOf(b)) {
+        return rank - sortRankOf(b);
+    } else if (rank === 4) {
+        for (let i = 0; i < a.length && i < b.length; i++) {
+            let result = sortOrderOf(a[i], b[i], options);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return a.length - b.length;
+    }
+    return (compare(a, b, options) || 0);
+}
+
+/**
+ * Returns a sorted copy of the values, ordered by their keys (see `sortOrderOf`). Values with a `null` or missing key
+ * are always placed last, after the sorted values, in their original order.
+ * @param {Array} values - The values to sort.
+ * @param {Array} keys - The key of each value, in the same order.
+ * @param {Boolean} [descending] - When `true`, the values are sorted from the largest key to the smallest.
+ * @param {ComparisonOptions} [options] - The comparison options.
+ * @returns {Array}
+ */
+function sortedOf(values, keys, descending, options) {
+    return values
+        .map((v, i) => ({ v, key: keys[i] ?? null }))
+        .sort((a, b) => {
+            if (a.key === null || b.key === null) {
+                return (a.key === null) - (b.key === null);
+            }
+            return sortOrderOf(a.key, b.key, options) * (descending ? -1 : 1);
+        })
+        .map(k => k.v);
+}
+
+/**
+ * Returns the variance of the numbers among the values (see `numbersOf`), or `null` if there are too few numbers.
+ * @param {Array} values - The values to flatten.
+ * @param {Boolean} sample - When `true`, the numbers are a sample of a population, so the variance is estimated with
+ * Bessel's correction (dividing by one less than the count of numbers).
+ * @returns {Number}
+ */
+function varianceOf(values, sample) {
+    let numbers = numbersOf(values);
+    let n = numbers.length - (sample ? 1 : 0);
+    if (n < 1) {
+        return null;
+    }
+    let mean = numbers.reduce((pv, cv) => pv + cv, 0) / numbers.length;
+    return clean(numbers.reduce((pv, cv) => pv + (cv - mean) ** 2, 0) / n);
+}
+
+/**
+ * Returns the k<sup>th</sup> percentile (`0` to `1`) of the numbers among the values (see `numbersOf`), interpolating
+ * between the closest numbers, or `null` if there are none.
+ * @param {Array} values - The values to flatten.
+ * @param {Number} k - The percentile, from `0` to `1` (inclusive).
+ * @returns {Number}
+ */
+function percentileOf(values, k) {
+    let numbers = numbersOf(values).sort((a, b) => a - b);
+    if (!numbers.length) {
+        return null;
+    }
+    let rank = k * (numbers.length - 1);
+    let lower = Math.floor(rank);
+    if (lower === numbers.length - 1) {
+        return numbers[lower];
+    }
+    return clean(numbers[lower] + (rank - lower) * (numbers[lower + 1] - numbers[lower]));
+}
+
+/**
+ * Returns the number with its decimal point moved by a number of digits (right if positive). The point is moved in the
+ * number's text, so `shift(1.005, 2)` is exactly `100.5` rather than `100.49999999999999`.
+ * @param {Number} value - The number to shift.
+ * @param {Number} digits - The number of digits to move the decimal point.
+ * @returns {Number}
+ */
+function shift(value, digits) {
+    let [mantissa, exponent] = value.toString().split('e');
+    return Number(`${mantissa}e${parseInt(exponent ?? 0) + digits}`);
+}
+
+/**
+ * Rounds the number to a number of decimal digits (or, if negative, to tens, hundreds, etc.). The number is cleaned of
+ * floating-point noise first (see `clean`), so `1.1 * 3` rounds up as `3.3`, not `3.3000000000000003`.
+ * @param {Number} value - The number to round.
+ * @param {Number} digits - The number of decimal digits to keep.
+ * @param {String} mode - How to round a number that is exactly half-way:
+ * - `"half-up"`: away from zero, as spreadsheets do (`2.5` is `3`, and `-2.5` is `-3`).
+ * - `"half-even"`: to the nearest even digit, known as banker's rounding (`2.5` is `2`, and `3.5` is `4`).
+ * - `"up"` and `"down"`: not to the nearest- always away from, or towards zero.
+ * @returns {Number}
+ */
+function roundTo(value, digits, mode) {
+    if (!isFinite(value) || value === 0) {
+        return value;
+    }
+    let x = shift(Math.abs(clean(value)), digits);
+    let whole = Math.floor(x);
+    let fraction = x - whole;
+    if (mode === 'up') {
+        whole += (fraction > 0 ? 1 : 0);
+    } else if (mode !== 'down' && (fraction > 0.5 || (fraction === 0.5 && (mode !== 'half-even' || whole % 2 === 1)))) {
+        whole++;
+    }
+    return Math.sign(value) * shift(whole, -digits) + 0; //+ 0 so a negative number rounded to zero is not -0.
+}
+
+/**
+ * Returns the number without the noise of floating-point arithmetic (e.g. `0.30000000000000004` is `0.3`), by
+ * rounding it to 15 significant digits. Decimals are exact, and returned as-is.
+ * @param {Number | Decimal} value - The number to clean.
+ * @returns {Number | Decimal}
+ */
+function clean(value) {
+    return (typeof value === 'number' && isFinite(value) ? parseFloat(value.toPrecision(15)) : value);
+}
+
+/**
+ * Formats the number as text in the locale of the func context. When a number of decimal digits is given, the number
+ * is rounded to it (half-up, as `ROUND`) and shown with exactly that many decimal digits.
+ * @param {FunctionContext} ctx - The func context.
+ * @param {Number | Boolean} value - The number to format.
+ * @param {Number} [digits] - The number of decimal digits.
+ * @param {Intl.NumberFormatOptions} [options] - The formatter options, such as the currency style.
+ * @returns {String}
+ */
+function formatted(ctx, value, digits, options) {
+    value = +value;
+    if (digits != null) {
+        value = roundTo(value, digits, 'half-up');
+        options = { ...options, minimumFractionDigits: Math.max(digits, 0), maximumFractionDigits: Math.max(digits, 0) };
+    }
+    return format.number(value, options ?? {}, ctx.locale);
+}
+
+/**
+ * Returns the cache of the given funcs registry. Registries may inherit funcs from one another (see
+ * `CalKuEnvironment`), so recycling any registry invalidates the caches of all of them.
+ * @param {Object} registry - The funcs object.
+ * @returns {Object}
+ */
+function cacheOf(registry) {
+    let cache = _caches.get(registry);
+    if (!cache || cache.generation !== _generation) {
+        cache = { generation: _generation };
+        _caches.set(registry, cache);
+    }
+    return cache;
+}
+
+/**
+ * Returns the key of the given func in the registry of funcs, or `null` if it is not found.
+ * @param {Object} registry - The funcs object to search.
+ * @param {CalKuFunction} func - The func to find.
+ * @returns {String}
+ */
+function keyOf(registry, func) {
+    for (let k in registry) {
+        if (registry[k] === func) {
+            return k;
+        }
+    }
+    return null;
+}
 
 /**
  * @typedef FunctionParameter
  * @property {Boolean} [spread]
+ * @property {Boolean} [lazy] - When `true`, the argument is given to the func as a function that resolves the value
+ * only when called, so unused arguments are never evaluated. The validator runs when the value is resolved.
+ * @property {Boolean} [optional] - When `true`, the argument may be omitted (and is not validated when it is). Only
+ * the last parameters may be optional, and an optional spread parameter allows zero arguments.
  * @property {String} [name="value"]
  * @property {String} [hint] 
  * @property {IsValidator} validator
  */
 
+/**
+ * @typedef FunctionContext
+ * @property {String} timeZone - The timezone of the CalKu instance evaluating the expression, or `null` for UTC.
+ * @property {String} locale - The locale of the CalKu instance evaluating the expression, or `null` for the default
+ * (see `format.DefaultLocale`).
+ * @property {DecimalOptions} decimal - The decimal options of the CalKu instance when it is in decimal mode (see
+ * `CalKu.decimal`), or `null`.
+ * @property {ComparisonOptions} comparison - The comparison options of the CalKu instance's environment.
+ * @property {function(String): CompiledExpression} compile - Compiles another expression (such as criteria given as
+ * an argument) with the timezone, locale, decimal mode, and environment of the CalKu instance.
+ * @property {function(Object, String): *} valueAt - Returns the value at a dot-notated path of an object (see
+ * `CalKu.valueAt`).
+ */
+
 /**
  * @typedef CalKuFunction
  * @property {Array.<String>} symbols
  * @property {String} [hint] 
  * @property {FunctionParameter | Array.<FunctionParameter>} [params]
+ * @property {Boolean} [context] - When `true`, the func is given a `FunctionContext` describing the evaluating CalKu
+ * instance as its first argument, ahead of the expression's arguments.
+ * @property {Boolean | Function} [decimal] - How the func handles decimals when the evaluating CalKu instance is in
+ * decimal mode (see `CalKu.decimal`). When `true`, the func's `func` is given decimals as-is. When a function, it is
+ * called in place of `func`, given the `DecimalOptions` of the instance ahead of the arguments `func` is given (with
+ * decimals as-is). Otherwise, decimals (including those in arrays) are converted to numbers before they are given to
+ * the func.
  * @property {Function} func
  */
 
@@ -33,17 +574,50 @@ const funcs = {
     ABS: {
         symbols: ['ABS'],
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
+            DECIMAL_VALIDATOR,
         ],
+        decimal: (d, v) => exactOf(v, (x) => Math.abs(x), (x) => x.abs()),
         func: (v) => Math.abs(v)
     },
     /** @type {CalKuFunction} */
+    AND: {
+        symbols: ['AND'],
+        params: {
+            spread: true,
+            lazy: true,
+            name: 'values',
+            validator: (v) => is(v).anything()
+        },
+        func: (...values) => values.every(v => [v()].flat(RECURSION_DEPTH).every(x => !!x))
+    },
+    /** @type {CalKuFunction} */
+    ARRAYLEN: {
+        symbols: ['ARRAYLEN'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR }
+        ],
+        func: (items) => (items ?? []).length
+    },
+    /** @type {CalKuFunction} */
+    ATAN2: {
+        symbols: ['ATAN2'],
+        params: [
+            { name: 'x', validator: NUMBER_VALIDATOR },
+            { name: 'y', validator: NUMBER_VALIDATOR }
+        ],
+        func: (x, y) => Math.atan2(y, x) //spreadsheet argument order.
+    },
+    /** @type {CalKuFunction} */
     AVERAGE: {
         symbols: ['AVERAGE'],
         params: {
             spread: true,
             name: 'numbers',
-            validator: (v) => is(v).instanceOf(Array, 'number', 'boolean', null),
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => {
+            let count = values.flat(RECURSION_DEPTH).length;
+            return (count > 0 ? averageOf(d, numbersOf(values), count) : 0);
         },
         func: (...values) => {
             values = values.flat(RECURSION_DEPTH);
@@ -55,6 +629,58 @@ const funcs = {
         }
     },
     /** @type {CalKuFunction} */
+    AVERAGEIF: {
+        symbols: ['AVERAGEIF'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'criteria', validator: CRITERIA_VALIDATOR },
+            { name: 'path', optional: true, validator: PATH_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, criteria, path) => {
+            let numbers = numbersOf(matchesOf(ctx, items, [criteria], path));
+            return (numbers.length ? clean(averageOf(d, numbers, numbers.length)) : null);
+        },
+        func: (ctx, items, criteria, path) => {
+            let numbers = numbersOf(matchesOf(ctx, items, [criteria], path));
+            return (numbers.length ? clean(numbers.reduce((pv, cv) => pv + cv, 0) / numbers.length) : null);
+        }
+    },
+    /** @type {CalKuFunction} */
+    AVERAGEIFS: {
+        symbols: ['AVERAGEIFS'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'path', validator: PATH_VALIDATOR },
+            { name: 'criteria', spread: true, validator: CRITERIA_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, path, ...criteria) => {
+            let numbers = numbersOf(matchesOf(ctx, items, criteria, path));
+            return (numbers.length ? clean(averageOf(d, numbers, numbers.length)) : null);
+        },
+        func: (ctx, items, path, ...criteria) => {
+            let numbers = numbersOf(matchesOf(ctx, items, criteria, path));
+            return (numbers.length ? clean(numbers.reduce((pv, cv) => pv + cv, 0) / numbers.length) : null);
+        }
+    },
+    /** @type {CalKuFunction} */
+    BOOLEAN: {
+        symbols: ['BOOLEAN'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null),
+        ],
+        func: (v) => {
+            if (typeof v === 'string' && /^\s*(true|false)\s*$/i.test(v)) {
+                return (v.trim().toLowerCase() === 'true');
+            } else if (typeof v === 'string' && v.trim() !== '' && NumericString.test(v) === false) {
+                throw unconvertible('BOOLEAN', v, 'true or false');
+            }
+            let n = numberOf('BOOLEAN', v);
+            return (n === null ? null : n !== 0);
+        }
+    },
+    /** @type {CalKuFunction} */
     CEIL: {
         symbols: ['CEIL'],
         params: [
@@ -63,6 +689,59 @@ const funcs = {
         func: (v) => Math.ceil(v)
     },
     /** @type {CalKuFunction} */
+    CHAR: {
+        symbols: ['CHAR'],
+        params: [
+            (v) => is(v).integer().required().range(0, 0x10FFFF),
+        ],
+        func: (v) => String.fromCodePoint(v)
+    },
+    /** @type {CalKuFunction} */
+    COALESCE: {
+        symbols: ['COALESCE'],
+        params: {
+            spread: true,
+            lazy: true,
+            name: 'values',
+            validator: (v) => is(v).anything()
+        },
+        func: (...values) => {
+            for (let v of values) {
+                let value = v();
+                if (value != null) {
+                    return value;
+                }
+            }
+            return null;
+        }
+    },
+    /** @type {CalKuFunction} */
+    CODE: {
+        symbols: ['CODE'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number').custom((x) => x === '' ? 'must not be empty.' : null),
+        ],
+        func: (v) => v.toString().codePointAt(0)
+    },
+    /** @type {CalKuFunction} */
+    CONCAT: {
+        symbols: ['CONCAT'],
+        params: {
+            spread: true,
+            name: 'values',
+            validator: VALUES_VALIDATOR
+        },
+        func: (...values) => [].concat(...values)
+    },
+    /** @type {CalKuFunction} */
+    COS: {
+        symbols: ['COS'],
+        params: [
+            { name: 'radians', validator: NUMBER_VALIDATOR }
+        ],
+        func: (v) => Math.cos(v)
+    },
+    /** @type {CalKuFunction} */
     COUNT: {
         symbols: ['COUNT'],
         params: {
@@ -80,154 +759,1225 @@ const funcs = {
         }
     },
     /** @type {CalKuFunction} */
-    FLOOR: {
-        symbols: ['FLOOR'],
+    COUNTA: {
+        symbols: ['COUNTA'],
+        params: {
+            spread: true,
+            name: 'values',
+            validator: VALUES_VALIDATOR
+        },
+        func: (...values) => values.flat(RECURSION_DEPTH).filter(v => v != null).length
+    },
+    /** @type {CalKuFunction} */
+    COUNTBLANK: {
+        symbols: ['COUNTBLANK'],
+        params: {
+            spread: true,
+            name: 'values',
+            validator: VALUES_VALIDATOR
+        },
+        func: (...values) => values.flat(RECURSION_DEPTH).filter(v => v == null || v === '').length
+    },
+    /** @type {CalKuFunction} */
+    COUNTIF: {
+        symbols: ['COUNTIF'],
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'criteria', validator: CRITERIA_VALIDATOR }
         ],
-        func: (v) => Math.floor(v)
+        context: true,
+        func: (ctx, items, criteria) => matchesOf(ctx, items, [criteria]).length
     },
     /** @type {CalKuFunction} */
-    HELLOWORLD: {
-        symbols: ['HELLOWORLD'],
-        func: () => 'Hello world.'
+    COUNTIFS: {
+        symbols: ['COUNTIFS'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'criteria', spread: true, validator: CRITERIA_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, items, ...criteria) => matchesOf(ctx, items, criteria).length
     },
     /** @type {CalKuFunction} */
-    IF: {
-        symbols: ['IF'],
+    CURRENCY: {
+        symbols: ['CURRENCY'],
         params: [
+            NUMBER_VALIDATOR,
             {
-                name: 'condition',
-                validator: (v) => is(v).boolean().required()
-            },
-            {
-                name: 'valueIfTrue',
-                validator: (v) => is(v).anything()
+                name: 'currency',
+                optional: true,
+                validator: (v) => is(v).string().required().custom(
+                    (c) => /^[A-Z]{3}$/i.test(c) ? null : 'must be a currency code (e.g. "USD" or "EUR").'
+                )
             },
+            DIGITS_PARAM
+        ],
+        context: true,
+        func: (ctx, v, currency, digits) => formatted(ctx, v, digits, {
+            style: 'currency',
+            currency: (currency ?? 'USD').toUpperCase()
+        })
+    },
+    /** @type {CalKuFunction} */
+    DATE: {
+        symbols: ['DATE'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', Date, null),
+        ],
+        context: true,
+        func: (ctx, v) => {
+            if (typeof v === 'string') {
+                if (v.trim() === '') {
+                    return null;
+                }
+                let date = dates.parse(v.trim(), ctx.timeZone);
+                if (!date || isNaN(date.getTime())) {
+                    throw unconvertible('DATE', v, 'a date');
+                }
+                return date;
+            } else if (typeof v === 'number') {
+                let date = new Date(v); //milliseconds since the epoch, as NUMBER converts dates.
+                if (isNaN(date.getTime())) {
+                    throw unconvertible('DATE', v, 'a date');
+                }
+                return date;
+            }
+            return v;
+        }
+    },
+    /** @type {CalKuFunction} */
+    DATEADD: {
+        symbols: ['DATEADD'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'amount', validator: (v) => is(v).integer().required() },
+            { name: 'unit', validator: UNIT_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, date, amount, unit) => dates.add(date, amount, dates.unitOf(unit), ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    DATEDIFF: {
+        symbols: ['DATEDIFF'],
+        params: [
+            { name: 'startDate', validator: DATE_VALIDATOR },
+            { name: 'endDate', validator: DATE_VALIDATOR },
+            { name: 'unit', validator: UNIT_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, start, end, unit) => dates.diff(start, end, dates.unitOf(unit), ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    DAY: {
+        symbols: ['DAY'],
+        params: [DATE_VALIDATOR],
+        context: true,
+        func: (ctx, date) => dates.partsOf(date, ctx.timeZone).day
+    },
+    /** @type {CalKuFunction} */
+    DEGREES: {
+        symbols: ['DEGREES'],
+        params: [
+            { name: 'radians', validator: NUMBER_VALIDATOR }
+        ],
+        func: (v) => clean(v * 180 / Math.PI)
+    },
+    /** @type {CalKuFunction} */
+    DIFFERENCE: {
+        symbols: ['DIFFERENCE'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'otherItems', validator: ITEMS_VALIDATOR }
+        ],
+        func: (a, b) => {
+            let others = valueSetOf((b ?? []).flat(RECURSION_DEPTH));
+            let found = valueSetOf();
+            return (a ?? []).flat(RECURSION_DEPTH).filter(v => !others.has(v) && found.add(v));
+        }
+    },
+    /** @type {CalKuFunction} */
+    DOLLAR: {
+        symbols: ['DOLLAR'],
+        params: [
+            NUMBER_VALIDATOR,
+            DIGITS_PARAM
+        ],
+        context: true,
+        func: (ctx, v, digits) => formatted(ctx, v, digits ?? 2, { style: 'currency', currency: 'USD' })
+    },
+    /** @type {CalKuFunction} */
+    ENDOF: {
+        symbols: ['ENDOF'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'unit', validator: UNIT_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, date, unit) => dates.endOf(date, dates.unitOf(unit), ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    EOMONTH: {
+        symbols: ['EOMONTH'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'months', validator: (v) => is(v).integer().required() }
+        ],
+        context: true,
+        func: (ctx, date, months) => {
+            let p = dates.partsOf(date, ctx.timeZone);
+            return dates.fromParts({ year: p.year, month: p.month + months + 1, day: 0 }, ctx.timeZone);
+        }
+    },
+    /** @type {CalKuFunction} */
+    EVERY: {
+        symbols: ['EVERY'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
+        ],
+        func: (items, fn) => (items ?? []).every((v, i) => fn(v, i) === true)
+    },
+    /** @type {CalKuFunction} */
+    EXP: {
+        symbols: ['EXP'],
+        params: [
+            NUMBER_VALIDATOR
+        ],
+        func: (v) => Math.exp(v)
+    },
+    /** @type {CalKuFunction} */
+    FILTER: {
+        symbols: ['FILTER'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
+        ],
+        func: (items, fn) => (items ?? []).filter((v, i) => fn(v, i) === true)
+    },
+    /** @type {CalKuFunction} */
+    FIND: {
+        symbols: ['FIND'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
+        ],
+        func: (items, fn) => (items ?? []).find((v, i) => fn(v, i) === true) ?? null
+    },
+    /** @type {CalKuFunction} */
+    FIRST: {
+        symbols: ['FIRST'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR }
+        ],
+        func: (items) => (items?.length ? items[0] : null)
+    },
+    /** @type {CalKuFunction} */
+    FIXED: {
+        symbols: ['FIXED'],
+        params: [
+            NUMBER_VALIDATOR,
+            DIGITS_PARAM,
+            {
+                name: 'noCommas',
+                optional: true,
+                validator: (v) => is(v).boolean().required()
+            }
+        ],
+        context: true,
+        func: (ctx, v, digits, noCommas) => formatted(ctx, v, digits ?? 2, { useGrouping: !noCommas })
+    },
+    /** @type {CalKuFunction} */
+    FLATTEN: {
+        symbols: ['FLATTEN'],
+        params: {
+            spread: true,
+            name: 'values',
+            validator: VALUES_VALIDATOR
+        },
+        func: (...values) => values.flat(RECURSION_DEPTH)
+    },
+    /** @type {CalKuFunction} */
+    FLOOR: {
+        symbols: ['FLOOR'],
+        params: [
+            (v) => is(v).instanceOf('number', 'boolean', null),
+        ],
+        func: (v) => Math.floor(v)
+    },
+    /** @type {CalKuFunction} */
+    FORMAT: {
+        symbols: ['FORMAT'],
+        params: [
+            (v) => is(v).instanceOf('number', 'boolean', Date, null),
+            { name: 'pattern', validator: (v) => is(v).string().required() }
+        ],
+        context: true,
+        func: (ctx, v, pattern) => {
+            if (v instanceof Date) {
+                return format.date(v, pattern, ctx.timeZone, ctx.locale);
+            }
+            return format.numberPattern(+v, pattern, ctx.locale);
+        }
+    },
+    /** @type {CalKuFunction} */
+    FORMATDATE: {
+        symbols: ['FORMATDATE'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'pattern', validator: (v) => is(v).string().required() }
+        ],
+        context: true,
+        func: (ctx, date, pattern) => format.date(date, pattern, ctx.timeZone, ctx.locale)
+    },
+    /** @type {CalKuFunction} */
+    FROMZONE: {
+        symbols: ['FROMZONE'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'zone', validator: ZONE_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, date, zone) => dates.fromZone(date, zone, ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    GROUPBY: {
+        symbols: ['GROUPBY'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
+        ],
+        func: (items, fn) => {
+            let groups = new Map();
+            (items ?? []).forEach((v, i) => {
+                let key = fn(v, i);
+                key = (key instanceof Date ? key.toISOString() : String(key));
+                groups.set(key, (groups.get(key) ?? []).concat([v]));
+            });
+            return Object.fromEntries(groups); //keys such as "__proto__" are kept as plain properties.
+        }
+    },
+    /** @type {CalKuFunction} */
+    HELLOWORLD: {
+        symbols: ['HELLOWORLD'],
+        func: () => 'Hello world.'
+    },
+    /** @type {CalKuFunction} */
+    HOUR: {
+        symbols: ['HOUR'],
+        params: [DATE_VALIDATOR],
+        context: true,
+        func: (ctx, date) => dates.partsOf(date, ctx.timeZone).hour
+    },
+    /** @type {CalKuFunction} */
+    IF: {
+        symbols: ['IF'],
+        params: [
+            {
+                name: 'condition',
+                validator: (v) => is(v).boolean().required()
+            },
+            {
+                name: 'valueIfTrue',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            },
+            {
+                name: 'valueIfFalse',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            }
+        ],
+        func: (condition, valueIfTrue, valueIfFalse) => {
+            if (condition === true) {
+                return valueIfTrue();
+            }
+            return valueIfFalse();
+        }
+    },
+    /** @type {CalKuFunction} */
+    IFERROR: {
+        symbols: ['IFERROR'],
+        params: [
+            {
+                name: 'value',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            },
+            {
+                name: 'valueIfError',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            }
+        ],
+        func: (value, valueIfError) => {
+            try {
+                return value();
+            } catch (err) {
+                return valueIfError();
+            }
+        }
+    },
+    /** @type {CalKuFunction} */
+    IFNULL: {
+        symbols: ['IFNULL'],
+        params: [
+            {
+                name: 'value',
+                validator: (v) => is(v).anything()
+            },
+            {
+                name: 'valueIfNull',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            }
+        ],
+        func: (value, valueIfNull) => (value != null ? value : valueIfNull())
+    },
+    /** @type {CalKuFunction} */
+    IFS: {
+        symbols: ['IFS'],
+        params: {
+            spread: true,
+            lazy: true,
+            name: 'conditionsAndValues',
+            validator: (v) => is(v).anything()
+        },
+        func: (...args) => {
+            for (let i = 0; i < args.length - 1; i += 2) {
+                let condition = args[i]();
+                if (typeof condition !== 'boolean') {
+                    throw new CalKuError(`The condition at index ${i} must be true or false.`, { code: ErrorCode.ArgType, func: 'IFS', argIndex: i });
+                } else if (condition) {
+                    return args[i + 1]();
+                }
+            }
+            return (args.length % 2 ? args[args.length - 1]() : null); //an unpaired last argument is the default.
+        }
+    },
+    /** @type {CalKuFunction} */
+    INDEX: {
+        symbols: ['INDEX'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'index', validator: (v) => is(v).integer().required() }
+        ],
+        func: (items, index) => (items ?? []).at(index) ?? null
+    },
+    /** @type {CalKuFunction} */
+    INDEXOF: {
+        symbols: ['INDEXOF'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+            {
+                name: 'startIndex',
+                optional: true,
+                validator: (v) => is(v).integer().required()
+            }
+        ],
+        func: (a, b, startIndex) => textOf(a).indexOf(textOf(b), startIndex ?? 0)
+    },
+    /** @type {CalKuFunction} */
+    INT: {
+        symbols: ['INT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null),
+        ],
+        func: (v) => {
+            let n = numberOf('INT', v);
+            return (n === null ? null : Math.trunc(n));
+        }
+    },
+    /** @type {CalKuFunction} */
+    INTERSECT: {
+        symbols: ['INTERSECT'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'otherItems', validator: ITEMS_VALIDATOR }
+        ],
+        func: (a, b) => {
+            let others = valueSetOf((b ?? []).flat(RECURSION_DEPTH));
+            let found = valueSetOf();
+            return (a ?? []).flat(RECURSION_DEPTH).filter(v => others.has(v) && found.add(v));
+        }
+    },
+    /** @type {CalKuFunction} */
+    ISARRAY: {
+        symbols: ['ISARRAY'],
+        params: 1,
+        func: (v) => is(v).array().valid()
+    },
+    /** @type {CalKuFunction} */
+    ISBOOLEAN: {
+        symbols: ['ISBOOLEAN'],
+        params: 1,
+        func: (v) => is(v).boolean().valid()
+    },
+    /** @type {CalKuFunction} */
+    ISDATE: {
+        symbols: ['ISDATE'],
+        params: 1,
+        func: (v) => is(v).instanceOf(Date).valid()
+    },
+    /** @type {CalKuFunction} */
+    ISEMPTY: {
+        symbols: ['ISEMPTY'],
+        params: [
+            (v) => is(v).instanceOf('string', null),
+        ],
+        func: (v) => typeof v === 'undefined' || v === null || v.trim() === ''
+    },
+    /** @type {CalKuFunction} */
+    ISNOTEMPTY: {
+        symbols: ['ISNOTEMPTY'],
+        params: [
+            (v) => is(v).instanceOf('string', null),
+        ],
+        func: (v) => typeof v !== 'undefined' && v != null && v.trim() !== ''
+    },
+    /** @type {CalKuFunction} */
+    ISNOTNULL: {
+        symbols: ['ISNOTNULL'],
+        params: 1,
+        func: (v) => v !== null
+    },
+    /** @type {CalKuFunction} */
+    ISNULL: {
+        symbols: ['ISNULL'],
+        params: 1,
+        func: (v) => v === null
+    },
+    /** @type {CalKuFunction} */
+    ISOBJECT: {
+        symbols: ['ISOBJECT'],
+        params: 1,
+        func: (v) => {
+            if (is(v).instanceOf(Date).valid()) {
+                return false; //CalKu treats dates and objects differently.
+            }
+            return is(v).object().valid();
+        }
+    },
+    /** @type {CalKuFunction} */
+    JSON: {
+        symbols: ['JSON'],
+        params: [
+            (v) => is(v).instanceOf('string', null),
+        ],
+        func: (text) => {
+            if (text == null || text.trim() === '') {
+                return null;
+            }
+            try {
+                return JSON.parse(text);
+            } catch (err) {
+                throw new CalKuError(`The text is not valid JSON (${err.message}).`, { code: ErrorCode.ArgType, func: 'JSON', argIndex: 0 });
+            }
+        }
+    },
+    /** @type {CalKuFunction} */
+    LARGE: {
+        symbols: ['LARGE'],
+        params: [
+            { name: 'values', validator: NUMBERS_VALIDATOR },
+            { name: 'k', validator: (v) => is(v).integer().required().range(1, null) }
+        ],
+        func: (values, k) => numbersOf([values]).sort((a, b) => b - a)[k - 1] ?? null
+    },
+    /** @type {CalKuFunction} */
+    LAST: {
+        symbols: ['LAST'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR }
+        ],
+        func: (items) => (items?.length ? items[items.length - 1] : null)
+    },
+    /** @type {CalKuFunction} */
+    LEFT: {
+        symbols: ['LEFT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required()
+        ],
+        func: (a, b) => a != null ? a.toString().substring(0, b) : ''
+    },
+    /** @type {CalKuFunction} */
+    LEN: {
+        symbols: ['LEN'],
+        params: 1,
+        func: (v) => {
+            if (v === null) {
+                return 0;
+            } else if (is(v).array().valid()) {
+                return v.length;
+            } else if (is(v).instanceOf('number', 'string').valid()) {
+                return v.toString().length;
+            } else if (is(v).boolean().valid()) {
+                return 1;
+            } else if (is(v).instanceOf(Date).valid()) {
+                return v.getTime();
+            } else if (is(v).object().valid()) {
+                return 1;
+            }
+            return 0;
+        }
+    },
+    /** @type {CalKuFunction} */
+    LN: {
+        symbols: ['LN'],
+        params: [
+            NUMBER_VALIDATOR
+        ],
+        func: (v) => Math.log(v)
+    },
+    /** @type {CalKuFunction} */
+    LOG: {
+        symbols: ['LOG'],
+        params: [
+            NUMBER_VALIDATOR,
+            {
+                name: 'base',
+                optional: true,
+                validator: (v) => is(v).number().required()
+            }
+        ],
+        func: (v, base) => clean(Math.log(v) / Math.log(base ?? 10))
+    },
+    /** @type {CalKuFunction} */
+    LOG10: {
+        symbols: ['LOG10'],
+        params: [
+            NUMBER_VALIDATOR
+        ],
+        func: (v) => Math.log10(v)
+    },
+    /** @type {CalKuFunction} */
+    LOWER: {
+        symbols: ['LOWER'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
+        func: (v) => textOf(v).toLowerCase()
+    },
+    /** @type {CalKuFunction} */
+    MAP: {
+        symbols: ['MAP'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
+        ],
+        func: (items, fn) => (items ?? []).map((v, i) => fn(v, i))
+    },
+    /** @type {CalKuFunction} */
+    MATCH: {
+        symbols: ['MATCH'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'value', validator: VALUES_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, items, value) => (items ?? []).findIndex(v => equals(v, value, ctx.comparison))
+    },
+    /** @type {CalKuFunction} */
+    MAX: {
+        symbols: ['MAX'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => extremeOf(d, numbersOf(values), 1),
+        func: (...values) => {
+            values = numbersOf(values);
+            return (values.length ? Math.max(...values) : 0);
+        }
+    },
+    /** @type {CalKuFunction} */
+    MAXIF: {
+        symbols: ['MAXIF'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'criteria', validator: CRITERIA_VALIDATOR },
+            { name: 'path', optional: true, validator: PATH_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, criteria, path) => extremeOf(d, numbersOf(matchesOf(ctx, items, [criteria], path)), 1),
+        func: (ctx, items, criteria, path) => {
+            let numbers = numbersOf(matchesOf(ctx, items, [criteria], path));
+            return (numbers.length ? Math.max(...numbers) : 0);
+        }
+    },
+    /** @type {CalKuFunction} */
+    MAXIFS: {
+        symbols: ['MAXIFS'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'path', validator: PATH_VALIDATOR },
+            { name: 'criteria', spread: true, validator: CRITERIA_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, path, ...criteria) => extremeOf(d, numbersOf(matchesOf(ctx, items, criteria, path)), 1),
+        func: (ctx, items, path, ...criteria) => {
+            let numbers = numbersOf(matchesOf(ctx, items, criteria, path));
+            return (numbers.length ? Math.max(...numbers) : 0);
+        }
+    },
+    /** @type {CalKuFunction} */
+    MEDIAN: {
+        symbols: ['MEDIAN'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => exactPercentileOf(d, values, Decimal.from('0.5')),
+        func: (...values) => percentileOf(values, 0.5)
+    },
+    /** @type {CalKuFunction} */
+    MID: {
+        symbols: ['MID'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required(),
+            (v) => is(v).integer().required()
+        ],
+        func: (a, b, c) => a != null ? a.toString().substring(b, b + c) : ''
+    },
+    /** @type {CalKuFunction} */
+    MIN: {
+        symbols: ['MIN'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => extremeOf(d, numbersOf(values), -1),
+        func: (...values) => {
+            values = numbersOf(values);
+            return (values.length ? Math.min(...values) : 0);
+        }
+    },
+    /** @type {CalKuFunction} */
+    MINIF: {
+        symbols: ['MINIF'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'criteria', validator: CRITERIA_VALIDATOR },
+            { name: 'path', optional: true, validator: PATH_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, criteria, path) => extremeOf(d, numbersOf(matchesOf(ctx, items, [criteria], path)), -1),
+        func: (ctx, items, criteria, path) => {
+            let numbers = numbersOf(matchesOf(ctx, items, [criteria], path));
+            return (numbers.length ? Math.min(...numbers) : 0);
+        }
+    },
+    /** @type {CalKuFunction} */
+    MINIFS: {
+        symbols: ['MINIFS'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'path', validator: PATH_VALIDATOR },
+            { name: 'criteria', spread: true, validator: CRITERIA_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, path, ...criteria) => extremeOf(d, numbersOf(matchesOf(ctx, items, criteria, path)), -1),
+        func: (ctx, items, path, ...criteria) => {
+            let numbers = numbersOf(matchesOf(ctx, items, criteria, path));
+            return (numbers.length ? Math.min(...numbers) : 0);
+        }
+    },
+    /** @type {CalKuFunction} */
+    MINUTE: {
+        symbols: ['MINUTE'],
+        params: [DATE_VALIDATOR],
+        context: true,
+        func: (ctx, date) => dates.partsOf(date, ctx.timeZone).minute
+    },
+    /** @type {CalKuFunction} */
+    MODE: {
+        symbols: ['MODE'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: NUMBERS_VALIDATOR,
+        },
+        func: (...values) => {
+            let counts = new Map();
+            let mode = null;
+            for (let v of numbersOf(values)) {
+                counts.set(v, (counts.get(v) ?? 0) + 1);
+                if (counts.get(v) > 1 && counts.get(v) > (counts.get(mode) ?? 0)) {
+                    mode = v;
+                }
+            }
+            return mode; //like spreadsheets, null when no number repeats.
+        }
+    },
+    /** @type {CalKuFunction} */
+    MONTH: {
+        symbols: ['MONTH'],
+        params: [DATE_VALIDATOR],
+        context: true,
+        func: (ctx, date) => dates.partsOf(date, ctx.timeZone).month
+    },
+    /** @type {CalKuFunction} */
+    MROUND: {
+        symbols: ['MROUND'],
+        params: [
+            DECIMAL_VALIDATOR,
+            { name: 'multiple', validator: DECIMAL_VALIDATOR }
+        ],
+        decimal: (d, v, multiple) => {
+            let m = Decimal.from(multiple ?? 0);
+            if (m === null) {
+                return funcs.MROUND.func(...Decimal.toNumbers([v, multiple]));
+            }
+            return exactOf(v,
+                (x) => funcs.MROUND.func(x, m.toNumber()),
+                (x) => (m.units === 0n ? 0 : x.divide(m, 0, 'half-up').multiply(m))
+            );
+        },
+        func: (v, multiple) => (multiple ? clean(roundTo(clean(v / multiple), 0, 'half-up') * multiple) : 0)
+    },
+    /** @type {CalKuFunction} */
+    NETWORKDAYS: {
+        symbols: ['NETWORKDAYS'],
+        params: [
+            { name: 'startDate', validator: DATE_VALIDATOR },
+            { name: 'endDate', validator: DATE_VALIDATOR },
+            {
+                name: 'holidays',
+                optional: true,
+                validator: (v) => is(v).instanceOf(Array, Date, null)
+            }
+        ],
+        context: true,
+        func: (ctx, start, end, holidays) => {
+            holidays = [holidays].flat(RECURSION_DEPTH).filter(v => v instanceof Date);
+            return dates.workdays(start, end, holidays, ctx.timeZone);
+        }
+    },
+    /** @type {CalKuFunction} */
+    NOT: {
+        symbols: ['NOT'],
+        params: [
+            (v) => is(v).anything()
+        ],
+        func: (v) => !v
+    },
+    /** @type {CalKuFunction} */
+    NOW: {
+        symbols: ['NOW'],
+        func: () => new Date()
+    },
+    /** @type {CalKuFunction} */
+    NUMBER: {
+        symbols: ['NUMBER'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', Date, null),
+        ],
+        func: (v) => numberOf('NUMBER', v)
+    },
+    /** @type {CalKuFunction} */
+    OR: {
+        symbols: ['OR'],
+        params: {
+            spread: true,
+            lazy: true,
+            name: 'values',
+            validator: (v) => is(v).anything()
+        },
+        func: (...values) => values.some(v => [v()].flat(RECURSION_DEPTH).some(x => !!x))
+    },
+    /** @type {CalKuFunction} */
+    PADLEFT: {
+        symbols: ['PADLEFT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required().range(0, TEXT_LIMIT),
+            {
+                name: 'padText',
+                optional: true,
+                validator: (v) => is(v).string()
+            }
+        ],
+        func: (a, b, padText) => textOf(a).padStart(b, padText ?? ' ')
+    },
+    /** @type {CalKuFunction} */
+    PADRIGHT: {
+        symbols: ['PADRIGHT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required().range(0, TEXT_LIMIT),
+            {
+                name: 'padText',
+                optional: true,
+                validator: (v) => is(v).string()
+            }
+        ],
+        func: (a, b, padText) => textOf(a).padEnd(b, padText ?? ' ')
+    },
+    /** @type {CalKuFunction} */
+    PERCENT: {
+        symbols: ['PERCENT'],
+        params: [
+            NUMBER_VALIDATOR,
+            DIGITS_PARAM
+        ],
+        context: true,
+        func: (ctx, v, digits) => {
+            digits = digits ?? 0;
+            return format.number(roundTo(+v, digits + 2, 'half-up'), {
+                style: 'percent',
+                minimumFractionDigits: Math.max(digits, 0),
+                maximumFractionDigits: Math.max(digits, 0)
+            }, ctx.locale);
+        }
+    },
+    /** @type {CalKuFunction} */
+    PERCENTILE: {
+        symbols: ['PERCENTILE'],
+        params: [
+            { name: 'values', validator: DECIMALS_VALIDATOR },
+            { name: 'k', validator: (v) => is(Decimal.toNumbers(v)).number().required().range(0, 1) }
+        ],
+        decimal: (d, values, k) => exactPercentileOf(d, [values], Decimal.from(k)),
+        func: (values, k) => percentileOf([values], k)
+    },
+    /** @type {CalKuFunction} */
+    PI: {
+        symbols: ['PI'],
+        func: () => Math.PI
+    },
+    /** @type {CalKuFunction} */
+    POWER: {
+        symbols: ['POWER'],
+        params: [
+            { name: 'base', validator: NUMBER_VALIDATOR },
+            { name: 'exponent', validator: NUMBER_VALIDATOR }
+        ],
+        func: (a, b) => Math.pow(a, b)
+    },
+    /** @type {CalKuFunction} */
+    PROPER: {
+        symbols: ['PROPER'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
+        func: (v) => textOf(v).toLowerCase().replace(/(^|[^\p{L}])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase())
+    },
+    /** @type {CalKuFunction} */
+    QUARTILE: {
+        symbols: ['QUARTILE'],
+        params: [
+            { name: 'values', validator: DECIMALS_VALIDATOR },
+            { name: 'quartile', validator: (v) => is(Decimal.toNumbers(v)).integer().required().range(0, 4) }
+        ],
+        decimal: (d, values, quartile) => exactPercentileOf(d, [values], Decimal.from(quartile).divide(new Decimal(4n), 2)),
+        func: (values, quartile) => percentileOf([values], quartile / 4)
+    },
+    /** @type {CalKuFunction} */
+    RADIANS: {
+        symbols: ['RADIANS'],
+        params: [
+            { name: 'degrees', validator: NUMBER_VALIDATOR }
+        ],
+        func: (v) => v * Math.PI / 180
+    },
+    /** @type {CalKuFunction} */
+    RANGE: {
+        symbols: ['RANGE'],
+        params: [
+            { name: 'start', validator: (v) => is(v).number().required() },
+            { name: 'end', validator: (v) => is(v).number().required() },
+            {
+                name: 'step',
+                optional: true,
+                validator: (v) => is(v).number().required().custom((n) => n === 0 ? 'must not be zero.' : null)
+            }
+        ],
+        func: (start, end, step) => {
+            step = step ?? 1;
+            let count = Math.max(Math.floor(clean((end - start) / step)) + 1, 0);
+            if (count > SEQUENCE_LIMIT) {
+                throw new CalKuError(`The range from ${start} to ${end} has more than ${SEQUENCE_LIMIT} numbers.`, { code: ErrorCode.ArgType, func: 'RANGE' });
+            }
+            return Array.from({ length: count }, (v, i) => clean(start + i * step));
+        }
+    },
+    /** @type {CalKuFunction} */
+    RANK: {
+        symbols: ['RANK'],
+        params: [
+            { name: 'number', validator: (v) => is(v).instanceOf('number', 'boolean').required() },
+            { name: 'values', validator: NUMBERS_VALIDATOR },
+            {
+                name: 'ascending',
+                optional: true,
+                validator: (v) => is(v).instanceOf('boolean', null)
+            }
+        ],
+        func: (v, values, ascending) => {
+            let numbers = numbersOf([values]);
+            if (numbers.indexOf(+v) < 0) {
+                return null;
+            }
+            return 1 + numbers.filter(n => (ascending ? n < v : n > v)).length;
+        }
+    },
+    /** @type {CalKuFunction} */
+    REDUCE: {
+        symbols: ['REDUCE'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'initial', validator: (v) => is(v).anything() },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
+        ],
+        func: (items, initial, fn) => (items ?? []).reduce((pv, cv, i) => fn(pv, cv, i), initial)
+    },
+    /** @type {CalKuFunction} */
+    REGEXEXTRACT: {
+        symbols: ['REGEXEXTRACT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            PATTERN_VALIDATOR,
+            FLAGS_PARAM
+        ],
+        func: (a, pattern, flags) => {
+            let m = regex.regExpOf(pattern, flags).exec(textOf(a));
+            if (!m) {
+                return null;
+            }
+            return (m.length > 1 ? m[1] ?? null : m[0]); //the first capture group, when the pattern has any.
+        }
+    },
+    /** @type {CalKuFunction} */
+    REGEXMATCH: {
+        symbols: ['REGEXMATCH'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            PATTERN_VALIDATOR,
+            FLAGS_PARAM
+        ],
+        func: (a, pattern, flags) => [...textOf(a).matchAll(regex.regExpOf(pattern, flags, true))].map(m => m[0])
+    },
+    /** @type {CalKuFunction} */
+    REGEXREPLACE: {
+        symbols: ['REGEXREPLACE'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            PATTERN_VALIDATOR,
+            (v) => is(v).instanceOf('string', 'number', null),
+            FLAGS_PARAM
+        ],
+        func: (a, pattern, b, flags) => textOf(a).replace(regex.regExpOf(pattern, flags, true), textOf(b))
+    },
+    /** @type {CalKuFunction} */
+    REGEXTEST: {
+        symbols: ['REGEXTEST'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            PATTERN_VALIDATOR,
+            FLAGS_PARAM
+        ],
+        func: (a, pattern, flags) => regex.regExpOf(pattern, flags).test(textOf(a))
+    },
+    /** @type {CalKuFunction} */
+    REPEAT: {
+        symbols: ['REPEAT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required().range(0, TEXT_LIMIT)
+        ],
+        func: (a, b) => {
+            let text = textOf(a);
+            if (text.length * b > TEXT_LIMIT) {
+                throw new CalKuError(`The repeated text is longer than ${TEXT_LIMIT} characters.`, { code: ErrorCode.ArgType, func: 'REPEAT' });
+            }
+            return text.repeat(b);
+        }
+    },
+    /** @type {CalKuFunction} */
+    REPLACE: {
+        symbols: ['REPLACE'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required().range(0, null),
+            (v) => is(v).integer().required().range(0, null),
+            (v) => is(v).instanceOf('string', 'number', null)
+        ],
+        func: (a, startIndex, length, b) => {
+            let v = textOf(a);
+            return v.substring(0, startIndex) + textOf(b) + v.substring(startIndex + length);
+        }
+    },
+    /** @type {CalKuFunction} */
+    REVERSE: {
+        symbols: ['REVERSE'],
+        params: [
+            (v) => (Array.isArray(v) ? is(v).array() : is(v).instanceOf('string', 'number', null)),
+        ],
+        func: (v) => {
+            if (Array.isArray(v)) {
+                return [...v].reverse();
+            }
+            return [...textOf(v)].reverse().join(''); //by code point, so characters such as emoji stay intact.
+        }
+    },
+    /** @type {CalKuFunction} */
+    RIGHT: {
+        symbols: ['RIGHT'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).integer().required()
+        ],
+        func: (a, b) => {
+            if (a != null) {
+                let v = a.toString();
+                let startIndex = v.length - b;
+                return v.substring(startIndex, a.length);
+            }
+            return '';
+        }
+    },
+    /** @type {CalKuFunction} */
+    ROUND: {
+        symbols: ['ROUND'],
+        params: [
+            DECIMAL_VALIDATOR,
+            DECIMAL_DIGITS_PARAM,
             {
-                name: 'valueIfFalse',
-                validator: (v) => is(v).anything()
+                name: 'mode',
+                optional: true,
+                validator: (v) => is(v).string().required().custom(
+                    (m) => (m === 'half-up' || m === 'half-even') ? null : 'must be a rounding mode ("half-up" or "half-even").'
+                )
             }
         ],
-        func: (condition, valueIfTrue, valueIfFalse) => {
-            if (condition === true) {
-                return valueIfTrue;
-            }
-            return valueIfFalse;
-        }
+        decimal: (d, v, digits, mode) => roundedOf(v, digits, mode ?? 'half-up'),
+        func: (v, digits, mode) => roundTo(+v, digits ?? 0, mode ?? 'half-up')
     },
     /** @type {CalKuFunction} */
-    ISARRAY: {
-        symbols: ['ISARRAY'],
-        params: 1,
-        func: (v) => is(v).array().valid()
+    ROUNDDOWN: {
+        symbols: ['ROUNDDOWN'],
+        params: [
+            DECIMAL_VALIDATOR,
+            DECIMAL_DIGITS_PARAM
+        ],
+        decimal: (d, v, digits) => roundedOf(v, digits, 'down'),
+        func: (v, digits) => roundTo(+v, digits ?? 0, 'down')
     },
     /** @type {CalKuFunction} */
-    ISBOOLEAN: {
-        symbols: ['ISBOOLEAN'],
-        params: 1,
-        func: (v) => is(v).boolean().valid()
+    ROUNDUP: {
+        symbols: ['ROUNDUP'],
+        params: [
+            DECIMAL_VALIDATOR,
+            DECIMAL_DIGITS_PARAM
+        ],
+        decimal: (d, v, digits) => roundedOf(v, digits, 'up'),
+        func: (v, digits) => roundTo(+v, digits ?? 0, 'up')
     },
     /** @type {CalKuFunction} */
-    ISDATE: {
-        symbols: ['ISDATE'],
-        params: 1,
-        func: (v) => is(v).instanceOf(Date).valid()
+    SEARCH: {
+        symbols: ['SEARCH'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+            {
+                name: 'startIndex',
+                optional: true,
+                validator: (v) => is(v).integer().required()
+            }
+        ],
+        func: (a, b, startIndex) => textOf(a).toLowerCase().indexOf(textOf(b).toLowerCase(), startIndex ?? 0)
     },
     /** @type {CalKuFunction} */
-    ISEMPTY: {
-        symbols: ['ISEMPTY'],
+    SEQUENCE: {
+        symbols: ['SEQUENCE'],
         params: [
-            (v) => is(v).instanceOf('string', null),
+            { name: 'count', validator: (v) => is(v).integer().required().range(0, SEQUENCE_LIMIT) },
+            { name: 'start', optional: true, validator: (v) => is(v).number().required() },
+            { name: 'step', optional: true, validator: (v) => is(v).number().required() }
         ],
-        func: (v) => typeof v === 'undefined' || v === null || v.trim() === ''
+        func: (count, start, step) => Array.from({ length: count }, (v, i) => clean((start ?? 0) + i * (step ?? 1)))
     },
     /** @type {CalKuFunction} */
-    ISNOTEMPTY: {
-        symbols: ['ISNOTEMPTY'],
+    SIGN: {
+        symbols: ['SIGN'],
         params: [
-            (v) => is(v).instanceOf('string', null),
+            NUMBER_VALIDATOR
         ],
-        func: (v) => typeof v !== 'undefined' && v != null && v.trim() !== ''
+        func: (v) => Math.sign(v) + 0
     },
     /** @type {CalKuFunction} */
-    ISNOTNULL: {
-        symbols: ['ISNOTNULL'],
-        params: 1,
-        func: (v) => v !== null
+    SIN: {
+        symbols: ['SIN'],
+        params: [
+            { name: 'radians', validator: NUMBER_VALIDATOR }
+        ],
+        func: (v) => Math.sin(v)
     },
     /** @type {CalKuFunction} */
-    ISNULL: {
-        symbols: ['ISNULL'],
-        params: 1,
-        func: (v) => v === null
+    SLICE: {
+        symbols: ['SLICE'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'startIndex', validator: (v) => is(v).integer().required() },
+            { name: 'endIndex', optional: true, validator: (v) => is(v).allowed(null).integer() }
+        ],
+        func: (items, startIndex, endIndex) => (items ?? []).slice(startIndex, endIndex ?? undefined)
     },
     /** @type {CalKuFunction} */
-    ISOBJECT: {
-        symbols: ['ISOBJECT'],
-        params: 1,
-        func: (v) => {
-            if (is(v).instanceOf(Date).valid()) {
-                return false; //CalKu treats dates and objects differently.
-            }
-            return is(v).object().valid();
-        }
+    SMALL: {
+        symbols: ['SMALL'],
+        params: [
+            { name: 'values', validator: NUMBERS_VALIDATOR },
+            { name: 'k', validator: (v) => is(v).integer().required().range(1, null) }
+        ],
+        func: (values, k) => numbersOf([values]).sort((a, b) => a - b)[k - 1] ?? null
     },
     /** @type {CalKuFunction} */
-    LEFT: {
-        symbols: ['LEFT'],
+    SOME: {
+        symbols: ['SOME'],
         params: [
-            (v) => is(v).instanceOf('string', 'number', null),
-            (v) => is(v).integer().required()
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR }
         ],
-        func: (a, b) => a != null ? a.toString().substring(0, b) : ''
+        func: (items, fn) => (items ?? []).some((v, i) => fn(v, i) === true)
     },
     /** @type {CalKuFunction} */
-    LEN: {
-        symbols: ['LEN'],
-        params: 1,
-        func: (v) => {
-            if (v === null) {
-                return 0;
-            } else if (is(v).array().valid()) {
-                return v.length;
-            } else if (is(v).instanceOf('number', 'string').valid()) {
-                return v.toString().length;
-            } else if (is(v).boolean().valid()) {
-                return 1;
-            } else if (is(v).instanceOf(Date).valid()) {
-                return v.getTime();
-            } else if (is(v).object().valid()) {
-                return 1;
-            }
-            return 0;
+    SORT: {
+        symbols: ['SORT'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'descending', optional: true, validator: (v) => is(v).boolean() }
+        ],
+        context: true,
+        func: (ctx, items, descending) => {
+            let values = (items ?? []).flat(RECURSION_DEPTH);
+            return sortedOf(values, values, descending, ctx.comparison);
         }
     },
     /** @type {CalKuFunction} */
-    MID: {
-        symbols: ['MID'],
+    SORTBY: {
+        symbols: ['SORTBY'],
         params: [
-            (v) => is(v).instanceOf('string', 'number', null),
-            (v) => is(v).integer().required(),
-            (v) => is(v).integer().required()
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'lambda', validator: LAMBDA_VALIDATOR },
+            { name: 'descending', optional: true, validator: (v) => is(v).boolean() }
         ],
-        func: (a, b, c) => a != null ? a.toString().substring(b, b + c) : ''
+        context: true,
+        func: (ctx, items, fn, descending) => sortedOf(items ?? [], (items ?? []).map((v, i) => fn(v, i)), descending, ctx.comparison)
     },
     /** @type {CalKuFunction} */
-    RIGHT: {
-        symbols: ['RIGHT'],
+    SPLIT: {
+        symbols: ['SPLIT'],
         params: [
             (v) => is(v).instanceOf('string', 'number', null),
-            (v) => is(v).integer().required()
+            (v) => is(v).instanceOf('string', 'number')
         ],
-        func: (a, b) => {
-            if (a != null) {
-                let v = a.toString();
-                let startIndex = v.length - b;
-                return v.substring(startIndex, a.length);
-            }
-            return '';
-        }
+        func: (a, b) => (a != null ? a.toString().split(b.toString()) : [])
     },
     /** @type {CalKuFunction} */
     SQRT: {
@@ -238,13 +1988,83 @@ const funcs = {
         func: (v) => Math.sqrt(v)
     },
     /** @type {CalKuFunction} */
+    STARTOF: {
+        symbols: ['STARTOF'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'unit', validator: UNIT_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, date, unit) => dates.startOf(date, dates.unitOf(unit), ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    STDEV: {
+        symbols: ['STDEV'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => exactVarianceOf(d, values, true, true),
+        func: (...values) => {
+            let variance = varianceOf(values, true);
+            return (variance === null ? null : Math.sqrt(variance));
+        }
+    },
+    /** @type {CalKuFunction} */
+    STDEVP: {
+        symbols: ['STDEVP'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => exactVarianceOf(d, values, false, true),
+        func: (...values) => {
+            let variance = varianceOf(values, false);
+            return (variance === null ? null : Math.sqrt(variance));
+        }
+    },
+    /** @type {CalKuFunction} */
+    SUBSTITUTE: {
+        symbols: ['SUBSTITUTE'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+            {
+                name: 'occurrence',
+                optional: true,
+                validator: (v) => is(v).integer().required().range(1, null)
+            }
+        ],
+        func: (a, b, c, occurrence) => {
+            let v = textOf(a);
+            let search = textOf(b);
+            if (!search) {
+                return v;
+            } else if (!occurrence) {
+                return v.split(search).join(textOf(c));
+            }
+            let index = -search.length;
+            for (let i = 0; i < occurrence; i++) {
+                index = v.indexOf(search, index + search.length);
+                if (index < 0) {
+                    return v; //there are fewer occurrences.
+                }
+            }
+            return v.substring(0, index) + textOf(c) + v.substring(index + search.length);
+        }
+    },
+    /** @type {CalKuFunction} */
     SUM: {
         symbols: ['SUM'],
         params: {
             spread: true,
             name: 'numbers',
-            validator: (v) => is(v).instanceOf(Array, 'number', 'boolean', null),
+            validator: DECIMALS_VALIDATOR,
         },
+        decimal: (d, ...values) => sumOf(d, numbersOf(values)),
         func: (...values) => {
             return values.flat(RECURSION_DEPTH).reduce((pv, cv) => {
                 if (isNaN(cv) === false && is(cv).instanceOf('number', 'boolean')) { //match google sheets, only sum numbers.
@@ -255,6 +2075,80 @@ const funcs = {
         }
     },
     /** @type {CalKuFunction} */
+    SUMIF: {
+        symbols: ['SUMIF'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'criteria', validator: CRITERIA_VALIDATOR },
+            { name: 'path', optional: true, validator: PATH_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, criteria, path) => clean(sumOf(d, numbersOf(matchesOf(ctx, items, [criteria], path)))),
+        func: (ctx, items, criteria, path) => clean(numbersOf(matchesOf(ctx, items, [criteria], path)).reduce((pv, cv) => pv + cv, 0))
+    },
+    /** @type {CalKuFunction} */
+    SUMIFS: {
+        symbols: ['SUMIFS'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR },
+            { name: 'path', validator: PATH_VALIDATOR },
+            { name: 'criteria', spread: true, validator: CRITERIA_VALIDATOR }
+        ],
+        context: true,
+        decimal: (d, ctx, items, path, ...criteria) => clean(sumOf(d, numbersOf(matchesOf(ctx, items, criteria, path)))),
+        func: (ctx, items, path, ...criteria) => clean(numbersOf(matchesOf(ctx, items, criteria, path)).reduce((pv, cv) => pv + cv, 0))
+    },
+    /** @type {CalKuFunction} */
+    SWITCH: {
+        symbols: ['SWITCH'],
+        params: [
+            {
+                name: 'value',
+                validator: (v) => is(v).anything()
+            },
+            {
+                spread: true,
+                lazy: true,
+                name: 'casesAndValues',
+                validator: (v) => is(v).anything()
+            }
+        ],
+        context: true,
+        func: (ctx, value, ...args) => {
+            for (let i = 0; i < args.length - 1; i += 2) {
+                if (equals(value, args[i](), ctx.comparison)) {
+                    return args[i + 1]();
+                }
+            }
+            return (args.length % 2 ? args[args.length - 1]() : null); //an unpaired last argument is the default.
+        }
+    },
+    /** @type {CalKuFunction} */
+    TAN: {
+        symbols: ['TAN'],
+        params: [
+            { name: 'radians', validator: NUMBER_VALIDATOR }
+        ],
+        func: (v) => Math.tan(v)
+    },
+    /** @type {CalKuFunction} */
+    TEXT: {
+        symbols: ['TEXT'],
+        params: [
+            VALUES_VALIDATOR,
+        ],
+        func: (v) => {
+            if (v == null) {
+                return null;
+            } else if (v instanceof Date) {
+                return v.toISOString();
+            } else if (typeof v === 'object') {
+                return JSON.stringify(v);
+            }
+            return v.toString();
+        }
+    },
+    /** @type {CalKuFunction} */
     TEXTJOIN: {
         symbols: ['TEXTJOIN'],
         params: [
@@ -275,6 +2169,30 @@ const funcs = {
         }
     },
     /** @type {CalKuFunction} */
+    TODAY: {
+        symbols: ['TODAY'],
+        context: true,
+        func: (ctx) => dates.startOf(new Date(), 'day', ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    TOZONE: {
+        symbols: ['TOZONE'],
+        params: [
+            { name: 'date', validator: DATE_VALIDATOR },
+            { name: 'zone', validator: ZONE_VALIDATOR }
+        ],
+        context: true,
+        func: (ctx, date, zone) => dates.toZone(date, zone, ctx.timeZone)
+    },
+    /** @type {CalKuFunction} */
+    TRIM: {
+        symbols: ['TRIM'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
+        func: (v) => textOf(v).trim().replace(/ {2,}/g, ' ')
+    },
+    /** @type {CalKuFunction} */
     TRUNCATE: {
         symbols: ['TRUNCATE'],
         params: [
@@ -282,32 +2200,144 @@ const funcs = {
         ],
         func: (v) => Math.trunc(v)
     },
+    /** @type {CalKuFunction} */
+    TYPEOF: {
+        symbols: ['TYPEOF'],
+        params: 1,
+        func: (v) => {
+            if (v == null) {
+                return 'null';
+            } else if (v instanceof Date) {
+                return 'date';
+            } else if (v instanceof RegExp) {
+                return 'regexp';
+            } else if (Array.isArray(v)) {
+                return 'array';
+            } else if (typeof v === 'function') {
+                return 'lambda';
+            }
+            return typeof v;
+        }
+    },
+    /** @type {CalKuFunction} */
+    UNION: {
+        symbols: ['UNION'],
+        params: {
+            spread: true,
+            name: 'items',
+            validator: ITEMS_VALIDATOR
+        },
+        func: (...arrays) => {
+            let found = valueSetOf();
+            return arrays.map(a => a ?? []).flat(RECURSION_DEPTH).filter(v => found.add(v));
+        }
+    },
+    /** @type {CalKuFunction} */
+    UNIQUE: {
+        symbols: ['UNIQUE'],
+        params: [
+            { name: 'items', validator: ITEMS_VALIDATOR }
+        ],
+        func: (items) => {
+            let found = valueSetOf();
+            return (items ?? []).flat(RECURSION_DEPTH).filter(v => found.add(v));
+        }
+    },
+    /** @type {CalKuFunction} */
+    UPPER: {
+        symbols: ['UPPER'],
+        params: [
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
+        func: (v) => textOf(v).toUpperCase()
+    },
+    /** @type {CalKuFunction} */
+    VAR: {
+        symbols: ['VAR'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => exactVarianceOf(d, values, true, false),
+        func: (...values) => varianceOf(values, true)
+    },
+    /** @type {CalKuFunction} */
+    VARP: {
+        symbols: ['VARP'],
+        params: {
+            spread: true,
+            name: 'numbers',
+            validator: DECIMALS_VALIDATOR,
+        },
+        decimal: (d, ...values) => exactVarianceOf(d, values, false, false),
+        func: (...values) => varianceOf(values, false)
+    },
+    /** @type {CalKuFunction} */
+    WEEKDAY: {
+        symbols: ['WEEKDAY'],
+        params: [DATE_VALIDATOR],
+        context: true,
+        func: (ctx, date) => dates.partsOf(date, ctx.timeZone).weekday + 1 //1 (Sunday) to 7 (Saturday), as spreadsheets.
+    },
+    /** @type {CalKuFunction} */
+    XOR: {
+        symbols: ['XOR'],
+        params: {
+            spread: true,
+            name: 'values',
+            validator: (v) => is(v).anything()
+        },
+        func: (...values) => values.flat(RECURSION_DEPTH).filter(x => !!x).length % 2 === 1
+    },
+    /** @type {CalKuFunction} */
+    YEAR: {
+        symbols: ['YEAR'],
+        params: [DATE_VALIDATOR],
+        context: true,
+        func: (ctx, date) => dates.partsOf(date, ctx.timeZone).year
+    },
+    /** @type {CalKuFunction} */
+    ZIP: {
+        symbols: ['ZIP'],
+        params: {
+            spread: true,
+            name: 'items',
+            validator: ITEMS_VALIDATOR
+        },
+        func: (...arrays) => {
+            let length = Math.min(...arrays.map(a => (a ?? []).length));
+            return Array.from({ length }, (v, i) => arrays.map(a => a[i]));
+        }
+    },
 
     /**
-     * Validates a given array of argument values for a specified func(tion). Optionally throws an error instead of 
-     * returning a boolean result.
+     * Returns the validator of each argument of a func(tion), given the number of arguments. The func's parameter
+     * definition and the number of arguments are checked once here, so compiled expressions validate the arguments
+     * of each evaluation without re-reading the definition. Arguments of `lazy` parameters have no validator (`null`),
+     * as they are validated when resolved.
      * @param {String | CalKuFunction} func - The key or instance of a CalKu function.
-     * @param {Array} args - Array of arguments to be validated.
-     * @param {Boolean} [throwError] - Optionally, if `true` throw an error if validation fails.
-     * Errors caused by an invalid func definition do not use this argument and will still be thrown.
-     * @returns {Boolean}
+     * @param {Number} count - The number of arguments.
+     * @throws CalKuError when the func is unknown or has an invalid parameter definition.
+     * @throws CalKuError when the number of arguments is invalid, with the `ArgCount` code.
+     * @returns {Array.<function(*, Boolean): Boolean>} Each validator returns whether the argument value is valid, or,
+     * if its second argument is `true`, throws an error with the `func` key and `argIndex` when it is not.
      */
-    argsValid(func, args, throwError) {
+    validatorsOf(func, count) {
+        let key = null;
         if (typeof func === 'string') {
+            key = func;
             func = this[func];
         }
         if (!func || !func.symbols) {
-            throw new Error('Argument "func" must be a valid function key or CalKu function object.');
+            throw new CalKuError('Argument "func" must be a valid function key or CalKu function object.', { code: ErrorCode.UnknownFunction, func: key });
         }
         //validate
         if (
-            (typeof func.params === 'number' && func.params != args.length)
-            || ((typeof func.params === 'undefined' || func.params === false) && args.length > 0)
+            (typeof func.params === 'number' && func.params != count)
+            || ((typeof func.params === 'undefined' || func.params === false) && count > 0)
         ) {
-            if (throwError) {
-                throw new Error(`Invalid number of arguments. Expected ${func?.params?.length ?? 0} but found ${args.length}.`);
-            }
-            return false;
+            throw new CalKuError(`Invalid number of arguments. Expected ${func?.params?.length ?? 0} but found ${count}.`, { code: ErrorCode.ArgCount, func: key ?? keyOf(this, func) });
         } else if (func.params && (Array.isArray(func.params) || func.params.validator)) {
             let arr = func.params;
             if (func.params && typeof func.params.validator === 'function') {
@@ -318,47 +2348,83 @@ const funcs = {
             if (hasSpreadParam) {
                 //check spread param usage is valid.
                 if (arr.reduce((pv, cv, ci) => pv + (arr[ci].spread === true ? 1 : 0), 0) > 1) {
-                    throw new Error('Invalid function parameter definition: Found multiple spread arguments, and only one is allowed.');
+                    throw new CalKuError('Invalid function parameter definition: Found multiple spread arguments, and only one is allowed.', { code: ErrorCode.InvalidDefinition, func: key ?? keyOf(this, func) });
                 } else if (!arr[arr.length - 1].spread) {
-                    throw new Error('Invalid function parameter definition: A spread is only allowed on the last parameter.');
-                } else if (args.length <= arr.length - 1) {
-                    if (throwError) {
-                        throw new Error(`Invalid number of arguments. Expected at least ${arr.length} but found ${args.length}.`);
-                    }
-                    return false;
+                    throw new CalKuError('Invalid function parameter definition: A spread is only allowed on the last parameter.', { code: ErrorCode.InvalidDefinition, func: key ?? keyOf(this, func) });
                 }
-            } else if (arr.length != args.length) { //no spread, so param & arg length must match.
-                if (throwError) {
-                    throw new Error(`Invalid number of arguments. Expected ${arr.length} but found ${args.length}.`);
+            }
+            let minArgs = arr.findIndex(v => v.optional === true);
+            if (minArgs < 0) {
+                minArgs = arr.length;
+            } else if (arr.some((v, i) => i > minArgs && v.optional !== true)) {
+                throw new CalKuError('Invalid function parameter definition: A required parameter is not allowed after an optional one.', { code: ErrorCode.InvalidDefinition, func: key ?? keyOf(this, func) });
+            }
+            let maxArgs = (hasSpreadParam ? Infinity : arr.length);
+            if (count < minArgs || count > maxArgs) {
+                let expected = `${minArgs}`;
+                if (maxArgs === Infinity) {
+                    expected = `at least ${minArgs}`;
+                } else if (minArgs !== maxArgs) {
+                    expected = `between ${minArgs} and ${maxArgs}`;
                 }
-                return false;
+                throw new CalKuError(`Invalid number of arguments. Expected ${expected} but found ${count}.`, { code: ErrorCode.ArgCount, func: key ?? keyOf(this, func) });
             }
-            //walk all arguments and validate
-            for (let i = 0; i < args.length; i++) {
-                let param = null;
-                let paramType = null;
+            return Array.from({ length: count }, (v, i) => {
+                //param and arg index should align (unless on a final spread, which uses the last parameter)
+                let param = arr[Math.min(i, arr.length - 1)];
+                let paramType = typeof param;
                 let validatorFunc = null;
-                if (i >= arr.length) {
-                    param = arr[arr.length - 1]; //use the last parameter as we appear to be going into a spread
-                } else {
-                    param = arr[i]; //param and arg index should align (unless on a final spread)
-                }
-                paramType = typeof param;
                 if (paramType === 'function') {
                     validatorFunc = param;
                 } else if (paramType === 'object' && typeof param.validator === 'function') {
                     validatorFunc = param.validator;
                 } else {
-                    throw new Error(`Invalid function parameter definition: A parameter validator used for the argument at index ${i} appears to be invalid.`);
+                    throw new CalKuError(`Invalid function parameter definition: A parameter validator used for the argument at index ${i} appears to be invalid.`, { code: ErrorCode.InvalidDefinition, func: key ?? keyOf(this, func), argIndex: i });
                 }
-                if (throwError) {
-                    validatorFunc(args[i]).throw(`Function with symbol(s) "${func.symbols.join(', ')}" failed validating argument at index ${i}.`, true);
-                } else if (validatorFunc(args[i]).valid() === false) {
-                    return false;
+                if (param.lazy) {
+                    return null; //lazy arguments are validated when resolved.
                 }
+                return (value, throwError) => {
+                    let result = validatorFunc(value);
+                    if (result.valid() === false) {
+                        if (throwError) {
+                            throw new CalKuError(
+                                result.message(`Function with symbol(s) "${func.symbols.join(', ')}" failed validating argument at index ${i}.`, true),
+                                { code: ErrorCode.ArgType, func: key ?? keyOf(this, func), argIndex: i }
+                            );
+                        }
+                        return false;
+                    }
+                    return true;
+                };
+            });
+        }
+        return new Array(count).fill(null);
+    },
+
+    /**
+     * Validates a given array of argument values for a specified func(tion). Optionally throws an error instead of 
+     * returning a boolean result. Arguments of `lazy` parameters are not validated, as they are validated when resolved.
+     * @param {String | CalKuFunction} func - The key or instance of a CalKu function.
+     * @param {Array} args - Array of arguments to be validated.
+     * @param {Boolean} [throwError] - Optionally, if `true` throw an error if validation fails.
+     * Errors caused by an invalid func definition do not use this argument and will still be thrown.
+     * @throws CalKuError when the func is unknown or has an invalid parameter definition.
+     * @throws CalKuError when validation fails and `throwError` is `true`. The error has the `func` key and, if an
+     * argument failed validation, the `argIndex`.
+     * @returns {Boolean}
+     */
+    argsValid(func, args, throwError) {
+        let validators = null;
+        try {
+            validators = this.validatorsOf(func, args.length);
+        } catch (err) {
+            if (throwError || err.code !== ErrorCode.ArgCount) {
+                throw err;
             }
+            return false;
         }
-        return true;
+        return validators.every((validate, i) => !validate || validate(args[i], throwError));
     },
 
     /**
@@ -366,7 +2432,7 @@ const funcs = {
      * You should call this method if you modify the funcs object (e.g. if you added, changed, or removed ops).
      */
     recycle() {
-        _cache = {};
+        _generation++;
     },
 
     /**
@@ -377,8 +2443,9 @@ const funcs = {
      * @returns {Map.<String, RegExp>}
      */
     toRegExp(...types) {
-        if (_cache.regexp) {
-            return _cache.regexp;
+        let cache = cacheOf(this);
+        if (cache.regexp) {
+            return cache.regexp;
         }
         let r = new Map();
         for (let o in this) {
@@ -391,7 +2458,7 @@ const funcs = {
                 );
             }
         }
-        _cache.regexp = r;
+        cache.regexp = r;
         return r;
     }
 };
@@ -1,5 +1,6 @@
 import jest from 'jest-mock';
 import funcs from './funcs.js';
+import { ErrorCode } from './error.js';
 import is from './is.js';
 import utilities from './test/utilities.js';
 
@@ -32,6 +33,20 @@ describe('#toRegExp', () => {
 });
 
 describe('#argsValid', () => {
+    it('throws a CalKuError with a code, the func key, and the argument index.', () => {
+        let err = null;
+        try {
+            funcs.argsValid(funcs.LEFT, ['abc', 'x'], true);
+        } catch (e) {
+            err = e;
+        }
+        expect(err.name).toBe('CalKuError');
+        expect(err.code).toBe(ErrorCode.ArgType);
+        expect(err.func).toBe('LEFT');
+        expect(err.argIndex).toBe(1);
+        expect(() => funcs.argsValid('LEFT', ['abc'], true)).toThrow(expect.objectContaining({ code: ErrorCode.ArgCount, func: 'LEFT', argIndex: null }));
+        expect(() => funcs.argsValid('TACO', [], true)).toThrow(expect.objectContaining({ code: ErrorCode.UnknownFunction, func: 'TACO' }));
+    });
     it('throws when the func argument is invalid object.', () => {
         expect(() => funcs.argsValid(null, [], false)).toThrow();
         expect(() => funcs.argsValid('hello', [], false)).toThrow();
@@ -102,6 +117,34 @@ describe('#argsValid', () => {
         expect(() => funcs.argsValid('TEXTJOIN', [','], true)).toThrow();
         expect(() => funcs.argsValid('TEXTJOIN', [',', true], true)).toThrow();
     });
+    it('allows optional parameters to be omitted.', () => {
+        let sample = {
+            symbols: ['TEST'],
+            params: [
+                (v) => is(v).string().required(),
+                { optional: true, validator: (v) => is(v).integer().required() },
+                { optional: true, spread: true, validator: (v) => is(v).boolean().required() }
+            ],
+            func: () => true
+        };
+        expect(funcs.argsValid(sample, ['a'], false)).toBe(true);
+        expect(funcs.argsValid(sample, ['a', 1], false)).toBe(true);
+        expect(funcs.argsValid(sample, ['a', 1, true, false], false)).toBe(true);
+        expect(funcs.argsValid(sample, ['a', 'b'], false)).toBe(false);
+        expect(() => funcs.argsValid(sample, [], true)).toThrow(/Expected at least 1 but found 0/);
+        expect(() => funcs.argsValid('NETWORKDAYS', [new Date()], true)).toThrow(/Expected between 2 and 3 but found 1/);
+    });
+    it('throws when a required parameter follows an optional one.', () => {
+        let sample = {
+            symbols: ['TEST'],
+            params: [
+                { optional: true, validator: (v) => is(v).anything() },
+                (v) => is(v).anything()
+            ],
+            func: () => true
+        };
+        expect(() => funcs.argsValid(sample, [1, 2], false)).toThrow(expect.objectContaining({ code: ErrorCode.InvalidDefinition }));
+    });
     it('checks the number of arguments are valid.', () => {
         let samples = [
             {
@@ -168,6 +211,36 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.AND,
+            samples: [
+                [true, 1, 'x', true],
+                [true, [1, [true]], true],
+                [true, [1, 0], false],
+                [null, true, false],
+                [[], true]
+            ]
+        },
+        {
+            func: funcs.ARRAYLEN,
+            samples: [
+                [[1, [2, 3], null], 3],
+                [[], 0],
+                [null, 0],
+                ['abc', Error]
+            ]
+        },
+        {
+            func: funcs.ATAN2,
+            samples: [
+                [1, 1, Math.PI / 4],
+                [-1, 0, Math.PI],
+                [0, 1, Math.PI / 2],
+                [null, null, 0],
+                ['1', 1, Error],
+                [1, Error]
+            ]
+        },
         {
             func: funcs.AVERAGE,
             samples: [
@@ -189,6 +262,43 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.AVERAGEIF,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} >= 1', 'qty', 3],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} > 100', 'qty', null],
+                [[1, 2, 3, 6], 'true', 3],
+                [null, 'true', null],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '', Error],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 5, Error]
+            ]
+        },
+        {
+            func: funcs.AVERAGEIFS,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'price', '{qty} > 0', '{price} > 1', 6.25],
+                [[2, 4], null, 'true', 3],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'price', Error]
+            ]
+        },
+        {
+            func: funcs.BOOLEAN,
+            samples: [
+                [true, true],
+                [false, false],
+                ['TRUE', true],
+                [' false ', false],
+                ['1', true],
+                ['0', false],
+                [0, false],
+                [-2.5, true],
+                ['', null],
+                [null, null],
+                ['yes', Error],
+                [new Date(), Error],
+                [Error]
+            ]
+        },
         {
             func: funcs.CEIL,
             samples: [
@@ -209,6 +319,57 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.CHAR,
+            samples: [
+                [65, 'A'],
+                [128512, '😀'],
+                [0x10FFFF + 1, Error],
+                [-1, Error],
+                [1.5, Error],
+                [null, Error],
+                ['A', Error]
+            ]
+        },
+        {
+            func: funcs.COALESCE,
+            samples: [
+                [null, undefined, 0, 1, 0],
+                [null, '', 'x', ''],
+                [null, null],
+                [[], 1, []]
+            ]
+        },
+        {
+            func: funcs.CODE,
+            samples: [
+                ['A', 65],
+                [' ', 32],
+                ['abc', 97],
+                ['😀', 128512],
+                [5, 53],
+                ['', Error],
+                [null, Error]
+            ]
+        },
+        {
+            func: funcs.CONCAT,
+            samples: [
+                [[1, 2], 3, [4, [5]], [1, 2, 3, 4, [5]]],
+                [null, [], [null]],
+                [{ a: 1 }, [{ a: 1 }]],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.COS,
+            samples: [
+                [0, 1],
+                [Math.PI, -1],
+                [null, 1],
+                ['0', Error]
+            ]
+        },
         {
             func: funcs.COUNT,
             samples: [
@@ -229,6 +390,237 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.COUNTA,
+            samples: [
+                [1, '', null, [true, [null, 'x']], 4],
+                [[], 0],
+                [null, 0],
+                [[{ a: 1 }, new Date()], 2],
+                [0, false, 2]
+            ]
+        },
+        {
+            func: funcs.COUNTBLANK,
+            samples: [
+                [1, '', null, [true, [null, 'x']], 3],
+                [[], 0],
+                [null, 1],
+                [' ', 0, false, 0]
+            ]
+        },
+        {
+            func: funcs.COUNTIF,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{price} < 1', 1],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{sku} startswith "A"', 2],
+                [[], 'true', 0],
+                [null, 'true', 0],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], null, Error],
+                ['abc', 'true', Error]
+            ]
+        },
+        {
+            func: funcs.COUNTIFS,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} > 0', '{price} > 1', 2],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'true', 'false', 0],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], Error]
+            ]
+        },
+        {
+            func: funcs.CURRENCY,
+            samples: [
+                [1234.5, '$1,234.50'],
+                [1234.5, 'eur', '€1,234.50'],
+                [1234.5, 'JPY', '¥1,235'],
+                [-1234.567, 'USD', 1, '-$1,234.6'],
+                [null, '$0.00'],
+                [1, 'US', Error],
+                [1, null, Error],
+                ['1', Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.DATE,
+            samples: [
+                ['2024-03-09', new Date('2024-03-09T00:00:00Z')],
+                ['2024-03-09T14:30:00', new Date('2024-03-09T14:30:00Z')],
+                ['2024-03-09T14:30:00-05:00', new Date('2024-03-09T19:30:00Z')],
+                [' 3/9/2024 2:30 PM ', new Date('2024-03-09T14:30:00Z')],
+                [1709994600000, new Date('2024-03-09T14:30:00Z')],
+                [new Date('2024-03-09T14:30:00Z'), new Date('2024-03-09T14:30:00Z')],
+                ['', null],
+                [null, null],
+                ['2024-13-45', Error],
+                ['March 9th', Error],
+                [Infinity, Error],
+                [true, Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.DATEADD,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 1, 'month', new Date('2024-02-29T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), -2, 'Days', new Date('2024-01-29T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 1, 'quarter', new Date('2024-04-30T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 3, 'hours', new Date('2024-01-31T16:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 1, 'week', new Date('2024-02-07T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 1.5, 'day', Error],
+                [new Date('2024-01-31T13:45:30Z'), 1, 'fortnight', Error],
+                [null, 1, 'day', Error],
+                ['2024-01-31', 1, 'day', Error],
+                [new Date('2024-01-31T13:45:30Z'), 1, Error]
+            ]
+        },
+        {
+            func: funcs.DATEDIFF,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-02-29T13:45:29Z'), 'months', 0],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-02-29T13:45:30Z'), 'months', 1],
+                [new Date('2023-06-15T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), 'years', 0],
+                [new Date('2022-06-15T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), 'year', 1],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-01-01T00:00:00Z'), 'days', -30],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-01-31T14:00:00Z'), 'minute', 14],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-03-01T00:00:00Z'), 'weeks', 4],
+                [new Date('2024-01-31T13:45:30Z'), null, 'day', Error],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-01-31T13:45:30Z'), 'eons', Error]
+            ]
+        },
+        {
+            func: funcs.DAY,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 31],
+                [null, Error],
+                ['2024-01-31', Error],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-01-31T13:45:30Z'), Error]
+            ]
+        },
+        {
+            func: funcs.DEGREES,
+            samples: [
+                [Math.PI, 180],
+                [-Math.PI / 2, -90],
+                [null, 0],
+                ['1', Error]
+            ]
+        },
+        {
+            func: funcs.DIFFERENCE,
+            samples: [
+                [[1, 2, 2, [3, 4]], [2, 4], [1, 3]],
+                [[new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z')], [new Date('2024-01-01T00:00:00Z')], [new Date('2024-01-02T00:00:00Z')]],
+                [[{ a: 1 }, { a: 2 }], [{ a: 1 }], [{ a: 2 }]],
+                [null, [1], []],
+                [[1], 1, Error]
+            ]
+        },
+        {
+            func: funcs.DOLLAR,
+            samples: [
+                [1234.5, '$1,234.50'],
+                [1234.567, 0, '$1,235'],
+                [-1234.5, -2, '-$1,200'],
+                [true, '$1.00'],
+                [1, 1.5, Error],
+                ['1', Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.ENDOF,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 'day', new Date('2024-01-31T23:59:59.999Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'month', new Date('2024-01-31T23:59:59.999Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'week', new Date('2024-02-03T23:59:59.999Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'year', new Date('2024-12-31T23:59:59.999Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'hour', new Date('2024-01-31T13:59:59.999Z')],
+                [new Date('2024-01-31T13:45:30Z'), null, Error]
+            ]
+        },
+        {
+            func: funcs.EOMONTH,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 0, new Date('2024-01-31T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 1, new Date('2024-02-29T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), -2, new Date('2023-11-30T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 13, new Date('2025-02-28T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 0.5, Error],
+                [null, 0, Error]
+            ]
+        },
+        {
+            func: funcs.EVERY,
+            samples: [
+                [[1, 2, 3], (x) => x > 0, true],
+                [[1, 2, 3], (x) => x > 1, false],
+                [[1, 2, 3], (x) => 1, false],
+                [null, (x) => false, true],
+                [[1, 2, 3], null, Error]
+            ]
+        },
+        {
+            func: funcs.EXP,
+            samples: [
+                [0, 1],
+                [1, Math.E],
+                [null, 1],
+                ['1', Error]
+            ]
+        },
+        {
+            func: funcs.FILTER,
+            samples: [
+                [[1, 2, 3, 4], (x) => x % 2 === 0, [2, 4]],
+                [['a', 'b', 'c'], (x, i) => i > 0, ['b', 'c']],
+                [null, (x) => true, []],
+                [[1, 2], 'x', Error]
+            ]
+        },
+        {
+            func: funcs.FIND,
+            samples: [
+                [[{ id: 1 }, { id: 2 }, { id: 3 }], (x) => x.id > 1, { id: 2 }],
+                [[1, 2, 3], (x) => x > 5, null],
+                [null, (x) => true, null],
+                ['abc', (x) => true, Error]
+            ]
+        },
+        {
+            func: funcs.FIRST,
+            samples: [
+                [[[1, 2], 3], [1, 2]],
+                [[], null],
+                [null, null],
+                ['abc', Error]
+            ]
+        },
+        {
+            func: funcs.FIXED,
+            samples: [
+                [1234.567, '1,234.57'],
+                [1234.567, 1, '1,234.6'],
+                [1234.567, 1, true, '1234.6'],
+                [1234.567, -2, '1,200'],
+                [1.005, 2, '1.01'],
+                [-0.5, 0, '-1'],
+                [null, '0.00'],
+                [1, 2, 'yes', Error],
+                [new Date(), Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.FLATTEN,
+            samples: [
+                [[1, [2, [3]]], 4, [1, 2, 3, 4]],
+                [[1, [2, [3, [4, [5]]]]], [1, 2, 3, [4, [5]]]],
+                [[], []],
+                [Error]
+            ]
+        },
         {
             func: funcs.FLOOR,
             samples: [
@@ -249,6 +641,51 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.FORMAT,
+            samples: [
+                [1234.5, '#,##0.00', '1,234.50'],
+                [-1234.5, '#,##0.00;(#,##0.00)', '(1,234.50)'],
+                [0.285, '0.0%', '28.5%'],
+                [new Date('2024-03-09T14:05:07Z'), 'yyyy-MM-dd HH:mm', '2024-03-09 14:05'],
+                [null, '0.00', '0.00'],
+                [1, null, Error],
+                ['1', '0', Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.FORMATDATE,
+            samples: [
+                [new Date('2024-03-09T14:05:07Z'), 'MMM d, yyyy h:mm AM/PM', 'Mar 9, 2024 2:05 PM'],
+                [new Date('2024-03-09T14:05:07Z'), 'full', 'Saturday, March 9, 2024'],
+                [new Date('2024-03-09T14:05:07Z'), '', Error],
+                [null, 'yyyy', Error],
+                [new Date(), 5, Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.FROMZONE,
+            samples: [
+                [new Date('2024-01-31T07:45:30Z'), 'America/Chicago', new Date('2024-01-31T13:45:30Z')],
+                [new Date('2024-07-31T08:45:30Z'), 'America/Chicago', new Date('2024-07-31T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'UTC', new Date('2024-01-31T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'Mars/Olympus_Mons', Error],
+                [new Date('2024-01-31T13:45:30Z'), null, Error],
+                [null, 'UTC', Error]
+            ]
+        },
+        {
+            func: funcs.GROUPBY,
+            samples: [
+                [[1, 2, 3, 4, 5], (x) => (x % 2 ? 'odd' : 'even'), { odd: [1, 3, 5], even: [2, 4] }],
+                [[{ at: new Date('2024-01-01T00:00:00Z') }, { at: null }], (x) => x.at, { '2024-01-01T00:00:00.000Z': [{ at: new Date('2024-01-01T00:00:00Z') }], 'null': [{ at: null }] }],
+                [[1, 2], () => '__proto__', { ['__proto__']: [1, 2] }],
+                [null, (x) => x, {}],
+                [[1, 2], 5, Error]
+            ]
+        },
         {
             func: funcs.HELLOWORLD,
             samples: [
@@ -270,6 +707,14 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.HOUR,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 13],
+                [null, Error],
+                [123, Error]
+            ]
+        },
         {
             func: funcs.IF,
             samples: [
@@ -292,6 +737,81 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.IFERROR,
+            samples: [
+                [1, 2, 1],
+                [null, 2, null]
+            ]
+        },
+        {
+            func: funcs.IFNULL,
+            samples: [
+                [null, 2, 2],
+                [undefined, 'x', 'x'],
+                [0, 2, 0],
+                [false, true, false]
+            ]
+        },
+        {
+            func: funcs.IFS,
+            samples: [
+                [false, 'a', true, 'b', 'c', 'b'],
+                [false, 'a', false, 'b', 'c', 'c'],
+                [false, 'a', null],
+                [true, 'a', 'a'],
+                [1, 'a', Error]
+            ]
+        },
+        {
+            func: funcs.INDEX,
+            samples: [
+                [['a', 'b', 'c'], 1, 'b'],
+                [['a', 'b', 'c'], -1, 'c'],
+                [['a', 'b', 'c'], 3, null],
+                [null, 0, null],
+                [['a'], 0.5, Error]
+            ]
+        },
+        {
+            func: funcs.INDEXOF,
+            samples: [
+                ['hello', 'l', 2],
+                ['hello', 'l', 3, 3],
+                ['hello', 'L', -1],
+                ['hello', '', 0],
+                [12345, 3, 2],
+                [null, 'a', -1],
+                ['hello', 'l', 1.5, Error],
+                ['hello', Error],
+                ['hello', ['l'], Error]
+            ]
+        },
+        {
+            func: funcs.INT,
+            samples: [
+                ['12.7', 12],
+                [' -12.7 ', -12],
+                ['1e3', 1000],
+                [9.99, 9],
+                [true, 1],
+                ['', null],
+                [null, null],
+                ['12 apples', Error],
+                [new Date(), Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.INTERSECT,
+            samples: [
+                [[3, 1, 2, 3, [4]], [4, 3, 2], [3, 2, 4]],
+                [[[1, 2], [3]], [[[1, 2]]], [1, 2]],
+                [['1', 1], [1], [1]],
+                [[1, 2], null, []],
+                ['abc', [1], Error]
+            ]
+        },
         {
             func: funcs.ISARRAY,
             samples: [
@@ -460,6 +980,41 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, true]
             ]
         },
+        {
+            func: funcs.JSON,
+            samples: [
+                ['{"a": 1, "b": [true, null]}', { a: 1, b: [true, null] }],
+                ['[1, "2"]', [1, '2']],
+                ['"text"', 'text'],
+                ['3.5', 3.5],
+                [' ', null],
+                [null, null],
+                ['{a: 1}', Error],
+                [5, Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.LARGE,
+            samples: [
+                [[3, 1, 2], 1, 3],
+                [[3, 1, 2], 3, 1],
+                [[3, 1, [5, null]], 1, 5],
+                [[3, 1, 2], 4, null],
+                [[3, 1, 2], 0, Error],
+                [[3, 1, 2], 1.5, Error],
+                [['3'], 1, Error]
+            ]
+        },
+        {
+            func: funcs.LAST,
+            samples: [
+                [[1, 2, [3]], [3]],
+                [[], null],
+                [null, null],
+                [1, Error]
+            ]
+        },
         {
             func: funcs.LEFT,
             samples: [
@@ -504,55 +1059,644 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
             ]
         },
         {
-            func: funcs.MID,
+            func: funcs.LN,
             samples: [
-                [true, 1, 0, Error],
-                [false, 1, 1, Error],
-                [null, 0, 1, ''],
-                ['', 1, 1, ''],
-                [123, 1, 2, '23'],
-                [-14214, 1, 3, '142'],
-                [1.2554, 2, 2, '25'],
-                [-1.2554, 1000, 11, ''],
-                [1, 2, 3, ''],
-                [1, 2.5, -1.5, Error],
-                [3, [4, 5], 6, Error],
-                [3, [4, 5, [true, 2.4]], 6, Error],
-                ['hello', 0, 5, 'hello'],
-                [new Date('2000-01-01'), 100, Error],
-                [[1, true, 'hi'], 3, Error],
-                [{ lit: 'eral' }, 1, Error]
+                [1, 0],
+                [Math.E, 1],
+                [0, -Infinity],
+                [-1, NaN],
+                ['1', Error]
             ]
         },
         {
-            func: funcs.RIGHT,
+            func: funcs.LOG,
             samples: [
-                [true, 1, Error],
-                [false, 1, Error],
-                [null, 0, ''],
-                ['', 1, ''],
-                [123, 2, '23'],
-                [-14214, 3, '214'],
-                [1.2554, 2, '54'],
-                [-1.2554, 1000, '-1.2554'],
-                [1, 2, 3, Error],
-                [1, 2.5, -1.5, Error],
-                [3, [4, 5], 6, Error],
-                [3, [4, 5, [true, 2.4]], 6, Error],
-                ['hello', 5, 'hello'],
-                [new Date('2000-01-01'), 100, Error],
-                [[1, true, 'hi'], 3, Error],
-                [{ lit: 'eral' }, 1, Error]
+                [100, 2],
+                [8, 2, 3],
+                [1000, 10, 3],
+                [1, 2, 0],
+                [8, null, Error],
+                ['8', Error]
             ]
         },
         {
-            func: funcs.SQRT,
+            func: funcs.LOG10,
             samples: [
-                [true, 1],
-                [false, 0],
-                [null, 0],
-                ['', Error],
-                [123, 11.090536506],
+                [1000, 3],
+                [1, 0],
+                [0.01, -2],
+                ['10', Error]
+            ]
+        },
+        {
+            func: funcs.LOWER,
+            samples: [
+                ['HeLLo', 'hello'],
+                [null, ''],
+                [123, '123'],
+                [true, Error],
+                [['A'], Error]
+            ]
+        },
+        {
+            func: funcs.MAP,
+            samples: [
+                [[1, 2, 3], (x) => x * 2, [2, 4, 6]],
+                [['a', 'b'], (x, i) => x + i, ['a0', 'b1']],
+                [null, (x) => x, []],
+                [[1, 2], undefined, Error]
+            ]
+        },
+        {
+            func: funcs.MATCH,
+            samples: [
+                [['a', 'b', 'b'], 'b', 1],
+                [[1, [2, 3], 4], [2, 3], 1],
+                [[new Date('2024-01-01T00:00:00Z')], new Date('2024-01-01T00:00:00Z'), 0],
+                [[1, 2], '2', -1],
+                [null, 1, -1],
+                ['ab', 'a', Error]
+            ]
+        },
+        {
+            func: funcs.MAX,
+            samples: [
+                [[], 0],
+                [3, 1, 2, 3],
+                [-3, -1, -2, -1],
+                [[1, [5, [2]]], 4, 5],
+                [[-3, null], -3],
+                [[-3, true], 1],
+                [null, 0],
+                ['5', Error],
+                [[1, 'x'], Error]
+            ]
+        },
+        {
+            func: funcs.MAXIF,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} > 0', 'price', 10],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'false', 'price', 0],
+                [[-3, -1], 'true', -1]
+            ]
+        },
+        {
+            func: funcs.MAXIFS,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'price', '{qty} > 0', '{sku} != "B2"', 2.5],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'price', Error]
+            ]
+        },
+        {
+            func: funcs.MEDIAN,
+            samples: [
+                [[1, 3, 2, 4], 2.5],
+                [5, [1, null, 9], 5],
+                [[7], 7],
+                [[], null],
+                [['1'], Error]
+            ]
+        },
+        {
+            func: funcs.MID,
+            samples: [
+                [true, 1, 0, Error],
+                [false, 1, 1, Error],
+                [null, 0, 1, ''],
+                ['', 1, 1, ''],
+                [123, 1, 2, '23'],
+                [-14214, 1, 3, '142'],
+                [1.2554, 2, 2, '25'],
+                [-1.2554, 1000, 11, ''],
+                [1, 2, 3, ''],
+                [1, 2.5, -1.5, Error],
+                [3, [4, 5], 6, Error],
+                [3, [4, 5, [true, 2.4]], 6, Error],
+                ['hello', 0, 5, 'hello'],
+                [new Date('2000-01-01'), 100, Error],
+                [[1, true, 'hi'], 3, Error],
+                [{ lit: 'eral' }, 1, Error]
+            ]
+        },
+        {
+            func: funcs.MIN,
+            samples: [
+                [[], 0],
+                [3, 1, 2, 1],
+                [-3, -1, -2, -3],
+                [[1, [5, [-2]]], 4, -2],
+                [[3, null], 3],
+                [[3, false], 0],
+                [null, 0],
+                ['5', Error],
+                [[1, 'x'], Error]
+            ]
+        },
+        {
+            func: funcs.MINIF,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} > 0', 'price', 0.1],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'false', 'price', 0],
+                [[3, 1], 'true', 1]
+            ]
+        },
+        {
+            func: funcs.MINIFS,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'price', '{qty} > 0', '{sku} != "A3"', 2.5],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'price', Error]
+            ]
+        },
+        {
+            func: funcs.MINUTE,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 45],
+                [null, Error],
+                [123, Error]
+            ]
+        },
+        {
+            func: funcs.MODE,
+            samples: [
+                [[1, 2, 2, 3, 3], 2],
+                [[1, 3, 3, 2, 2, 2], 2],
+                [1, [4, [4]], 4],
+                [1, 2, 3, null],
+                [[], null],
+                ['a', Error]
+            ]
+        },
+        {
+            func: funcs.MONTH,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 1],
+                [new Date('2024-12-01T00:00:00Z'), 12],
+                [null, Error],
+                [123, Error]
+            ]
+        },
+        {
+            func: funcs.MROUND,
+            samples: [
+                [10, 3, 9],
+                [11, 3, 12],
+                [-10, -3, -9],
+                [1.3, 0.2, 1.4],
+                [0.15, 0.1, 0.2],
+                [7.5, 5, 10],
+                [5, 0, 0],
+                [null, 3, 0],
+                ['5', 3, Error],
+                [5, Error]
+            ]
+        },
+        {
+            func: funcs.NETWORKDAYS,
+            samples: [
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), 23],
+                [new Date('2024-01-31T13:45:30Z'), new Date('2024-01-01T00:00:00Z'), -23],
+                [new Date('2024-01-06T00:00:00Z'), new Date('2024-01-07T00:00:00Z'), 0],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), new Date('2024-01-15T00:00:00Z'), 22],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), [new Date('2024-01-15T00:00:00Z'), new Date('2024-01-13T00:00:00Z'), new Date('2024-03-01T00:00:00Z')], 22],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), null, 23],
+                [new Date('2024-01-01T00:00:00Z'), Error],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-31T13:45:30Z'), ['x'], Error]
+            ]
+        },
+        {
+            func: funcs.NOT,
+            samples: [
+                [true, false],
+                [0, true],
+                ['x', false],
+                [null, true]
+            ]
+        },
+        {
+            func: funcs.NUMBER,
+            samples: [
+                ['42', 42],
+                [' -1.5 ', -1.5],
+                ['.5', 0.5],
+                ['2e3', 2000],
+                [42, 42],
+                [true, 1],
+                [false, 0],
+                [new Date('2024-03-09T14:30:00Z'), 1709994600000],
+                ['', null],
+                [null, null],
+                ['1,234', Error],
+                ['abc', Error],
+                [[1], Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.OR,
+            samples: [
+                [false, 0, 'x', true],
+                [false, [0, [null, 1]], true],
+                [false, [], null, false],
+                ['', false]
+            ]
+        },
+        {
+            func: funcs.PADLEFT,
+            samples: [
+                ['7', 3, '  7'],
+                [7, 3, '0', '007'],
+                ['7', 3, ' ', '  7'],
+                ['abc', 2, 'abc'],
+                ['a', 5, 'xy', 'xyxya'],
+                [null, 2, '  '],
+                ['a', -1, Error],
+                ['a', 2, null, Error],
+                ['a', 1000001, Error]
+            ]
+        },
+        {
+            func: funcs.PADRIGHT,
+            samples: [
+                ['7', 3, '7  '],
+                [7, 3, '0', '700'],
+                ['abc', 2, 'abc'],
+                [null, 2, '  '],
+                ['a', 1.5, Error],
+                ['a', 2000000000, Error]
+            ]
+        },
+        {
+            func: funcs.PERCENT,
+            samples: [
+                [0.285, '29%'],
+                [0.28545, 2, '28.55%'],
+                [-1.5, '-150%'],
+                [12, '1,200%'],
+                [null, '0%'],
+                ['0.5', Error],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.PERCENTILE,
+            samples: [
+                [[1, 2, 3, 4], 0.3, 1.9],
+                [[1, 2, 3, 4], 0, 1],
+                [[1, 2, 3, 4], 1, 4],
+                [[4, 1, 3, 2], 0.5, 2.5],
+                [[], 0.5, null],
+                [[1, 2], 1.5, Error],
+                [[1, 2], null, Error]
+            ]
+        },
+        {
+            func: funcs.PI,
+            samples: [
+                [Math.PI],
+                [1, Error]
+            ]
+        },
+        {
+            func: funcs.POWER,
+            samples: [
+                [2, 10, 1024],
+                [4, 0.5, 2],
+                [2, -1, 0.5],
+                [null, 2, 0],
+                [true, 5, 1],
+                ['2', 2, Error],
+                [2, Error]
+            ]
+        },
+        {
+            func: funcs.PROPER,
+            samples: [
+                ['hello WORLD', 'Hello World'],
+                ['jean-luc o\'neil', 'Jean-Luc O\'Neil'],
+                ['élan vital', 'Élan Vital'],
+                [null, ''],
+                [true, Error]
+            ]
+        },
+        {
+            func: funcs.QUARTILE,
+            samples: [
+                [[1, 2, 3, 4, 5], 1, 2],
+                [[1, 2, 3, 4, 5], 3, 4],
+                [[1, 2, 3, 4, 5], 4, 5],
+                [[1, 2, 3, 4], 1, 1.75],
+                [[1, 2], 5, Error],
+                [[1, 2], 0.5, Error]
+            ]
+        },
+        {
+            func: funcs.RADIANS,
+            samples: [
+                [180, Math.PI],
+                [-90, -Math.PI / 2],
+                [null, 0],
+                ['180', Error]
+            ]
+        },
+        {
+            func: funcs.RANGE,
+            samples: [
+                [1, 5, [1, 2, 3, 4, 5]],
+                [5, 0, -2, [5, 3, 1]],
+                [0, 0.3, 0.1, [0, 0.1, 0.2, 0.3]],
+                [1, 0, []],
+                [0, 1000000, Error],
+                [1, 2, 0, Error],
+                [1, '2', Error]
+            ]
+        },
+        {
+            func: funcs.RANK,
+            samples: [
+                [3, [1, 3, 3, 5], 2],
+                [5, [1, 3, 3, 5], 1],
+                [3, [1, 3, 3, 5], true, 2],
+                [5, [1, 3, 3, 5], true, 4],
+                [2, [1, 3], null],
+                [null, [1, 3], Error],
+                [1, ['1'], Error]
+            ]
+        },
+        {
+            func: funcs.REDUCE,
+            samples: [
+                [[1, 2, 3], 0, (total, x) => total + x, 6],
+                [['a', 'b'], '', (text, x, i) => text + x + i, 'a0b1'],
+                [[], 5, (total, x) => total + x, 5],
+                [null, null, (total, x) => x, null],
+                [[1, 2], 0, Error]
+            ]
+        },
+        {
+            func: funcs.REGEXEXTRACT,
+            samples: [
+                ['order #1234', /#(\d+)/, '1234'],
+                ['order #1234', '\\d+', '1234'],
+                ['order #1234', /x(y)?/, null],
+                ['xz', /x(y)?/, null],
+                ['ABC', 'b', 'i', 'B'],
+                ['ABC', /b/, '', null],
+                [null, '.*', ''],
+                ['abc', '(a|a)?(b+)+', Error],
+                ['abc', 'b', 'g', Error]
+            ]
+        },
+        {
+            func: funcs.REGEXMATCH,
+            samples: [
+                ['a1b22c333', /\d+/, ['1', '22', '333']],
+                ['abc', '\\d', []],
+                ['AbA', 'a', 'i', ['A', 'A']],
+                [12321, 2, Error],
+                ['a', '(?<x>a)\\k<x>', Error]
+            ]
+        },
+        {
+            func: funcs.REGEXREPLACE,
+            samples: [
+                ['a1b22', /\d/, '#', 'a#b##'],
+                ['John Smith', /(\w+) (\w+)/, '$2, $1', 'Smith, John'],
+                ['Hello', 'L', null, 'i', 'Heo'],
+                [null, '^', 'x', 'x'],
+                ['abc', '[', '', Error]
+            ]
+        },
+        {
+            func: funcs.REGEXTEST,
+            samples: [
+                ['A-100', /^A-\d+$/, true],
+                ['a-100', /^A-\d+$/, false],
+                ['a-100', /^A-\d+$/, 'i', true],
+                ['A\nB', '^B', 'm', true],
+                ['A\nB', '^B', false],
+                [42, '^\\d{2}$', true],
+                ['x', /(x{1,3}){2,}/, Error],
+                ['x', 'x', 'ii', Error]
+            ]
+        },
+        {
+            func: funcs.REPEAT,
+            samples: [
+                ['ab', 3, 'ababab'],
+                ['ab', 0, ''],
+                [null, 3, ''],
+                [7, 2, '77'],
+                ['ab', -1, Error],
+                ['ab', 1.5, Error],
+                ['ab', 500001, Error],
+                ['ab', 1000000000, Error]
+            ]
+        },
+        {
+            func: funcs.REPLACE,
+            samples: [
+                ['abcdef', 1, 2, 'XY', 'aXYdef'],
+                ['abc', 3, 0, 'd', 'abcd'],
+                ['abc', 0, 10, null, ''],
+                [null, 0, 0, 'x', 'x'],
+                ['abc', -1, 1, 'x', Error],
+                ['abc', 1, 1, Error]
+            ]
+        },
+        {
+            func: funcs.REVERSE,
+            samples: [
+                ['abc', 'cba'],
+                ['ab😀', '😀ba'],
+                [123, '321'],
+                [null, ''],
+                [[1, [2, 3], 'x'], ['x', [2, 3], 1]],
+                [[], []],
+                [true, Error]
+            ]
+        },
+        {
+            func: funcs.RIGHT,
+            samples: [
+                [true, 1, Error],
+                [false, 1, Error],
+                [null, 0, ''],
+                ['', 1, ''],
+                [123, 2, '23'],
+                [-14214, 3, '214'],
+                [1.2554, 2, '54'],
+                [-1.2554, 1000, '-1.2554'],
+                [1, 2, 3, Error],
+                [1, 2.5, -1.5, Error],
+                [3, [4, 5], 6, Error],
+                [3, [4, 5, [true, 2.4]], 6, Error],
+                ['hello', 5, 'hello'],
+                [new Date('2000-01-01'), 100, Error],
+                [[1, true, 'hi'], 3, Error],
+                [{ lit: 'eral' }, 1, Error]
+            ]
+        },
+        {
+            func: funcs.ROUND,
+            samples: [
+                [2.5, 3],
+                [-2.5, -3],
+                [2.4, 2],
+                [1.005, 2, 1.01],
+                [1234.5678, -2, 1200],
+                [2.5, 0, 'half-even', 2],
+                [3.5, 0, 'half-even', 4],
+                [-2.5, 0, 'half-even', -2],
+                [null, 0],
+                [true, 1],
+                [5, 1.5, Error],
+                [5, 0, 'half-down', Error],
+                ['5', Error]
+            ]
+        },
+        {
+            func: funcs.ROUNDDOWN,
+            samples: [
+                [2.9, 2],
+                [-2.9, -2],
+                [1.299, 2, 1.29],
+                [1299, -2, 1200],
+                [null, 0],
+                [5, 0.5, Error],
+                ['5', Error]
+            ]
+        },
+        {
+            func: funcs.ROUNDUP,
+            samples: [
+                [2.1, 3],
+                [-2.1, -3],
+                [2, 2],
+                [1.201, 2, 1.21],
+                [1201, -2, 1300],
+                [null, 0],
+                [5, 0.5, Error],
+                ['5', Error]
+            ]
+        },
+        {
+            func: funcs.SEARCH,
+            samples: [
+                ['Hello', 'LL', 2],
+                ['Hello', 'l', 3, 3],
+                ['Hello', 'x', -1],
+                [null, 'x', -1],
+                ['Hello', Error]
+            ]
+        },
+        {
+            func: funcs.SEQUENCE,
+            samples: [
+                [3, [0, 1, 2]],
+                [4, 10, -2.5, [10, 7.5, 5, 2.5]],
+                [3, 0.1, 0.1, [0.1, 0.2, 0.3]],
+                [0, []],
+                [-1, Error],
+                [100001, Error],
+                [1.5, Error]
+            ]
+        },
+        {
+            func: funcs.SIGN,
+            samples: [
+                [-5, -1],
+                [0.1, 1],
+                [0, 0],
+                [null, 0],
+                ['5', Error]
+            ]
+        },
+        {
+            func: funcs.SIN,
+            samples: [
+                [0, 0],
+                [Math.PI / 2, 1],
+                [null, 0],
+                ['0', Error]
+            ]
+        },
+        {
+            func: funcs.SLICE,
+            samples: [
+                [[1, 2, 3, 4], 1, [2, 3, 4]],
+                [[1, 2, 3, 4], 1, 3, [2, 3]],
+                [[1, 2, 3, 4], -2, null, [3, 4]],
+                [null, 0, []],
+                [[1], '0', Error]
+            ]
+        },
+        {
+            func: funcs.SMALL,
+            samples: [
+                [[3, 1, 2], 1, 1],
+                [[3, 1, 2], 3, 3],
+                [[3, 1, [-5, null]], 1, -5],
+                [[3, 1, 2], 4, null],
+                [[3, 1, 2], 0, Error]
+            ]
+        },
+        {
+            func: funcs.SOME,
+            samples: [
+                [[1, 2, 3], (x) => x > 2, true],
+                [[1, 2, 3], (x) => x > 3, false],
+                [null, (x) => true, false],
+                [[1, 2, 3], true, Error]
+            ]
+        },
+        {
+            func: funcs.SORT,
+            samples: [
+                [[3, 1, [2, 10]], [1, 2, 3, 10]],
+                [['b', 'C', 'a'], true, ['b', 'a', 'C']],
+                [[new Date('2024-01-02T00:00:00Z'), new Date('2024-01-01T00:00:00Z')], [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z')]],
+                [null, []],
+                [[3, null, 1], [1, 3, null]],
+                [[3, null, 1, undefined, 2], true, [3, 2, 1, null, undefined]],
+                [[true, 'b', 2, null, new Date('2024-01-01T00:00:00Z'), 'a', 1], [1, 2, 'a', 'b', true, new Date('2024-01-01T00:00:00Z'), null]],
+                [[1, 'a', 2], true, ['a', 2, 1]],
+                [[NaN, 2, 1], [1, 2, NaN]],
+                [[1], 'asc', Error]
+            ]
+        },
+        {
+            func: funcs.SORTBY,
+            samples: [
+                [[{ n: 'b', v: 2 }, { n: 'a', v: 3 }, { n: 'c', v: 1 }], (x) => x.n, [{ n: 'a', v: 3 }, { n: 'b', v: 2 }, { n: 'c', v: 1 }]],
+                [[{ n: 'b', v: 2 }, { n: 'a', v: 3 }, { n: 'c', v: 1 }], (x) => x.v, true, [{ n: 'a', v: 3 }, { n: 'b', v: 2 }, { n: 'c', v: 1 }]],
+                [[3, 1, 2], (x) => x, false, [1, 2, 3]],
+                [[2, 'x', 1], (x) => x, [1, 2, 'x']],
+                [[{ q: 3 }, {}, { q: 1 }], (x) => x.q, [{ q: 1 }, { q: 3 }, {}]],
+                [[{ q: null }, { q: 3 }, {}, { q: 1 }], (x) => x.q, true, [{ q: 3 }, { q: 1 }, { q: null }, {}]],
+                [null, (x) => x, []],
+                [[1, 2], (x) => x, 'desc', Error]
+            ]
+        },
+        {
+            func: funcs.SPLIT,
+            samples: [
+                ['a,b,,c', ',', ['a', 'b', '', 'c']],
+                ['abc', '', ['a', 'b', 'c']],
+                ['a b', ' ', ['a', 'b']],
+                [null, ',', []],
+                [12345, 3, ['12', '45']],
+                ['a,b', null, Error],
+                ['a,b', Error]
+            ]
+        },
+        {
+            func: funcs.SQRT,
+            samples: [
+                [true, 1],
+                [false, 0],
+                [null, 0],
+                ['', Error],
+                [123, 11.090536506],
                 [-14214, NaN],
                 [1.2554, 1.12044634],
                 [-1.2554, NaN],
@@ -565,6 +1709,49 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.STARTOF,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 'day', new Date('2024-01-31T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'Week', new Date('2024-01-28T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'quarter', new Date('2024-01-01T00:00:00Z')],
+                [new Date('2024-11-15T00:00:00Z'), 'quarter', new Date('2024-10-01T00:00:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'minute', new Date('2024-01-31T13:45:00Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'x', Error]
+            ]
+        },
+        {
+            func: funcs.STDEV,
+            samples: [
+                [[2, 4, 4, 4, 5, 5, 7, 9], 2.13808994],
+                [1, 3, 1.41421356],
+                [[5], null],
+                [['5'], Error]
+            ]
+        },
+        {
+            func: funcs.STDEVP,
+            samples: [
+                [[2, 4, 4, 4, 5, 5, 7, 9], 2],
+                [[5], 0],
+                [[], null],
+                [['5'], Error]
+            ]
+        },
+        {
+            func: funcs.SUBSTITUTE,
+            samples: [
+                ['a-b-c', '-', '+', 'a+b+c'],
+                ['a-b-c', '-', '+', 2, 'a-b+c'],
+                ['aaaa', 'aa', 'b', 2, 'aab'],
+                ['a-b', '-', '+', 5, 'a-b'],
+                ['a-b', '', '+', 'a-b'],
+                ['a-b', '-', null, 'ab'],
+                [null, 'a', 'b', ''],
+                ['a-b', '-', '+', 0, Error],
+                ['a-b', '-', Error]
+            ]
+        },
         {
             func: funcs.SUM,
             samples: [
@@ -586,6 +1773,60 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.SUMIF,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} > 2', 'price', 2.6],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{sku} like "A%"', 'qty', 8],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'true', 'sku', 0],
+                [[1, 2, 3], 'true', 6],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], '{qty} >', 'price', Error],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'true', '__proto__', Error]
+            ]
+        },
+        {
+            func: funcs.SUMIFS,
+            samples: [
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'qty', '{qty} > 0', '{price} < 5', 8],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], null, 'false', 0],
+                [[{ sku: 'A1', qty: 3, price: 2.5 }, { sku: 'B2', qty: 1, price: 10 }, { sku: 'A3', qty: 5, price: 0.1 }, { sku: 'C', qty: null }], 'qty', Error]
+            ]
+        },
+        {
+            func: funcs.SWITCH,
+            samples: [
+                ['b', 'a', 1, 'b', 2, 3, 2],
+                ['z', 'a', 1, 'b', 2, 3, 3],
+                ['z', 'a', 1, null],
+                [[1, 2], [1, 2], 'same', 'same'],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), true, true],
+                ['55', 55, true, null],
+                ['x', Error]
+            ]
+        },
+        {
+            func: funcs.TAN,
+            samples: [
+                [0, 0],
+                [Math.PI / 4, 1],
+                [null, 0],
+                ['0', Error]
+            ]
+        },
+        {
+            func: funcs.TEXT,
+            samples: [
+                [42, '42'],
+                [-1.5, '-1.5'],
+                [true, 'true'],
+                ['abc', 'abc'],
+                [new Date('2024-03-09T14:30:00Z'), '2024-03-09T14:30:00.000Z'],
+                [[1, 'a', null], '[1,"a",null]'],
+                [{ a: 1 }, '{"a":1}'],
+                [null, null],
+                [Error]
+            ]
+        },
         {
             func: funcs.TEXTJOIN,
             samples: [
@@ -612,6 +1853,27 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.TOZONE,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 'America/Chicago', new Date('2024-01-31T07:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'Asia/Kolkata', new Date('2024-01-31T19:15:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'utc', new Date('2024-01-31T13:45:30Z')],
+                [new Date('2024-01-31T13:45:30Z'), 'Nowhere', Error],
+                [new Date('2024-01-31T13:45:30Z'), 5, Error],
+                ['2024-01-31', 'UTC', Error]
+            ]
+        },
+        {
+            func: funcs.TRIM,
+            samples: [
+                ['  a   b  ', 'a b'],
+                ['\ta b\n', 'a b'],
+                [null, ''],
+                [5, '5'],
+                [true, Error]
+            ]
+        },
         {
             func: funcs.TRUNCATE,
             samples: [
@@ -632,6 +1894,104 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                 [{ lit: 'eral' }, Error]
             ]
         },
+        {
+            func: funcs.TYPEOF,
+            samples: [
+                [42, 'number'],
+                ['42', 'string'],
+                [false, 'boolean'],
+                [new Date(), 'date'],
+                [[], 'array'],
+                [{}, 'object'],
+                [/a/, 'regexp'],
+                [() => 1, 'lambda'],
+                [null, 'null'],
+                [undefined, 'null'],
+                [Error]
+            ]
+        },
+        {
+            func: funcs.UNION,
+            samples: [
+                [[1, 2, 2], [3, [1, 4]], [1, 2, 3, 4]],
+                [[{ a: 1 }], [{ a: 1 }, null], [{ a: 1 }, null]],
+                [null, []],
+                [[1], 2, Error]
+            ]
+        },
+        {
+            func: funcs.UNIQUE,
+            samples: [
+                [[3, 1, 3, [1, 2]], [3, 1, 2]],
+                [['a', 'A', 'a', null, null], ['a', 'A', null]],
+                [[[[[[1, 2]]]], [[[[1, 2]]]]], [[1, 2]]],
+                [null, []],
+                ['abc', Error]
+            ]
+        },
+        {
+            func: funcs.UPPER,
+            samples: [
+                ['HeLLo', 'HELLO'],
+                [null, ''],
+                [123, '123'],
+                [true, Error],
+                [['a'], Error]
+            ]
+        },
+        {
+            func: funcs.VAR,
+            samples: [
+                [[2, 4, 4, 4, 5, 5, 7, 9], 4.57142857],
+                [1, 3, 2],
+                [[5, null], null],
+                [['5'], Error]
+            ]
+        },
+        {
+            func: funcs.VARP,
+            samples: [
+                [[2, 4, 4, 4, 5, 5, 7, 9], 4],
+                [[0.1, 0.2, 0.3], 0.00666667],
+                [[], null],
+                [['5'], Error]
+            ]
+        },
+        {
+            func: funcs.WEEKDAY,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 4],
+                [new Date('2024-01-28T00:00:00Z'), 1],
+                [new Date('2024-02-03T23:59:59Z'), 7],
+                [null, Error]
+            ]
+        },
+        {
+            func: funcs.XOR,
+            samples: [
+                [true, false, true],
+                [true, true, false],
+                [true, [1, [1]], true],
+                [null, 0, false]
+            ]
+        },
+        {
+            func: funcs.YEAR,
+            samples: [
+                [new Date('2024-01-31T13:45:30Z'), 2024],
+                [null, Error],
+                [2024, Error]
+            ]
+        },
+        {
+            func: funcs.ZIP,
+            samples: [
+                [[1, 2, 3], ['a', 'b'], [[1, 'a'], [2, 'b']]],
+                [[1], [[1]]],
+                [[1, 2], null, []],
+                [[1], 'a', Error]
+            ]
+        },
     ];
     for (let p in funcs) {
         if (typeof funcs[p] === 'object' && Array.isArray(funcs[p].symbols)) {
@@ -645,10 +2005,13 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
                         it(`${p}(${args.map(v => utilities.prettyPrint(v)).join(', ')}) = ${utilities.prettyPrint(expected)}`, () => {
                             let go = () => {
                                 funcs.argsValid(p, args, true);
-                                return funcs[p].func.apply(funcs[p], args);
+                                let context = (funcs[p].context ? [utilities.context()] : []);
+                                return funcs[p].func.apply(funcs[p], context.concat(utilities.lazyArgs(funcs[p].params, args)));
                             };
                             if (expected === Error) {
                                 expect(go).toThrow(expected);
+                            } else if (expected !== null && typeof expected === 'object') {
+                                expect(go()).toEqual(expected);
                             } else if (Number.isNaN(expected)) {
                                 expect(go()).toBe(NaN);
                             } else if (typeof expected === 'number') {
@@ -662,4 +2025,33 @@ describe('funcs validate arguments and funcs execute with expected results.', ()
             });
         }
     }
-});
\ No newline at end of file
+});
+describe('rounding funcs', () => {
+    it('round numbers exactly as they are written, not as they are stored.', () => {
+        expect(funcs.ROUND.func(1.005, 2)).toBe(1.01);
+        expect(funcs.ROUND.func(2.675, 2, 'half-even')).toBe(2.68);
+        expect(funcs.ROUND.func(2.665, 2, 'half-even')).toBe(2.66);
+        expect(funcs.ROUND.func(0.1 + 0.2, 15)).toBe(0.3);
+        expect(funcs.ROUNDUP.func(1.1 * 3, 1)).toBe(3.3);
+        expect(funcs.ROUNDDOWN.func(4.35 * 100, 0)).toBe(435);
+        expect(funcs.MROUND.func(0.15, 0.1)).toBe(0.2);
+    });
+    it('round very small and large numbers.', () => {
+        expect(funcs.ROUND.func(1.5e-7, 7)).toBe(2e-7);
+        expect(funcs.ROUND.func(1.25e21, -20)).toBe(1.3e21);
+        expect(funcs.ROUND.func(Infinity, 2)).toBe(Infinity);
+    });
+    it('do not round to negative zero.', () => {
+        expect(Object.is(funcs.ROUND.func(-0.4, 0), 0)).toBe(true);
+        expect(Object.is(funcs.ROUNDDOWN.func(-0.9, 0), 0)).toBe(true);
+    });
+});
+describe('text length limit', () => {
+    it('is the longest text REPEAT, PADLEFT, and PADRIGHT return.', () => {
+        expect(funcs.REPEAT.func('ab', 500000)).toHaveLength(1000000);
+        expect(funcs.PADLEFT.func('a', 1000000)).toHaveLength(1000000);
+        expect(() => funcs.REPEAT.func('ab', 500001)).toThrow(expect.objectContaining({ code: ErrorCode.ArgType, func: 'REPEAT' }));
+        expect(() => funcs.argsValid('PADLEFT', ['a', 2000000000], true)).toThrow(expect.objectContaining({ code: ErrorCode.ArgType, func: 'PADLEFT', argIndex: 1 }));
+        expect(() => funcs.argsValid('PADRIGHT', ['a', 1000001], true)).toThrow(expect.objectContaining({ code: ErrorCode.ArgType, func: 'PADRIGHT', argIndex: 1 }));
+    });
+});
@@ -324,7 +324,7 @@ class IsValidator {
             for (let t of types) {
                 let typeIsString = (typeof t === 'string');
                 if (typeIsString && t !== 'string' && t !== 'boolean' && t !== 'number' && t !== 'object' && t !== 'array') {
-                    throw new Error(`Invalid type value. "${t}" is not a valid type string. Use a constructor object or specify "string", "boolean", "number", "object", or "array".`)
+                    throw new Error(`Invalid type value. "${t}" is not a valid type string. Use a constructor object or specify "string", "boolean", "number", "object", or "array".`);
                 } else if (t === undefined) {
                     throw new Error('The type "undefined" is not supported.');
                 }
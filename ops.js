@@ -1,10 +1,92 @@
 import is from './is.js';
+import CalKuError, { ErrorCode } from './error.js';
+import { equals, compare, like } from './compare.js';
+import * as regex from './regex.js';
+import Decimal from './decimal.js';
 
-let _cache = {};
+let _generation = 0;
+const _caches = new WeakMap();
+
+/**
+ * Returns the cache of the given ops registry. Registries may inherit ops from one another (see
+ * `CalKuEnvironment`), so recycling any registry invalidates the caches of all of them.
+ * @param {Object} registry - The ops object.
+ * @returns {Object}
+ */
+function cacheOf(registry) {
+    let cache = _caches.get(registry);
+    if (!cache || cache.generation !== _generation) {
+        cache = { generation: _generation };
+        _caches.set(registry, cache);
+    }
+    return cache;
+}
+
+/**
+ * Returns the key of the given op in the registry of ops, or `null` if it is not found.
+ * @param {Object} registry - The ops object to search.
+ * @param {CalKuOperator} op - The op to find.
+ * @returns {String}
+ */
+function keyOf(registry, op) {
+    for (let k in registry) {
+        if (registry[k] === op) {
+            return k;
+        }
+    }
+    return null;
+}
+
+/**
+ * Computes a math op exactly in decimal mode, rounding the result to the scale of the decimal options. When the
+ * exact result has no decimal form (such as dividing by zero), the result of the (floating-point) `func` of the op is
+ * returned instead- as a decimal, if it is finite.
+ * @param {CalKuOperator} op - The math op.
+ * @param {DecimalOptions} options - The decimal options of the evaluating CalKu instance.
+ * @param {Array} values - The values of the op (numbers, booleans, decimals, or `null`, which is read as `0`).
+ * @param {function(...Decimal): Decimal} exact - Computes the result from the values as decimals, or returns `null`
+ * if it has no decimal form.
+ * @returns {Number | Decimal}
+ */
+function exactOf(op, options, values, exact) {
+    let decimals = values.map(v => Decimal.from(v ?? 0));
+    let result = (decimals.includes(null) ? null : exact(...decimals));
+    if (result === null) {
+        let n = op.func(...values.map(v => Decimal.toNumbers(v)));
+        result = Decimal.from(n);
+        if (result === null) {
+            return n;
+        }
+    }
+    return result.round(options.scale, options.rounding);
+}
+
+/**
+ * @typedef CalKuOperator
+ * @property {String} type
+ * @property {Array.<String>} symbols
+ * @property {Number} [order]
+ * @property {Boolean} [prefix] - When `true`, the operator is a prefix (unary) operator that applies to the single 
+ * value following it, such as `NOT {active}` or `-{balance}`.
+ * @property {Number | FunctionParameter | Array.<FunctionParameter>} [params]
+ * @property {Boolean} [context] - When `true`, the op is given a `FunctionContext` describing the evaluating CalKu
+ * instance as its first argument, ahead of its values.
+ * @property {Boolean | Function} [decimal] - How the op handles decimals when the evaluating CalKu instance is in
+ * decimal mode (see `CalKu.decimal`). When `true`, the op's `func` is given decimals as-is. When a function, it is
+ * called in place of `func`, given the `DecimalOptions` of the instance ahead of the arguments `func` is given (with
+ * decimals as-is). Otherwise, decimals are converted to numbers before they are given to the op.
+ * @property {Function} func
+ */
 
 /**
  * Ops are operations that may be performed within a CalKu expression between two values (to the left and right of the
  * operation), such as logical comparisons, value comparisons, and math.
+ * 
+ * Parameters of an op may be flagged as `lazy` (see `FunctionParameter`) to receive a function that resolves the
+ * value only when called, which allows an op such as `AND` to skip evaluating its right side.
+ * 
+ * Ops flagged as `prefix` are unary and apply only to the value following them. A prefix op may share a symbol with
+ * a binary op (such as `-`), in which case the lexer picks the prefix op only when no value precedes the symbol.
  * @module
  */
 const ops = {
@@ -15,14 +97,37 @@ const ops = {
     AND: {
         type: 'logic',
         symbols: ['and', '&&'],
-        order: 200,
-        func: (a, b) => !!(a && b)
+        order: 400,
+        params: [
+            (v) => is(v).anything(),
+            {
+                name: 'right',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            }
+        ],
+        func: (a, b) => !!(a && b())
+    },
+    NOT: {
+        type: 'logic',
+        symbols: ['not', '!'],
+        order: 350,
+        prefix: true,
+        func: (a) => !a
     },
     OR: {
         type: 'logic',
         symbols: ['or', '||'],
-        order: 205,
-        func: (a, b) => !!(a || b)
+        order: 405,
+        params: [
+            (v) => is(v).anything(),
+            {
+                name: 'right',
+                lazy: true,
+                validator: (v) => is(v).anything()
+            }
+        ],
+        func: (a, b) => !!(a || b())
     },
     //#endregion
     //#region comparison operators
@@ -34,13 +139,16 @@ const ops = {
             (v) => is(v).instanceOf('array', 'string', 'number', 'boolean', null),
             (v) => is(v).instanceOf('string', 'number', 'boolean', null),
         ],
-        func: (a, b) => {
+        context: true,
+        func: (ctx, a, b) => {
             if (a === null && b === null) {
                 return true;
             } else if (a === null) {
                 return false;
             }
-            if (!a?.indexOf) {
+            if (Array.isArray(a)) {
+                return a.some(v => equals(v, b, ctx?.comparison));
+            } else if (!a?.indexOf) {
                 a = a?.toString() ?? '';
             }
             return (a.indexOf(b) > -1);
@@ -54,17 +162,8 @@ const ops = {
             (v) => is(v).instanceOf('array', 'string', 'number', 'boolean', null),
             (v) => is(v).instanceOf('string', 'number', 'boolean', null),
         ],
-        func: (a, b) => {
-            if (a === null && b === null) {
-                return false;
-            } else if (a === null) {
-                return true;
-            }
-            if (!a?.indexOf) {
-                a = a?.toString() ?? '';
-            }
-            return (a.indexOf(b) < 0);
-        }
+        context: true,
+        func: (ctx, a, b) => !ops.CONTAINS.func(ctx, a, b)
     },
     ENDSWITH: {
         type: 'compare',
@@ -74,14 +173,15 @@ const ops = {
             (v) => is(v).instanceOf('array', 'string', 'number', 'boolean', null),
             (v) => is(v).instanceOf('string', 'number', 'boolean', null),
         ],
-        func: (a, b) => {
+        context: true,
+        func: (ctx, a, b) => {
             if (a === null && b === null) {
                 return true;
             } else if (a === null) {
                 return false;
             }
             if (Array.isArray(a)) {
-                return (!!a.length && a[a.length - 1] === b);
+                return (!!a.length && equals(a[a.length - 1], b, ctx?.comparison));
             } else if (!a?.endsWith) {
                 a = a?.toString() ?? '';
             }
@@ -92,57 +192,121 @@ const ops = {
         type: 'compare',
         symbols: ['eq', '=='],
         order: 320,
-        func: (a, b) => a === b
+        context: true,
+        decimal: true,
+        func: (ctx, a, b) => equals(a, b, ctx?.comparison)
     },
     GREATERTHAN: {
         type: 'compare',
         symbols: ['gt', '>'],
         order: 310,
-        func: (a, b) => {
-            if (typeof a !== typeof b) {
-                return false;
-            }
-            return a > b;
-        }
+        context: true,
+        decimal: true,
+        func: (ctx, a, b) => compare(a, b, ctx?.comparison) > 0
     },
     GREATERTHANOREQUAL: {
         type: 'compare',
         symbols: ['gte', '>='],
         order: 315,
+        context: true,
+        decimal: true,
+        func: (ctx, a, b) => compare(a, b, ctx?.comparison) >= 0
+    },
+    ILIKE: {
+        type: 'compare',
+        symbols: ['ilike'],
+        order: 330,
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
         func: (a, b) => {
-            if (typeof a !== typeof b) {
-                return false;
+            if (a === null || b === null) {
+                return (a === b);
             }
-            return a >= b;
+            return like(a.toString(), b.toString(), true);
         }
     },
+    IN: {
+        type: 'compare',
+        symbols: ['in'],
+        order: 330,
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null, 'object', 'array'),
+            (v) => is(v).allowed(null).array(),
+        ],
+        context: true,
+        func: (ctx, a, b) => (b ?? []).some(v => equals(a, v, ctx?.comparison))
+    },
     LESSTHAN: {
         type: 'compare',
         symbols: ['lt', '<'],
         order: 300,
-        func: (a, b) => {
-            if (typeof a !== typeof b) {
-                return false;
-            }
-            return a < b;
-        }
+        context: true,
+        decimal: true,
+        func: (ctx, a, b) => compare(a, b, ctx?.comparison) < 0
     },
     LESSTHANOREQUAL: {
         type: 'compare',
         symbols: ['lte', '<='],
         order: 305,
+        context: true,
+        decimal: true,
+        func: (ctx, a, b) => compare(a, b, ctx?.comparison) <= 0
+    },
+    LIKE: {
+        type: 'compare',
+        symbols: ['like'],
+        order: 330,
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
         func: (a, b) => {
-            if (typeof a !== typeof b) {
-                return false;
+            if (a === null || b === null) {
+                return (a === b);
             }
-            return a <= b;
+            return like(a.toString(), b.toString());
         }
     },
+    MATCHES: {
+        type: 'compare',
+        symbols: ['matches', '=~'],
+        order: 330,
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null),
+            (v) => is(v).instanceOf('string', RegExp).custom((p) => regex.problemOf(p)),
+        ],
+        func: (a, b) => regex.regExpOf(b).test(a?.toString() ?? '')
+    },
     NOTEQUALS: {
         type: 'compare',
         symbols: ['neq', '<>', '!='],
         order: 325,
-        func: (a, b) => a !== b
+        context: true,
+        decimal: true,
+        func: (ctx, a, b) => !equals(a, b, ctx?.comparison)
+    },
+    NOTLIKE: {
+        type: 'compare',
+        symbols: ['notlike'],
+        order: 330,
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null),
+            (v) => is(v).instanceOf('string', 'number', null),
+        ],
+        func: (a, b) => !ops.LIKE.func(a, b)
+    },
+    NOTIN: {
+        type: 'compare',
+        symbols: ['notin'],
+        order: 330,
+        params: [
+            (v) => is(v).instanceOf('string', 'number', 'boolean', null, 'object', 'array'),
+            (v) => is(v).allowed(null).array(),
+        ],
+        context: true,
+        func: (ctx, a, b) => !ops.IN.func(ctx, a, b)
     },
     STARTSWITH: {
         type: 'compare',
@@ -152,14 +316,15 @@ const ops = {
             (v) => is(v).instanceOf('array', 'string', 'number', 'boolean', null),
             (v) => is(v).instanceOf('string', 'number', 'boolean', null),
         ],
-        func: (a, b) => {
+        context: true,
+        func: (ctx, a, b) => {
             if (a === null && b === null) {
                 return true;
             } else if (a === null) {
                 return false;
             }
             if (Array.isArray(a)) {
-                return (!!a.length && a[0] === b);
+                return (!!a.length && equals(a[0], b, ctx?.comparison));
             } else if (!a?.startsWith) {
                 a = a?.toString() ?? '';
             }
@@ -173,9 +338,10 @@ const ops = {
         symbols: ['+'],
         order: 120,
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
-            (v) => is(v).instanceOf('number', 'boolean', null)
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null),
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
         ],
+        decimal: (d, a, b) => exactOf(ops.ADDITION, d, [a, b], (x, y) => x.add(y)),
         func: (a, b) => {
             return a + b;
         }
@@ -185,9 +351,10 @@ const ops = {
         symbols: ['/'],
         order: 100,
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
-            (v) => is(v).instanceOf('number', 'boolean', null)
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null),
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
         ],
+        decimal: (d, a, b) => exactOf(ops.DIVISION, d, [a, b], (x, y) => x.divide(y, d.scale, d.rounding)),
         func: (a, b) => a / b
     },
     EXPONENTIATION: {
@@ -195,9 +362,10 @@ const ops = {
         symbols: ['^'],
         order: 50,
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
-            (v) => is(v).instanceOf('number', 'boolean', null)
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null),
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
         ],
+        decimal: (d, a, b) => exactOf(ops.EXPONENTIATION, d, [a, b], (x, y) => x.power(y, d.scale, d.rounding)),
         func: (a, b) => a ** b
     },
     MODULO: {
@@ -205,19 +373,32 @@ const ops = {
         symbols: ['%'],
         order: 100,
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
-            (v) => is(v).instanceOf('number', 'boolean', null)
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null),
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
         ],
+        decimal: (d, a, b) => exactOf(ops.MODULO, d, [a, b], (x, y) => x.modulo(y)),
         func: (a, b) => a % b
     },
+    NEGATION: {
+        type: 'math',
+        symbols: ['-'],
+        order: 75,
+        prefix: true,
+        params: [
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
+        ],
+        decimal: (d, a) => exactOf(ops.NEGATION, d, [a], (x) => x.negate()),
+        func: (a) => -(a ?? 0)
+    },
     MULTIPLICATION: {
         type: 'math',
         symbols: ['*'],
         order: 100,
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
-            (v) => is(v).instanceOf('number', 'boolean', null)
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null),
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
         ],
+        decimal: (d, a, b) => exactOf(ops.MULTIPLICATION, d, [a, b], (x, y) => x.multiply(y)),
         func: (a, b) => (a ?? 0) * (b ?? 0)
     },
     SUBTRACTION: {
@@ -225,9 +406,10 @@ const ops = {
         symbols: ['-'],
         order: 120,
         params: [
-            (v) => is(v).instanceOf('number', 'boolean', null),
-            (v) => is(v).instanceOf('number', 'boolean', null)
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null),
+            (v) => is(v).instanceOf('number', 'boolean', Decimal, null)
         ],
+        decimal: (d, a, b) => exactOf(ops.SUBTRACTION, d, [a, b], (x, y) => x.subtract(y)),
         func: (a, b) => (a ?? 0) - (b ?? 0)
     },
     //#endregion
@@ -246,30 +428,33 @@ const ops = {
     //#endregion
 
     /**
-     * Validates a given array of argument values for a specified func(tion). Optionally throws an error instead of 
-     * returning a boolean result.
-     * @param {String | CalKuFunction} op - The key or instance of a CalKu function.
-     * @param {Array} args - Array of arguments to be validated.
-     * @param {Boolean} [throwError] - Optionally, if `true` throw an error if validation fails.
-     * Errors caused by an invalid func definition do not use this argument and will still be thrown.
-     * @returns {Boolean}
+     * Returns the validator of each argument of an operation, given the number of arguments. The op's parameter
+     * definition and the number of arguments are checked once here, so compiled expressions validate the arguments
+     * of each evaluation without re-reading the definition. Arguments of `lazy` parameters have no validator (`null`),
+     * as they are validated when resolved.
+     * @param {String | CalKuOperator} op - The key or instance of a CalKu operator.
+     * @param {Number} count - The number of arguments.
+     * @throws CalKuError when the op is unknown or has an invalid parameter definition.
+     * @throws CalKuError when the number of arguments is invalid, with the `ArgCount` code.
+     * @returns {Array.<function(*, Boolean): Boolean>} Each validator returns whether the argument value is valid, or,
+     * if its second argument is `true`, throws an error with the `op` key and `argIndex` when it is not.
      */
-    argsValid(op, args, throwError) {
+    validatorsOf(op, count) {
+        let key = null;
         if (typeof op === 'string') {
+            key = op;
             op = this[op];
         }
         if (!op || !op.symbols) {
-            throw new Error('Argument "op" must be a valid operation key or CalKu operator object.');
+            throw new CalKuError('Argument "op" must be a valid operation key or CalKu operator object.', { code: ErrorCode.UnknownOperator, op: key });
         }
+        let arity = (op.prefix ? 1 : 2);
         //validate
         if (
-            (typeof op.params === 'number' && op.params != args.length)
-            || ((typeof op.params === 'undefined' || op.params === false) && args.length != 2)
+            (typeof op.params === 'number' && op.params != count)
+            || ((typeof op.params === 'undefined' || op.params === false) && count != arity)
         ) {
-            if (throwError) {
-                throw new Error(`Invalid number of arguments. Expected ${op?.params?.length ?? 2} but found ${args.length}.`);
-            }
-            return false;
+            throw new CalKuError(`Invalid number of arguments. Expected ${op?.params?.length ?? arity} but found ${count}.`, { code: ErrorCode.ArgCount, op: key ?? keyOf(this, op) });
         } else if (op.params && (Array.isArray(op.params) || op.params.validator)) {
             let arr = op.params;
             if (op.params && typeof op.params.validator === 'function') {
@@ -277,16 +462,11 @@ const ops = {
                 arr = [op.params];
             }
             if (arr.some(v => v.spread === true)) {
-                throw new Error('Invalid op parameter definition: A spread parameter is not allowed on operations.');
-            } else if (arr.length != args.length) {
-                if (throwError) {
-                    throw new Error(`Invalid number of arguments. Expected ${arr.length} but found ${args.length}.`);
-                }
-                return false;
+                throw new CalKuError('Invalid op parameter definition: A spread parameter is not allowed on operations.', { code: ErrorCode.InvalidDefinition, op: key ?? keyOf(this, op) });
+            } else if (arr.length != count) {
+                throw new CalKuError(`Invalid number of arguments. Expected ${arr.length} but found ${count}.`, { code: ErrorCode.ArgCount, op: key ?? keyOf(this, op) });
             }
-            //walk all arguments and validate
-            for (let i = 0; i < arr.length; i++) {
-                let param = arr[i];
+            return arr.map((param, i) => {
                 let paramType = typeof param;
                 let validatorFunc = null;
                 if (paramType === 'function') {
@@ -294,17 +474,56 @@ const ops = {
                 } else if (paramType === 'object' && typeof param.validator === 'function') {
                     validatorFunc = param.validator;
                 } else {
-                    throw new Error(`Invalid op parameter definition: A parameter validator used for the argument at index ${i} appears to be invalid.`);
+                    throw new CalKuError(`Invalid op parameter definition: A parameter validator used for the argument at index ${i} appears to be invalid.`, { code: ErrorCode.InvalidDefinition, op: key ?? keyOf(this, op), argIndex: i });
+                }
+                if (param.lazy) {
+                    return null; //lazy arguments are validated when resolved.
                 }
-                if (throwError) {
-                    let label = (i === 0 ? 'the left-side argument' : 'the right-side argument');
-                    validatorFunc(args[i]).throw(`Operation with symbol(s) "${op.symbols.join(', ')}" failed validating ${label}.`, true);
-                } else if (validatorFunc(args[i]).valid() === false) {
-                    return false;
+                let label = 'the argument following it';
+                if (!op.prefix) {
+                    label = (i === 0 ? 'the left-side argument' : 'the right-side argument');
                 }
+                return (value, throwError) => {
+                    let result = validatorFunc(value);
+                    if (result.valid() === false) {
+                        if (throwError) {
+                            throw new CalKuError(
+                                result.message(`Operation with symbol(s) "${op.symbols.join(', ')}" failed validating ${label}.`, true),
+                                { code: ErrorCode.ArgType, op: key ?? keyOf(this, op), argIndex: i }
+                            );
+                        }
+                        return false;
+                    }
+                    return true;
+                };
+            });
+        }
+        return new Array(count).fill(null);
+    },
+
+    /**
+     * Validates a given array of argument values for a specified operation. Optionally throws an error instead of 
+     * returning a boolean result. Arguments of `lazy` parameters are not validated, as they are validated when resolved.
+     * @param {String | CalKuOperator} op - The key or instance of a CalKu operator.
+     * @param {Array} args - Array of arguments to be validated.
+     * @param {Boolean} [throwError] - Optionally, if `true` throw an error if validation fails.
+     * Errors caused by an invalid func definition do not use this argument and will still be thrown.
+     * @throws CalKuError when the op is unknown or has an invalid parameter definition.
+     * @throws CalKuError when validation fails and `throwError` is `true`. The error has the `op` key and, if an
+     * argument failed validation, the `argIndex`.
+     * @returns {Boolean}
+     */
+    argsValid(op, args, throwError) {
+        let validators = null;
+        try {
+            validators = this.validatorsOf(op, args.length);
+        } catch (err) {
+            if (throwError || err.code !== ErrorCode.ArgCount) {
+                throw err;
             }
+            return false;
         }
-        return true;
+        return validators.every((validate, i) => !validate || validate(args[i], throwError));
     },
 
     /**
@@ -312,7 +531,7 @@ const ops = {
      * You should call this method if you modify the ops object (e.g. if you added, changed, or removed ops).
      */
     recycle() {
-        _cache = {};
+        _generation++;
     },
 
     /**
@@ -321,7 +540,8 @@ const ops = {
      * @returns {Array.<String> | Array.<Array.<String>>}
      */
     ordered() {
-        if (!_cache.orderedKeys) {
+        let cache = cacheOf(this);
+        if (!cache.orderedKeys) {
             let list = [];
             for (let p in this) { //build list of only ops defining objects
                 if (this[p] && this[p].symbols && this[p].type) {
@@ -336,39 +556,42 @@ const ops = {
                     }
                 }
             }
-            _cache.orderedKeys = list.sort((a, b) => a.order - b.order).map(i => i.key);
+            cache.orderedKeys = list.sort((a, b) => a.order - b.order).map(i => i.key);
         }
-        return _cache.orderedKeys;
+        return cache.orderedKeys;
     },
 
     /**
      * Converts all ops into a `RegExp` matching object for token parsing with the property as the key.
      * The regex is looking for a valid match starting with any of the appropriate operation symbols, followed
-     * by whitespace, a grouping token (parenthesis), or the end of input. The first match will be the symbol matched.
+     * by whitespace, a grouping token (parenthesis), a property reference, an array, or the end of input. Symbols of prefix ops
+     * that are made only of non-word characters (such as `-` or `!`) may be followed by anything. The first match will
+     * be the symbol matched.
      * @param {...String} [types] - Optional selection of types to include in the returned map.
      * @returns {Map.<String, RegExp>}
      */
     toRegExp(...types) {
-        let r = _cache.regexp;
-        if (!_cache.regexp) {
+        let cache = cacheOf(this);
+        let r = cache.regexp;
+        if (!cache.regexp) {
             //build map of all
             r = new Map();
             for (let o in this) {
                 if (this[o] && this[o].symbols && this[o].type) {
                     r.set(o, new RegExp(
                         '^(' + this[o].symbols
-                            .map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                            .map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + (this[o].prefix && /^\W+$/.test(v) ? '' : '(?=\\s|\\(|\\)|\\{|\\[|$)'))
                             .join('|') +
-                        ')(?:\\s|\\(|\\)|$)', 'i')
+                        ')', 'i')
                     );
                 }
             }
-            _cache.regexp = r;
+            cache.regexp = r;
         }
         //prep type constrained map
         if (types.length > 0) {
             r = new Map();
-            for (let [k, v] of _cache.regexp) {
+            for (let [k, v] of cache.regexp) {
                 if (types.indexOf(this[k].type) >= 0) {
                     r.set(k, v);
                 }
@@ -1,9 +1,24 @@
 import jest from 'jest-mock';
 import ops from './ops.js';
+import { ErrorCode } from './error.js';
 import is from './is.js';
 import utilities from './test/utilities.js';
 
 describe('#argsValid', () => {
+    it('throws a CalKuError with a code, the op key, and the argument index.', () => {
+        let err = null;
+        try {
+            ops.argsValid(ops.ADDITION, [1, 'x'], true);
+        } catch (e) {
+            err = e;
+        }
+        expect(err.name).toBe('CalKuError');
+        expect(err.code).toBe(ErrorCode.ArgType);
+        expect(err.op).toBe('ADDITION');
+        expect(err.argIndex).toBe(1);
+        expect(() => ops.argsValid('ADDITION', [1], true)).toThrow(expect.objectContaining({ code: ErrorCode.ArgCount, op: 'ADDITION', argIndex: null }));
+        expect(() => ops.argsValid('TACO', [], true)).toThrow(expect.objectContaining({ code: ErrorCode.UnknownOperator, op: 'TACO' }));
+    });
     it('throws when the op argument is invalid object.', () => {
         expect(() => ops.argsValid(null, [], false)).toThrow();
         expect(() => ops.argsValid('hello', [], false)).toThrow();
@@ -76,6 +91,14 @@ describe('#argsValid', () => {
     it('throws an invalid value error indicating which argument is invalid.', () => {
         expect(() => ops.argsValid('CONTAINS', [new Date(), 'a'], true)).toThrow(/left/);
         expect(() => ops.argsValid('CONTAINS', ['a', new Date()], true)).toThrow(/right/);
+        expect(() => ops.argsValid('NEGATION', ['a'], true)).toThrow(/following/);
+    });
+    it('expects a single argument for prefix ops.', () => {
+        expect(ops.argsValid('NOT', [true], false)).toBe(true);
+        expect(ops.argsValid('NOT', [true, false], false)).toBe(false);
+        expect(() => ops.argsValid('NOT', [], true)).toThrow(/Expected 1/);
+        expect(ops.argsValid('NEGATION', [1], false)).toBe(true);
+        expect(ops.argsValid('NEGATION', [1, 2], false)).toBe(false);
     });
     it('checks the number of arguments are valid.', () => {
         let samples = [
@@ -107,18 +130,20 @@ describe('#ordered', () => {
     it('operators are the first in the proper order-of-operations.', () => {
         expect(ops.ordered()).toEqual([
             'EXPONENTIATION',
+            'NEGATION',
             ['DIVISION', 'MODULO', 'MULTIPLICATION'],
             ['ADDITION', 'SUBTRACTION'],
-            'AND', 'OR',
             'LESSTHAN', 'LESSTHANOREQUAL',
             'GREATERTHAN', 'GREATERTHANOREQUAL',
             'EQUALS', 'NOTEQUALS',
-            ['CONTAINS', 'DOESNOTCONTAIN', 'ENDSWITH', 'STARTSWITH'],
+            ['CONTAINS', 'DOESNOTCONTAIN', 'ENDSWITH', 'ILIKE', 'IN', 'LIKE', 'MATCHES', 'NOTLIKE', 'NOTIN', 'STARTSWITH'],
+            'NOT',
+            'AND', 'OR',
             'CONCATENATE'
         ]);
     });
     it('functions occur after operations (math, logic, compares).', () => {
-        let o = ops.ordered().slice(18);
+        let o = ops.ordered().slice(22);
         for (let f of o) {
             expect(ops[f].type).toBe('function');
         }
@@ -166,6 +191,15 @@ describe('#toRegExp', () => {
         expect(clone.toRegExp().size).not.toBe(original.size);
         clone.recycle();
     });
+    it('matches symbolic prefix op symbols directly against the following value.', () => {
+        let map = ops.toRegExp();
+        expect(map.get('NEGATION').test('-{a}')).toBe(true);
+        expect(map.get('NEGATION').test('-5')).toBe(true);
+        expect(map.get('NOT').test('!{a}')).toBe(true);
+        expect(map.get('NOT').test('not{a}')).toBe(true);
+        expect(map.get('NOT').test('nothing')).toBe(false);
+        expect(map.get('SUBTRACTION').test('-5')).toBe(false);
+    });
     it('matches on provided types', () => {
         let tests = ['compare', 'consolidate', 'math', 'logic'];
         for (let t of tests) {
@@ -177,13 +211,14 @@ describe('#toRegExp', () => {
     });
 });
 
-it('has no duplicate symbols.', () => {
-    let symbols = [];
+it('has no duplicate symbols among prefix or binary ops.', () => {
+    let symbols = { prefix: [], binary: [] };
     for (let p in ops) { //build list of only ops defining objects
         if (p !== '_cache' && typeof ops[p] === 'object' && ops[p].symbols) {
+            let list = (ops[p].prefix ? symbols.prefix : symbols.binary);
             for (let s of ops[p].symbols) {
-                expect(symbols.indexOf(s)).toBeLessThan(0);
-                symbols.push(s);
+                expect(list.indexOf(s)).toBeLessThan(0);
+                list.push(s);
             }
         }
     }
@@ -223,6 +258,18 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [false, [], false]
             ]
         },
+        {
+            op: ops.NOT,
+            samples: [
+                [true, false],
+                [false, true],
+                [0, true],
+                [1, false],
+                ['', true],
+                ['truthy', false],
+                [null, true]
+            ]
+        },
         {
             op: ops.OR,
             samples: [
@@ -312,7 +359,13 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [true, true, true],
                 [false, false, true],
                 [[1, 2], [1], false],
-                [[1, 2, 'c'], [1, 2, 'c'], false]
+                [[1, 2, 'c'], [1, 2, 'c'], true],
+                [[1, [2, { c: 3 }]], [1, [2, { c: 3 }]], true],
+                [{ a: 1, b: [2] }, { b: [2], a: 1 }, true],
+                [{ a: 1 }, { a: 1, b: undefined }, false],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), true],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:01Z'), false],
+                [new Date('2024-01-01T00:00:00Z'), 1704067200000, false]
             ]
         },
         {
@@ -331,7 +384,13 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [true, true, false],
                 [false, false, false],
                 [[1, 2], [1], true],
-                [[1, 2, 'c'], [1, 2, 'c'], false]
+                [[1, 2, 'c'], [1, 2, 'c'], false],
+                [[1, 'a'], [1, 2], false],
+                [new Date('2024-01-02T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), true],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), false],
+                [new Date('2024-01-02T00:00:00Z'), 1, false],
+                [{ a: 2 }, { a: 1 }, false],
+                [NaN, 1, false]
             ]
         },
         {
@@ -350,7 +409,30 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [true, true, true],
                 [false, false, true],
                 [[1, 2], [1], true],
-                [[1, 2, 'c'], [1, 2, 'c'], true]
+                [[1, 2, 'c'], [1, 2, 'c'], true],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), true],
+                [NaN, NaN, false]
+            ]
+        },
+        {
+            op: ops.IN,
+            samples: [
+                ['a', ['a', 'b'], true],
+                ['c', ['a', 'b'], false],
+                [1, [1, 2, 3], true],
+                [1, ['1', 2, 3], false],
+                [null, [1, null], true],
+                [null, [1, 2], false],
+                [true, [false, true], true],
+                ['a', [], false],
+                ['a', null, false],
+                ['a', 'abc', Error],
+                [['a'], [['a']], true],
+                [[1, 2], [[1, 2], 3], true],
+                [[1, 2], [[2, 1]], false],
+                [{ a: [1] }, [{ a: [1] }], true],
+                [{ a: 1 }, [{ a: 2 }], false],
+                [new Date('2024-01-01T00:00:00Z'), [new Date('2024-01-01T00:00:00Z')], true]
             ]
         },
         {
@@ -369,7 +451,9 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [true, true, false],
                 [false, false, false],
                 [[1, 2], [1], false],
-                [[1, 2, 'c'], [1, 2, 'c'], false]
+                [[1, 2, 'c'], [1, 2, 'c'], false],
+                [[1], [1, 2], true],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z'), true]
             ]
         },
         {
@@ -388,7 +472,63 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [true, true, true],
                 [false, false, true],
                 [[1, 2], [1], false],
-                [[1, 2, 'c'], [1, 2, 'c'], true]
+                [[1, 2, 'c'], [1, 2, 'c'], true],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), true]
+            ]
+        },
+        {
+            op: ops.LIKE,
+            samples: [
+                ['hello', 'h%o', true],
+                ['hello', 'H%', false],
+                ['hello', '_ello', true],
+                ['h%', 'h\\%', true],
+                [12345, '1%5', true],
+                [12345, 12345, true],
+                [true, 't%', true],
+                [null, null, true],
+                [null, '%', false],
+                ['hello', null, false],
+                [['hello'], '%', Error],
+                ['hello', /h/, Error]
+            ]
+        },
+        {
+            op: ops.MATCHES,
+            samples: [
+                ['A123', /^A\d+$/, true],
+                ['a123', /^A\d+$/, false],
+                ['a123', /^A\d+$/i, true],
+                ['a123', '^a\\d', true],
+                [123, '^\\d+$', true],
+                [true, 'true', true],
+                [null, '^$', true],
+                [null, 'x', false],
+                ['aaaa!', '(a+)+$', Error],
+                ['x', '(', Error],
+                ['x', null, Error],
+                [['x'], 'x', Error]
+            ]
+        },
+        {
+            op: ops.ILIKE,
+            samples: [
+                ['hello', 'H%O', true],
+                ['HELLO', 'h_llo', true],
+                ['hello', 'h_lo', false],
+                [null, null, true],
+                [null, '%', false],
+                [new Date(), '%', Error]
+            ]
+        },
+        {
+            op: ops.NOTLIKE,
+            samples: [
+                ['hello', 'h%o', false],
+                ['hello', 'H%', true],
+                [null, null, false],
+                [null, '%', true],
+                [['hello'], '%', Error]
             ]
         },
         {
@@ -407,7 +547,26 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [true, true, false],
                 [false, false, false],
                 [[1, 2], [1], true],
-                [[1, 2, 'c'], [1, 2, 'c'], true]
+                [[1, 2, 'c'], [1, 2, 'c'], false],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'), false],
+                [new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:01Z'), true]
+            ]
+        },
+        {
+            op: ops.NOTIN,
+            samples: [
+                ['a', ['a', 'b'], false],
+                ['c', ['a', 'b'], true],
+                [1, [1, 2, 3], false],
+                [1, ['1', 2, 3], true],
+                [null, [1, null], false],
+                [null, [1, 2], true],
+                ['a', [], true],
+                ['a', null, true],
+                ['a', 'abc', Error],
+                [['a'], [['a']], false],
+                [[1, 2], [[2, 1]], true],
+                [{ a: 1 }, [{ a: 1 }], false]
             ]
         },
         {
@@ -485,6 +644,17 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                 [-4, -4, 0],
             ]
         },
+        {
+            op: ops.NEGATION,
+            samples: [
+                [null, 0],
+                [0, 0],
+                [1, -1],
+                [-5.2, 5.2],
+                [true, -1],
+                ['5', Error]
+            ]
+        },
         {
             op: ops.MULTIPLICATION,
             samples: [
@@ -532,10 +702,15 @@ describe('ops validate arguments and ops execute with expected results.', () =>
                     for (let s of t.samples) {
                         let args = s.slice(0, s.length - 1);
                         let expected = s[s.length - 1];
-                        it(`${utilities.prettyPrint(args[0])} ${p} ${utilities.prettyPrint(args[1])} = ${utilities.prettyPrint(expected)}`, () => {
+                        let label = `${utilities.prettyPrint(args[0])} ${p} ${utilities.prettyPrint(args[1])}`;
+                        if (ops[p].prefix) {
+                            label = `${p} ${utilities.prettyPrint(args[0])}`;
+                        }
+                        it(`${label} = ${utilities.prettyPrint(expected)}`, () => {
                             let go = () => {
                                 ops.argsValid(p, args, true);
-                                return ops[p].func.apply(ops[p], args);
+                                let context = (ops[p].context ? [utilities.context()] : []);
+                                return ops[p].func.apply(ops[p], context.concat(utilities.lazyArgs(ops[p].params, args)));
                             };
                             if (expected === Error) {
                                 expect(go).toThrow(expected);
@@ -0,0 +1,272 @@
+import CalKuError, { ErrorCode } from './error.js';
+
+/**
+ * The regular expression flags supported in expressions. The global (`g`) and sticky (`y`) flags are managed by each
+ * op or func, and are dropped from patterns given as `RegExp` values.
+ * @type {String}
+ */
+const SupportedFlags = 'imsu';
+
+const CACHE_LIMIT = 500;
+const _cache = new Map();
+const EscapedCharacter = /\\(?:x([0-9a-f]{2})|u\{([0-9a-f]+)\}|u([0-9a-f]{4}))/gi;
+
+/**
+ * The characters tried when checking if two atoms of a pattern can match the same character: all of ASCII, and a few
+ * others that classes, escapes, and case-insensitive matching treat specially.
+ * @type {Array.<String>}
+ */
+const SampleCharacters = [
+    ...Array.from({ length: 128 }, (v, i) => String.fromCharCode(i)),
+    '\u00a0', '\u00e9', '\u0130', '\u017f', '\u0416', '\u2028', '\u212a', '\u4e2d', '\u{1f600}'
+];
+
+/**
+ * Returns the source and flags of a pattern, where the given flags (if any) replace those of a `RegExp` pattern.
+ * @param {String | RegExp} pattern - The pattern text or regular expression.
+ * @param {String} [flags] - The flags to use instead of those of the pattern.
+ * @returns {{source: String, flags: String}}
+ */
+function sourceOf(pattern, flags) {
+    if (pattern instanceof RegExp) {
+        return { source: pattern.source, flags: flags ?? pattern.flags.replace(/[gy]/g, '') };
+    }
+    return { source: (pattern ?? '').toString(), flags: flags ?? '' };
+}
+
+/**
+ * Returns the index of the last character of the character class (`[...]`) starting at the given index.
+ * @param {String} source - The pattern text.
+ * @param {Number} index - The index of the opening `[`.
+ * @returns {Number}
+ */
+function classEnd(source, index) {
+    for (let i = index + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === ']') {
+            return i;
+        }
+    }
+    return source.length - 1;
+}
+
+/**
+ * Returns `true` if the two atoms of a pattern (such as `a`, `\w`, or `[a-z]`) can match the same character. Besides
+ * the sample characters, the characters written in either atom (and those of their `\x` and `\u` escapes) are tried,
+ * so overlapping classes are found by the bounds of their ranges.
+ * @param {String} a - The text of the first atom.
+ * @param {String} b - The text of the second atom.
+ * @param {String} flags - The flags of the pattern.
+ * @returns {Boolean}
+ */
+function overlaps(a, b, flags) {
+    if (a === b) {
+        return true;
+    }
+    let matchers = [a, b].map((atom) => {
+        try {
+            return new RegExp(`^(?:${atom})$`, flags);
+        } catch (err) {
+            return null;
+        }
+    });
+    if (matchers.includes(null)) {
+        return false;
+    }
+    let samples = new Set(SampleCharacters);
+    for (let atom of [a, b]) {
+        for (let c of atom) {
+            samples.add(c);
+        }
+        for (let m of atom.matchAll(EscapedCharacter)) {
+            samples.add(String.fromCodePoint(parseInt(m[1] ?? m[2] ?? m[3], 16)));
+        }
+    }
+    for (let c of samples) {
+        if (matchers.every(r => r.test(c))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks the (valid) pattern text for the constructs that let a backtracking regular expression engine take
+ * exponential time on some inputs:
+ * - Quantifiers of a variable count nested within a repeated group (e.g. `(a+)+`, `(\w*)*`, or `(a?){9}`).
+ * - Repeated groups with alternatives starting with atoms that can match the same character (e.g. `(a|ab)+`,
+ *   `(\d|\d\.)*`, `(\w|\d)+`, or `([a-z]|a)*`), including the first atoms of groups nested at the start of an
+ *   alternative (e.g. `((a)|(a))+`).
+ * - Backreferences (e.g. `(a+)\1`).
+ *
+ * Returns the problem found, or `null` if the pattern is safe.
+ * @param {String} source - The pattern text.
+ * @param {String} [flags] - The flags of the pattern, which affect what its atoms match.
+ * @returns {String}
+ */
+function backtrackingProblemOf(source, flags) {
+    //each open group tracks if it contains a quantifier of a variable count or overlapping alternatives, and the
+    //first atoms of its alternatives (several when an alternative starts with a group).
+    let groups = [{ variable: false, overlaps: false, firsts: [], alternative: true, into: null }];
+    let atom = null; //the last atom, which a quantifier applies to.
+    let begin = (text) => {
+        let group = groups[groups.length - 1];
+        let firsts = null;
+        if (group.alternative) {
+            firsts = (text === null ? [] : [text]);
+            group.firsts.push(firsts);
+            group.alternative = false;
+        }
+        atom = { variable: false };
+        return firsts;
+    };
+    for (let i = 0; i < source.length; i++) {
+        let c = source[i];
+        let start = i;
+        if (c === '\\') {
+            if (/[1-9]/.test(source[i + 1]) || (source[i + 1] === 'k' && source[i + 2] === '<')) {
+                return 'uses a backreference, which risks catastrophic backtracking.';
+            } else if (/[upP]/.test(source[i + 1]) && source[i + 2] === '{') {
+                i = Math.max(source.indexOf('}', i), i + 1); //skip unicode code point or property escape.
+            } else {
+                i += (source.substring(i + 1).match(/^(?:x[0-9a-f]{2}|u[0-9a-f]{4}|c[a-z])/i)?.[0].length ?? 1);
+            }
+            begin(source.substring(start, i + 1));
+        } else if (c === '[') {
+            i = classEnd(source, i);
+            begin(source.substring(start, i + 1));
+        } else if (c === '(') {
+            let lookaround = false;
+            if (source[i + 1] === '?') { //skip group modifiers: ?:, ?=, ?!, ?<=, ?<!, ?<name>
+                let named = (source[i + 2] === '<' && !/[=!]/.test(source[i + 3]));
+                lookaround = (/[=!]/.test(source[i + 2]) || (source[i + 2] === '<' && !named));
+                i = (named ? source.indexOf('>', i) : i + (source[i + 2] === '<' ? 3 : 2));
+            }
+            //the first atoms of a group starting an alternative are the first atoms of that alternative, while a
+            //lookaround matches no characters, so the alternative starts with what follows it.
+            let into = (lookaround ? null : begin(null));
+            groups.push({ variable: false, overlaps: false, firsts: [], alternative: true, into });
+            atom = null;
+        } else if (c === ')') {
+            let group = groups.pop();
+            atom = {
+                variable: group.variable,
+                overlaps: group.overlaps || group.firsts.some((f, n) => group.firsts.some(
+                    (g, k) => k < n && f.some(a => g.some(b => overlaps(a, b, flags ?? '')))
+                ))
+            };
+            group.into?.push(...group.firsts.flat());
+            groups[groups.length - 1].variable ||= group.variable;
+            groups[groups.length - 1].overlaps ||= atom.overlaps;
+        } else if (c === '*' || c === '+' || c === '?' || c === '{') {
+            let m = (c === '{' ? source.substring(i).match(/^\{(\d+)(,(\d*))?\}/) : null);
+            if (c === '{' && !m) {
+                begin(c); //a literal brace.
+                continue;
+            }
+            let max = (m ? (m[2] ? (m[3] === '' ? Infinity : parseInt(m[3])) : parseInt(m[1])) : (c === '?' ? 1 : Infinity));
+            let variable = (!m || max > parseInt(m[1]));
+            if (max > 1 && atom?.variable) {
+                return 'nests repeating quantifiers (such as "(a+)+"), which risks catastrophic backtracking.';
+            } else if (max > 1 && atom?.overlaps) {
+                return 'repeats alternatives that start alike (such as "(a|ab)+"), which risks catastrophic backtracking.';
+            }
+            if (m) {
+                i += m[0].length - 1;
+            }
+            if (source[i + 1] === '?') {
+                i++; //lazy quantifier.
+            }
+            groups[groups.length - 1].variable ||= variable;
+            atom = null;
+        } else if (c === '|') {
+            groups[groups.length - 1].alternative = true;
+            atom = null;
+        } else {
+            begin(c);
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the problem with using the pattern in an expression, or `null` if there is none. A pattern has a problem
+ * when it is not a valid regular expression, uses unsupported flags, or risks catastrophic backtracking (see
+ * `backtrackingProblemOf`), which matters because expressions are often user-authored.
+ * @param {String | RegExp} pattern - The pattern text or regular expression.
+ * @param {String} [flags] - The flags to use instead of those of the pattern.
+ * @returns {String}
+ */
+function problemOf(pattern, flags) {
+    let r = sourceOf(pattern, flags);
+    if (r.flags.split('').some(f => SupportedFlags.indexOf(f) < 0)) {
+        return `uses unsupported flags "${r.flags}", only "${SupportedFlags.split('').join('", "')}" are allowed.`;
+    }
+    try {
+        new RegExp(r.source, r.flags);
+    } catch (err) {
+        return `is not a valid regular expression (${err.message}).`;
+    }
+    return backtrackingProblemOf(r.source, r.flags);
+}
+
+/**
+ * Returns the regular expression for the pattern, compiling it if it has not been recently used.
+ * @throws CalKuError when the pattern has a problem (see `problemOf`).
+ * @param {String | RegExp} pattern - The pattern text or regular expression.
+ * @param {String} [flags] - The flags to use instead of those of the pattern.
+ * @param {Boolean} [global] - When `true`, the regular expression has the global (`g`) flag.
+ * @returns {RegExp}
+ */
+function regExpOf(pattern, flags, global) {
+    let r = sourceOf(pattern, flags);
+    let key = `${global ? 'g' : ''}${r.flags}/${r.source}`;
+    let compiled = _cache.get(key);
+    if (!compiled) {
+        let problem = problemOf(r.source, r.flags);
+        if (problem) {
+            throw new CalKuError(`The regular expression /${r.source}/${r.flags} ${problem}`, { code: ErrorCode.InvalidRegExp });
+        }
+        if (_cache.size >= CACHE_LIMIT) {
+            _cache.clear();
+        }
+        compiled = new RegExp(r.source, r.flags + (global ? 'g' : ''));
+        _cache.set(key, compiled);
+    }
+    return compiled;
+}
+
+/**
+ * Reads the regular expression literal (e.g. `/^A\d+/i`) starting at the given index of the expression text,
+ * returning its pattern text, flags, and the index just after it, or `null` if the literal is not closed on the same
+ * line.
+ * @param {String} input - The expression text.
+ * @param {Number} index - The index of the opening `/`.
+ * @returns {{source: String, flags: String, endIndex: Number}}
+ */
+function literalAt(input, index) {
+    let inClass = false; //a "/" within a character class does not close the literal.
+    for (let i = index + 1; i < input.length && input[i] !== '\n'; i++) {
+        if (input[i] === '\\') {
+            i++;
+        } else if (input[i] === '[' || input[i] === ']') {
+            inClass = (input[i] === '[');
+        } else if (input[i] === '/' && !inClass) {
+            let flags = input.substring(i + 1).match(/^[a-z]*/i)[0];
+            return {
+                source: input.substring(index + 1, i),
+                flags: flags,
+                endIndex: i + 1 + flags.length
+            };
+        }
+    }
+    return null;
+}
+
+export {
+    SupportedFlags,
+    problemOf,
+    regExpOf,
+    literalAt
+};
@@ -0,0 +1,88 @@
+import { SupportedFlags, problemOf, regExpOf, literalAt } from './regex.js';
+import { ErrorCode } from './error.js';
+
+describe('.problemOf', () => {
+    it('returns null for valid and safe patterns.', () => {
+        let patterns = [
+            '', '^A\\d+$', '(\\d+)-(\\d+)', '(?:ab)+', '(a|b)*c', '[(+*]+', '\\(a+\\)+', 'a{2}', '(a{2}){3}',
+            '(a?)', '(?<year>\\d{4})-\\d\\d', '(?<=\\$)\\d+', 'a+?b*?', '{', 'x{a}+', '(a|b)+', '(ab|(c)b)*', '(a|a)',
+            '((a)|(b))+$', '(?:(?:a)|b)+', '((?=a)a|b)+'
+        ];
+        for (let p of patterns) {
+            expect(problemOf(p)).toBeNull();
+        }
+        expect(problemOf(/^a\d+/gimsuy)).toBeNull();
+        expect(problemOf('\\p{L}+', 'u')).toBeNull();
+    });
+    it('returns the problem with invalid patterns and flags.', () => {
+        expect(problemOf('(')).toMatch(/not a valid regular expression/);
+        expect(problemOf('a', 'g')).toMatch(/unsupported flags/);
+        expect(problemOf('a', 'ii')).toMatch(/not a valid regular expression/);
+        expect(problemOf(/a/, 'y')).toMatch(/unsupported flags/);
+        expect(SupportedFlags).toBe('imsu');
+    });
+    it('returns the problem with patterns that risk catastrophic backtracking.', () => {
+        let patterns = [
+            '(a+)+', '(a*)*', '(\\w+\\s?)*$', '((ab)+c)*', '(?:x|y+){2,}', '(a{1,5}){2}', '([a-z]+)+?', '(?<w>\\w+)+',
+            '(a?)+', '(a?){9}a{9}'
+        ];
+        for (let p of patterns) {
+            expect(problemOf(p)).toMatch(/nests repeating quantifiers/);
+        }
+        for (let p of ['(a|a)*', '(a|ab)+$', '(?:\\d|\\d\\.)*', '(x|(y)|x){2}']) {
+            expect(problemOf(p)).toMatch(/alternatives that start alike/);
+        }
+        let overlapping = [
+            '(\\w|\\d)+$', '(a|[ab])+', '([a-z]|a)+', '([a-f]|[d-z])*', '([^a]|b)+', '(\\x41|A)+',
+            '(\\s|\\u00a0)+'
+        ];
+        for (let p of overlapping) {
+            expect(problemOf(p)).toMatch(/alternatives that start alike/);
+        }
+        let nested = [
+            '((a)|(a))+$', '(?:(?:a)|(?:a))+$', '(ab|(a)b)*', '((?:a|b)c|b)+', '(x|((y)|(\\w)))+', '((a|a)b)+',
+            '(?:(?=x)a|a)+'
+        ];
+        for (let p of nested) {
+            expect(problemOf(p)).toMatch(/alternatives that start alike/);
+        }
+        expect(problemOf(/(\w|\d)+$/)).toMatch(/alternatives that start alike/);
+        expect(problemOf('(a|A)+', 'i')).toMatch(/alternatives that start alike/);
+        expect(problemOf('(a|A)+')).toBeNull();
+        expect(problemOf('(\\d|[a-z])+')).toBeNull();
+        expect(problemOf('(.|\\n)+')).toBeNull();
+        expect(problemOf('(.|\\n)+', 's')).toMatch(/alternatives that start alike/);
+        expect(problemOf('([^\\n]|\\n)+')).toBeNull();
+        expect(problemOf('(a+)\\1')).toMatch(/backreference/);
+        expect(problemOf('(?<x>a+)\\k<x>')).toMatch(/backreference/);
+    });
+});
+
+describe('.regExpOf', () => {
+    it('returns a cached regular expression for the pattern and flags.', () => {
+        let r = regExpOf('^a\\d', 'i');
+        expect(r).toEqual(/^a\d/i);
+        expect(regExpOf('^a\\d', 'i')).toBe(r);
+        expect(regExpOf(/^a\d/i)).toBe(r);
+        expect(regExpOf(/^a\d/g)).toEqual(/^a\d/);
+        expect(regExpOf(/^a\d/, 'm')).toEqual(/^a\d/m);
+        expect(regExpOf('^a\\d', 'i', true)).toEqual(/^a\d/gi);
+    });
+    it('throws a CalKuError for patterns with a problem.', () => {
+        expect(() => regExpOf('(a+)+')).toThrow(expect.objectContaining({ code: ErrorCode.InvalidRegExp }));
+        expect(() => regExpOf('a', 'x')).toThrow(/unsupported flags/);
+    });
+});
+
+describe('.literalAt', () => {
+    it('reads the pattern and flags of a literal.', () => {
+        expect(literalAt('x =~ /^A\\d+/i OR 1', 5)).toEqual({ source: '^A\\d+', flags: 'i', endIndex: 13 });
+        expect(literalAt('/a\\/b/', 0)).toEqual({ source: 'a\\/b', flags: '', endIndex: 6 });
+        expect(literalAt('/[/]/ + 1', 0)).toEqual({ source: '[/]', flags: '', endIndex: 5 });
+    });
+    it('returns null if the literal is not closed on the same line.', () => {
+        expect(literalAt('/abc', 0)).toBeNull();
+        expect(literalAt('/abc\n/', 0)).toBeNull();
+        expect(literalAt('/[/', 0)).toBeNull();
+    });
+});
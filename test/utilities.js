@@ -1,8 +1,26 @@
+import CalKu from '../calku.js';
+
 export default {
     structuredClone: (v) => { //polyfill for jest stupidity.
         let clone = Object.assign({}, v);
         return clone;
     },
+    lazyArgs: (params, args) => { //wraps arguments of lazy parameters as functions, as the evaluator would.
+        return args.map((v, i) => {
+            let param = (Array.isArray(params) ? params[Math.min(i, params.length - 1)] : params);
+            return (param?.lazy ? () => v : v);
+        });
+    },
+    context: () => { //the FunctionContext given to ops and funcs declaring context, as a UTC CalKu instance would.
+        return {
+            timeZone: null,
+            locale: null,
+            decimal: null,
+            comparison: {},
+            compile: (expression) => new CalKu(expression).compile(),
+            valueAt: CalKu.valueAt
+        };
+    },
     prettyPrint: (v) => {
         if (v === Infinity) {
             return 'Infinity';